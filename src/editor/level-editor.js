@@ -5,6 +5,9 @@
 
 import { GravityWell } from '../entities/gravity-well.js';
 import { ParticleSystem } from '../systems/particle-system.js';
+import { LevelManager } from '../systems/level-manager.js';
+import { LevelFormat } from '../systems/level-format.js';
+import { OBJECTIVE_TYPES } from '../systems/objective-tracker.js';
 
 export class LevelEditor {
     constructor(canvas, audioManager) {
@@ -35,6 +38,13 @@ export class LevelEditor {
             portals: []
         };
         
+        // Réglages du niveau (nom, constellation, chrono...)
+        this.levelName = 'Niveau Personnalisé';
+        this.levelSettings = LevelFormat.create().settings;
+        
+        // Modèles de niveaux intégrés, modifiables dans l'éditeur
+        this.levelManager = new LevelManager();
+        
         // Interface utilisateur
         this.ui = {
             showGrid: true,
@@ -76,6 +86,7 @@ export class LevelEditor {
     start() {
         this.active = true;
         this.showUI();
+        this.updatePropertyPanel();
         this.canvas.style.cursor = this.tools[this.currentTool].cursor;
     }
 
@@ -218,6 +229,7 @@ export class LevelEditor {
             { id: 'test', text: 'Tester', action: () => this.testLevel() },
             { id: 'save', text: 'Sauvegarder', action: () => this.saveLevel() },
             { id: 'load', text: 'Charger', action: () => this.loadLevel() },
+            { id: 'template', text: 'Modèles', action: () => this.loadTemplate() },
             { id: 'clear', text: 'Vider', action: () => this.clearLevel() },
             { id: 'help', text: 'Aide', action: () => this.toggleHelp() },
             { id: 'exit', text: 'Sortir', action: () => this.exitEditor() }
@@ -509,6 +521,7 @@ export class LevelEditor {
             y: gridY,
             width: 1,
             height: 1,
+            behavior: 'kill',
             color: '#666666'
         };
         
@@ -528,6 +541,13 @@ export class LevelEditor {
             color: '#ff00ff'
         };
         
+        // Liaison automatique avec le dernier portail resté seul
+        const partner = this.elements.portals.find(other => !other.linkedPortal);
+        if (partner) {
+            partner.linkedPortal = portal.id;
+            portal.linkedPortal = partner.id;
+        }
+        
         this.elements.portals.push(portal);
         this.particleSystem.emit(gridX * this.gridSize, gridY * this.gridSize, '#ff00ff');
     }
@@ -589,6 +609,14 @@ export class LevelEditor {
             }
         });
         
+        // Le portail lié redevient libre
+        if (element.type === 'portal' && element.linkedPortal) {
+            const partner = this.elements.portals.find(portal => portal.id === element.linkedPortal);
+            if (partner) {
+                partner.linkedPortal = null;
+            }
+        }
+        
         if (this.selectedElement === element) {
             this.selectedElement = null;
             this.updatePropertyPanel();
@@ -664,8 +692,12 @@ export class LevelEditor {
         const content = document.getElementById('property-content');
         if (!content) return;
         
+        // Sans sélection, le panel affiche les réglages du niveau
         if (!this.selectedElement) {
-            content.innerHTML = '<p>Aucun élément sélectionné</p>';
+            content.innerHTML = this.createLevelSettingsProperties();
+            // Nom saisi ou importé : posé par le DOM, jamais interprété comme du HTML
+            content.querySelector('[data-setting="name"]').value = this.levelName;
+            this.bindPropertyControls();
             return;
         }
         
@@ -684,12 +716,77 @@ export class LevelEditor {
             case 'collectible':
                 html += this.createCollectibleProperties(element);
                 break;
+            case 'wall':
+                html += this.createWallProperties(element);
+                break;
+            case 'portal':
+                html += `<p><strong>Lié à:</strong> ${element.linkedPortal ? this.describePortal(element.linkedPortal) : 'aucun'}</p>`;
+                break;
         }
         
         content.innerHTML = html;
         this.bindPropertyControls();
     }
 
+    /**
+     * Crée les contrôles des réglages du niveau
+     */
+    createLevelSettingsProperties() {
+        const settings = this.levelSettings;
+        const option = (prop, value, label) =>
+            `<option value="${value}" ${settings[prop] === value ? 'selected' : ''}>${label}</option>`;
+        const objectives = Object.entries(OBJECTIVE_TYPES)
+            .map(([type, definition]) => option('objective', type, definition.name))
+            .join('');
+        
+        return `
+            <h4>Niveau</h4>
+            <div class="property-group">
+                <label>Nom: <input type="text" data-setting="name"></label>
+                <label>Constellation: 
+                    <select data-setting="constellationPattern">
+                        ${option('constellationPattern', 'triangle', 'Triangle')}
+                        ${option('constellationPattern', 'cross', 'Croix')}
+                        ${option('constellationPattern', 'diamond', 'Diamant')}
+                        ${option('constellationPattern', 'spiral', 'Spirale')}
+                    </select>
+                </label>
+                <label>Collectibles: <input type="number" min="1" max="30" value="${settings.collectibleCount}" data-setting="collectibleCount"></label>
+                <label>Chrono (s, 0 = aucun): <input type="number" min="0" max="600" step="10" value="${settings.timeLimit}" data-setting="timeLimit"></label>
+                <label>Temps écoulé: 
+                    <select data-setting="timeoutOutcome">
+                        ${option('timeoutOutcome', 'lose_life', 'Perte d\'une vie')}
+                        ${option('timeoutOutcome', 'fail_level', 'Échec du niveau')}
+                    </select>
+                </label>
+                <label>Objectif: 
+                    <select data-setting="objective">${objectives}</select>
+                </label>
+                ${settings.objective === 'eliminate'
+                    ? '<p><small>Tous les ennemis du niveau</small></p>'
+                    : `<label>Cible (${OBJECTIVE_TYPES[settings.objective].unit}): <input type="number" min="1" value="${settings.objectiveTarget}" data-setting="objectiveTarget"></label>`}
+                <label>Difficulté: 
+                    <select data-setting="difficulty">
+                        ${option('difficulty', 'easy', 'Facile')}
+                        ${option('difficulty', 'medium', 'Moyenne')}
+                        ${option('difficulty', 'hard', 'Difficile')}
+                        ${option('difficulty', 'extreme', 'Extrême')}
+                    </select>
+                </label>
+                <label>Thème: 
+                    <select data-setting="theme">
+                        ${option('theme', 'space', 'Espace')}
+                        ${option('theme', 'nebula', 'Nébuleuse')}
+                        ${option('theme', 'asteroid', 'Astéroïdes')}
+                        ${option('theme', 'blackhole', 'Trou noir')}
+                        ${option('theme', 'plasma', 'Plasma')}
+                        ${option('theme', 'crystal', 'Cristal')}
+                    </select>
+                </label>
+            </div>
+        `;
+    }
+
     /**
      * Crée les contrôles pour puits gravitationnel
      */
@@ -725,6 +822,12 @@ export class LevelEditor {
                         <option value="opportunist" ${element.behavior === 'opportunist' ? 'selected' : ''}>Opportuniste</option>
                     </select>
                 </label>
+                <p><small>Champs vides : valeurs du comportement</small></p>
+                <label>Agressivité: <input type="number" min="0" max="1" step="0.1" value="${element.aggressiveness ?? ''}" placeholder="défaut" data-prop="aggressiveness"></label>
+                <label>Portée de traque: <input type="number" min="1" max="20" step="1" value="${element.playerTrackingRange ?? ''}" placeholder="défaut" data-prop="playerTrackingRange"></label>
+                <label>Vitesse: <input type="number" min="0.5" max="2" step="0.1" value="${element.speedModifier ?? ''}" placeholder="défaut" data-prop="speedModifier"></label>
+                <label>Réaction (s): <input type="number" min="0.1" max="5" step="0.1" value="${element.reactionTime ?? ''}" placeholder="défaut" data-prop="reactionTime"></label>
+                <label>Longueur: <input type="number" min="1" max="10" step="1" value="${element.length ?? ''}" placeholder="1" data-prop="length"></label>
             </div>
         `;
     }
@@ -747,24 +850,64 @@ export class LevelEditor {
         `;
     }
 
+    /**
+     * Crée les contrôles pour mur
+     */
+    createWallProperties(element) {
+        return `
+            <div class="property-group">
+                <label>Comportement: 
+                    <select data-prop="behavior">
+                        <option value="kill" ${element.behavior !== 'bounce' ? 'selected' : ''}>Mortel</option>
+                        <option value="bounce" ${element.behavior === 'bounce' ? 'selected' : ''}>Rebond</option>
+                    </select>
+                </label>
+            </div>
+        `;
+    }
+
+    /**
+     * Décrit la position d'un portail à partir de son identifiant
+     */
+    describePortal(portalId) {
+        const portal = this.elements.portals.find(p => p.id === portalId);
+        return portal ? `${portal.x}, ${portal.y}` : 'aucun';
+    }
+
     /**
      * Lie les contrôles de propriétés
      */
     bindPropertyControls() {
-        const controls = document.querySelectorAll('#property-content [data-prop]');
+        const controls = document.querySelectorAll('#property-content [data-prop], #property-content [data-setting]');
         
         controls.forEach(control => {
             control.addEventListener('change', (e) => {
                 const prop = e.target.dataset.prop;
+                const setting = e.target.dataset.setting;
                 let value = e.target.value;
                 
-                // Conversion de type si nécessaire
-                if (e.target.type === 'range') {
-                    value = parseFloat(value);
+                // Conversion de type si nécessaire (champ numérique vide : valeur par défaut)
+                if (e.target.type === 'range' || e.target.type === 'number') {
+                    value = value === '' ? undefined : parseFloat(value);
                 }
                 
-                if (this.selectedElement) {
-                    this.selectedElement[prop] = value;
+                if (setting === 'name') {
+                    this.levelName = value;
+                } else if (setting === 'objective') {
+                    // Nouvel objectif : cible par défaut de son type
+                    this.levelSettings.objective = value;
+                    this.levelSettings.objectiveTarget = OBJECTIVE_TYPES[value].defaultTarget;
+                    this.updatePropertyPanel();
+                } else if (setting) {
+                    if (value !== undefined) {
+                        this.levelSettings[setting] = value;
+                    }
+                } else if (this.selectedElement) {
+                    if (value === undefined) {
+                        delete this.selectedElement[prop];
+                    } else {
+                        this.selectedElement[prop] = value;
+                    }
                 }
             });
         });
@@ -949,7 +1092,7 @@ export class LevelEditor {
         const x = wall.x * this.gridSize;
         const y = wall.y * this.gridSize;
         
-        this.ctx.fillStyle = wall.color;
+        this.ctx.fillStyle = wall.behavior === 'bounce' ? '#335577' : wall.color;
         this.ctx.fillRect(x, y, this.gridSize * wall.width, this.gridSize * wall.height);
     }
 
@@ -1032,10 +1175,13 @@ export class LevelEditor {
     testLevel() {
         console.log('Test du niveau...');
         const levelData = this.exportLevel();
-        
-        // Simulation de test
+
+        // Partie réelle dans le moteur ; l'état de l'éditeur est conservé
+        // jusqu'au retour (Échap)
         this.audioManager.playSound('menuConfirm');
-        alert('Niveau testé avec succès!\n\nÉléments: ' + JSON.stringify(this.getElementCounts(), null, 2));
+        if (window.serpentisNexus) {
+            window.serpentisNexus.startPlaytest(levelData);
+        }
     }
     
     saveLevel() {
@@ -1043,7 +1189,11 @@ export class LevelEditor {
         const levelName = prompt('Nom du niveau:', 'Mon Niveau');
         
         if (levelName) {
-            localStorage.setItem(`serpentis_level_${levelName}`, JSON.stringify(levelData));
+            this.levelName = levelName;
+            levelData.name = levelName;
+            
+            // Enregistré au format commun, lisible par le LevelManager
+            localStorage.setItem(`serpentis_level_${levelName}`, JSON.stringify(LevelFormat.fromEditor(levelData)));
             this.audioManager.playSound('menuConfirm');
             alert(`Niveau "${levelName}" sauvegardé!`);
         }
@@ -1056,8 +1206,7 @@ export class LevelEditor {
             const saved = localStorage.getItem(`serpentis_level_${levelName}`);
             if (saved) {
                 try {
-                    const levelData = JSON.parse(saved);
-                    this.importLevel(levelData);
+                    this.importLevel(saved);
                     this.audioManager.playSound('menuConfirm');
                     alert(`Niveau "${levelName}" chargé!`);
                 } catch (error) {
@@ -1069,6 +1218,14 @@ export class LevelEditor {
         }
     }
     
+    loadTemplate() {
+        const levelNumber = parseInt(prompt('Numéro du niveau à modifier:', '1'), 10);
+        if (!levelNumber || levelNumber < 1) return;
+        
+        this.importLevel(this.levelManager.getLevelFile(levelNumber));
+        this.audioManager.playSound('menuConfirm');
+    }
+    
     clearLevel() {
         if (confirm('Vider le niveau? Cette action ne peut pas être annulée.')) {
             Object.keys(this.elements).forEach(type => {
@@ -1101,6 +1258,8 @@ Outils:
 - Mur: Cliquer pour placer
 - Portail: Cliquer pour placer
 - Supprimer: Cliquer sur un élément pour le supprimer
+- Tester: Jouer le niveau (Escape pour revenir à l'éditeur)
+- Modèles: Modifier un niveau intégré (par son numéro)
 
 Raccourcis:
 - Escape: Désélectionner
@@ -1126,8 +1285,9 @@ Raccourcis:
     
     exportLevel() {
         return {
-            name: 'Niveau Personnalisé',
+            name: this.levelName,
             created: new Date().toISOString(),
+            settings: JSON.parse(JSON.stringify(this.levelSettings)),
             elements: JSON.parse(JSON.stringify(this.elements)),
             metadata: {
                 version: '1.0',
@@ -1138,19 +1298,31 @@ Raccourcis:
     }
     
     importLevel(levelData) {
-        if (levelData.elements) {
-            this.elements = levelData.elements;
-            
-            // Régénération des IDs si nécessaire
-            Object.values(this.elements).forEach(elementArray => {
-                elementArray.forEach(element => {
-                    if (!element.id) {
-                        element.id = this.generateId();
-                    }
-                });
+        // Toute forme connue (format commun, export, modèle) est acceptée
+        const editorData = LevelFormat.toEditor(LevelFormat.parse(levelData));
+        
+        this.levelName = editorData.name;
+        this.levelSettings = editorData.settings;
+        this.elements = editorData.elements;
+        
+        // Un point de spawn est toujours présent dans l'éditeur
+        if (this.elements.spawnPoints.length === 0) {
+            this.elements.spawnPoints.push({
+                x: Math.floor(this.gridWidth / 2),
+                y: Math.floor(this.gridHeight / 2),
+                type: 'player'
             });
         }
         
+        // Régénération des IDs si nécessaire
+        Object.values(this.elements).forEach(elementArray => {
+            elementArray.forEach(element => {
+                if (!element.id) {
+                    element.id = this.generateId();
+                }
+            });
+        });
+        
         this.selectedElement = null;
         this.updatePropertyPanel();
     }
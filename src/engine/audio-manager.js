@@ -84,16 +84,24 @@ export class AudioManager {
         
         // Sons de jeu
         this.createSound('collect', this.generateCollectSound());
+        this.createSound('starStolen', this.generateStarStolenSound());
+        this.createSound('powerUp', this.generatePowerUpSound());
         this.createSound('boost', this.generateBoostSound());
         this.createSound('playerHit', this.generatePlayerHitSound());
         this.createSound('enemyDestroyed', this.generateEnemyDestroyedSound());
+        this.createSound('armorHit', this.generateArmorHitSound());
         this.createSound('constellationComplete', this.generateConstellationCompleteSound());
         this.createSound('levelClear', this.generateLevelClearSound());
         this.createSound('gameOver', this.generateGameOverSound());
+        this.createSound('timerWarning', this.generateTimerWarningSound());
+        this.createSound('timeUp', this.generateTimeUpSound());
+        this.createSound('weatherAlert', this.generateWeatherAlertSound());
         
         // Sons d'ambiance
         this.createSound('gravityWell', this.generateGravityWellSound());
         this.createSound('teleport', this.generateTeleportSound());
+        this.createSound('cosmicStorm', this.generateCosmicStormSound());
+        this.createSound('gravityWave', this.generateGravityWaveSound());
         
         console.log(`${this.soundCache.size} sons générés`);
     }
@@ -236,6 +244,41 @@ export class AudioManager {
         };
     }
     
+    generateStarStolenSound() {
+        return () => {
+            const buffer = this.audioContext.createBuffer(1, 8820, this.audioContext.sampleRate);
+            const data = buffer.getChannelData(0);
+            
+            for (let i = 0; i < data.length; i++) {
+                const t = i / this.audioContext.sampleRate;
+                // Inverse du son de collecte : glissando descendant
+                const freq = 1200 - t * 2400;
+                const envelope = Math.exp(-t * 6);
+                data[i] = Math.sin(t * freq * 2 * Math.PI) * 0.25 * envelope;
+            }
+            
+            return buffer;
+        };
+    }
+    
+    generatePowerUpSound() {
+        return () => {
+            const buffer = this.audioContext.createBuffer(1, 13230, this.audioContext.sampleRate);
+            const data = buffer.getChannelData(0);
+            
+            for (let i = 0; i < data.length; i++) {
+                const t = i / this.audioContext.sampleRate;
+                // Trois notes montantes (do, mi, sol)
+                const note = Math.min(2, Math.floor(t / 0.1));
+                const freq = [523, 659, 784][note];
+                const envelope = Math.exp(-(t - note * 0.1) * 8);
+                data[i] = Math.sin(t * freq * 2 * Math.PI) * 0.3 * envelope;
+            }
+            
+            return buffer;
+        };
+    }
+    
     generateBoostSound() {
         return () => {
             const buffer = this.audioContext.createBuffer(1, 13230, this.audioContext.sampleRate);
@@ -271,6 +314,23 @@ export class AudioManager {
         };
     }
     
+    generateArmorHitSound() {
+        return () => {
+            const buffer = this.audioContext.createBuffer(1, 6615, this.audioContext.sampleRate);
+            const data = buffer.getChannelData(0);
+            
+            for (let i = 0; i < data.length; i++) {
+                const t = i / this.audioContext.sampleRate;
+                // Choc métallique : partiels inharmoniques vite amortis
+                const ring = Math.sin(t * 620 * 2 * Math.PI) + Math.sin(t * 1470 * 2 * Math.PI) * 0.5;
+                const envelope = Math.exp(-t * 12);
+                data[i] = ring * 0.3 * envelope;
+            }
+            
+            return buffer;
+        };
+    }
+    
     generateEnemyDestroyedSound() {
         return () => {
             const buffer = this.audioContext.createBuffer(1, 11025, this.audioContext.sampleRate);
@@ -340,6 +400,55 @@ export class AudioManager {
         };
     }
     
+    generateTimerWarningSound() {
+        return () => {
+            const buffer = this.audioContext.createBuffer(1, 3528, this.audioContext.sampleRate);
+            const data = buffer.getChannelData(0);
+            
+            for (let i = 0; i < data.length; i++) {
+                const t = i / this.audioContext.sampleRate;
+                const envelope = Math.exp(-t * 25);
+                data[i] = Math.sin(t * 1200 * 2 * Math.PI) * 0.3 * envelope;
+            }
+            
+            return buffer;
+        };
+    }
+    
+    generateTimeUpSound() {
+        return () => {
+            const buffer = this.audioContext.createBuffer(1, 22050, this.audioContext.sampleRate);
+            const data = buffer.getChannelData(0);
+            
+            for (let i = 0; i < data.length; i++) {
+                const t = i / this.audioContext.sampleRate;
+                // Deux bips descendants
+                const freq = t < 0.25 ? 880 : 440;
+                const envelope = Math.max(0, 1 - (t % 0.25) * 4);
+                data[i] = Math.sign(Math.sin(t * freq * 2 * Math.PI)) * 0.15 * envelope;
+            }
+            
+            return buffer;
+        };
+    }
+    
+    generateWeatherAlertSound() {
+        return () => {
+            const buffer = this.audioContext.createBuffer(1, 26460, this.audioContext.sampleRate);
+            const data = buffer.getChannelData(0);
+            
+            for (let i = 0; i < data.length; i++) {
+                const t = i / this.audioContext.sampleRate;
+                // Sirène montante puis descendante
+                const freq = 500 + Math.sin(t * Math.PI / 0.6) * 300;
+                const envelope = Math.sin(t * Math.PI / 0.6);
+                data[i] = Math.sin(t * freq * 2 * Math.PI) * 0.2 * envelope;
+            }
+            
+            return buffer;
+        };
+    }
+    
     generateGravityWellSound() {
         return () => {
             const buffer = this.audioContext.createBuffer(1, 22050, this.audioContext.sampleRate);
@@ -373,6 +482,41 @@ export class AudioManager {
             return buffer;
         };
     }
+    
+    generateCosmicStormSound() {
+        return () => {
+            const buffer = this.audioContext.createBuffer(1, 44100, this.audioContext.sampleRate);
+            const data = buffer.getChannelData(0);
+            
+            for (let i = 0; i < data.length; i++) {
+                const t = i / this.audioContext.sampleRate;
+                // Grondement : bruit filtré et basse modulée
+                const rumble = Math.sin(t * 55 * 2 * Math.PI) * (0.5 + Math.sin(t * 7) * 0.5);
+                const noise = Math.random() * 2 - 1;
+                const envelope = Math.min(1, t * 4) * Math.exp(-t * 1.5);
+                data[i] = (rumble * 0.3 + noise * 0.15) * envelope;
+            }
+            
+            return buffer;
+        };
+    }
+    
+    generateGravityWaveSound() {
+        return () => {
+            const buffer = this.audioContext.createBuffer(1, 30870, this.audioContext.sampleRate);
+            const data = buffer.getChannelData(0);
+            
+            for (let i = 0; i < data.length; i++) {
+                const t = i / this.audioContext.sampleRate;
+                // Balayage grave qui enfle puis retombe
+                const freq = 60 + t * 80;
+                const envelope = Math.sin(t * Math.PI / 0.7);
+                data[i] = Math.sin(t * freq * 2 * Math.PI) * 0.3 * envelope;
+            }
+            
+            return buffer;
+        };
+    }
 
     /**
      * Génère et joue une musique d'ambiance en boucle
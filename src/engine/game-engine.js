@@ -6,20 +6,37 @@
 import { Snake } from '../entities/snake.js';
 import { EnemyAI } from '../entities/enemy-ai.js';
 import { GravityWell } from '../entities/gravity-well.js';
+import { Wall } from '../entities/wall.js';
+import { Portal } from '../entities/portal.js';
 import { ConstellationManager } from '../systems/constellation-manager.js';
 import { SpatialHash } from '../systems/spatial-hash.js';
 import { ParticleSystem } from '../systems/particle-system.js';
 import { LevelManager } from '../systems/level-manager.js';
+import { RandomGenerator } from '../systems/random-generator.js';
+import { ReplayRecorder } from '../systems/replay-system.js';
+import { SpaceWeather } from '../systems/space-weather.js';
+import { MagnetismSystem } from '../systems/magnetism-system.js';
+import { CollisionResolver } from '../systems/collision-resolver.js';
+import { PowerUpSystem, POWER_UP_TYPES } from '../systems/power-up-system.js';
+import { ObjectiveTracker } from '../systems/objective-tracker.js';
+import { Pathfinder } from '../systems/pathfinder.js';
+import { PlayerModel } from '../systems/player-model.js';
+import { SquadCoordinator } from '../systems/squad-coordinator.js';
 
 export class GameEngine {
-    constructor(canvas, audioManager) {
+    constructor(canvas, audioManager, options = {}) {
         this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
-        this.audioManager = audioManager;
+        // Cible de rendu (absente en mode headless)
+        this.ctx = options.renderTarget || (canvas ? canvas.getContext('2d') : null);
+        this.audioManager = audioManager || { playSound: () => {} };
+        
+        // Horloge injectable (performance.now par défaut)
+        this.clock = options.clock || { now: () => performance.now() };
+        this.debugMode = options.debug;
         
         // Dimensions du jeu
-        this.width = canvas.width;
-        this.height = canvas.height;
+        this.width = canvas ? canvas.width : (options.width || 800);
+        this.height = canvas ? canvas.height : (options.height || 600);
         this.gridSize = 20;
         this.gridWidth = Math.floor(this.width / this.gridSize);
         this.gridHeight = Math.floor(this.height / this.gridSize);
@@ -29,19 +46,63 @@ export class GameEngine {
         this.score = 0;
         this.level = 1;
         this.lives = 3;
-        this.gameSpeed = 5;
+        this.baseGameSpeed = 5;
+        this.gameSpeed = this.baseGameSpeed;
+        this.tick = 0;
+        this.gameOverReason = null;
+        
+        // Chronomètre du niveau (0 = pas de limite)
+        this.timeLimit = 0;
+        this.timeRemaining = 0;
+        this.timeoutOutcome = 'lose_life';
+        this.timerWarningThreshold = 10;
+        
+        // Délai (secondes simulées) avant qu'une étoile volée par un ennemi soit replacée
+        this.stolenStarDelay = 5;
+        
+        // Durée de vie (secondes simulées) des segments lâchés par un ennemi détruit
+        this.droppedSegmentLifetime = 8;
+        
+        // Apparition des power-ups (secondes simulées entre deux tentatives)
+        this.powerUpSpawnInterval = 10;
+        this.powerUpSpawnTimer = this.powerUpSpawnInterval;
         
         // Entités du jeu
         this.playerSnake = null;
         this.enemies = [];
         this.gravityWells = [];
         this.collectibles = [];
+        this.walls = [];
+        this.portals = [];
+        
+        // Générateur aléatoire partagé par toute la simulation
+        this.rng = new RandomGenerator(options.seed ?? Date.now());
         
         // Systèmes
-        this.spatialHash = new SpatialHash(this.gridSize);
+        // Le hash travaille en coordonnées de grille : une cellule par case
+        this.spatialHash = new SpatialHash(1);
+        this.segmentOwners = new WeakMap();
+        this.hashedSnakes = new Map(); // serpent -> segments indexés
+        this.hashedCollectibles = new Set();
+        // Ancien fonctionnement, gardé pour le banc d'essai : hash reconstruit à chaque tick
+        // et occupation d'une case par parcours de tous les segments
+        this.fullSpatialScan = options.fullSpatialScan || false;
         this.particleSystem = new ParticleSystem();
-        this.constellationManager = new ConstellationManager();
+        this.constellationManager = new ConstellationManager(this.rng);
         this.levelManager = new LevelManager();
+        this.spaceWeather = new SpaceWeather(this);
+        this.magnetismSystem = new MagnetismSystem(this);
+        this.collisionResolver = new CollisionResolver();
+        this.powerUpSystem = new PowerUpSystem(this);
+        this.objectiveTracker = new ObjectiveTracker(this);
+        this.pathfinder = new Pathfinder(this);
+        this.playerModel = new PlayerModel(this);
+        this.squadCoordinator = new SquadCoordinator(this);
+        this.setupCollisionFeedback();
+        
+        // Replays : enregistrement des entrées ou relecture en cours
+        this.replayRecorder = new ReplayRecorder();
+        this.replayPlayer = null;
         
         // Timing
         this.lastUpdate = 0;
@@ -58,7 +119,7 @@ export class GameEngine {
         // Création du serpent joueur
         const startX = Math.floor(this.gridWidth / 2);
         const startY = Math.floor(this.gridHeight / 2);
-        this.playerSnake = new Snake(startX, startY, 'player');
+        this.playerSnake = new Snake(startX, startY, 'player', this.rng);
         
         // Configuration du niveau initial
         this.levelManager.loadLevel(this.level);
@@ -75,7 +136,9 @@ export class GameEngine {
         this.enemies = [];
         this.gravityWells = [];
         this.collectibles = [];
-        this.spatialHash.clear();
+        this.walls = [];
+        this.portals = [];
+        this.resetSpatialHash();
         
         // Création des puits gravitationnels
         for (const well of levelData.gravityWells) {
@@ -86,32 +149,146 @@ export class GameEngine {
         
         // Création des ennemis
         for (const enemy of levelData.enemies) {
-            const enemySnake = new Snake(enemy.x, enemy.y, 'enemy');
-            enemySnake.ai = new EnemyAI(enemySnake, this);
+            const enemySnake = new Snake(enemy.x, enemy.y, 'enemy', this.rng);
+            // Sans réglage propre, l'ennemi prend la difficulté du niveau
+            enemySnake.ai = new EnemyAI(enemySnake, this, { difficulty: levelData.difficulty, ...enemy });
+            
+            // Longueur de départ
+            for (let i = 1; i < (enemy.length || 1); i++) {
+                enemySnake.grow();
+            }
             this.enemies.push(enemySnake);
         }
         
+        // Serpents indexés avant de chercher des cases libres
+        this.syncSpatialHash();
+        
+        // Murs et portails
+        this.walls = (levelData.walls || []).map(wall => new Wall(
+            wall.x, wall.y, wall.width, wall.height, wall.behavior
+        ));
+        this.portals = this.createPortals(levelData);
+        
         // Configuration de la constellation
         this.constellationManager.setPattern(levelData.constellationPattern);
+        
+        // Collectibles posés dans l'éditeur, complétés par les étoiles manquantes
+        for (const collectible of levelData.collectibles || []) {
+            this.addCollectible(this.createStar(collectible.x, collectible.y, collectible.starType));
+        }
         this.spawnCollectibles();
+        this.powerUpSpawnTimer = this.powerUpSpawnInterval;
+        
+        // Chronomètre du niveau
+        this.timeLimit = levelData.timeLimit || 0;
+        this.timeRemaining = this.timeLimit;
+        this.timeoutOutcome = levelData.timeoutOutcome || 'lose_life';
+        
+        // Météo spatiale
+        this.spaceWeather.configure(levelData);
+        
+        // Objectif du niveau (ennemis déjà créés pour l'extermination)
+        this.objectiveTracker.configure(levelData);
+        
+        // Coordination des ennemis selon la difficulté
+        this.squadCoordinator.configure(levelData);
+        
+        // Les habitudes du joueur survivent au changement de niveau, pas son trajet
+        this.playerModel.resetTrail();
+    }
+
+    /**
+     * Crée les portails du niveau et les apparie
+     */
+    createPortals(levelData) {
+        const portalData = levelData.portals || [];
+        const portals = portalData.map(data => new Portal(data.x, data.y, data.color));
+        
+        // Appariement explicite (identifiants de l'éditeur)
+        const byId = new Map();
+        portalData.forEach((data, i) => {
+            if (data.id !== undefined) byId.set(data.id, portals[i]);
+        });
+        portalData.forEach((data, i) => {
+            const partner = byId.get(data.linkedPortal);
+            if (partner && partner !== portals[i] && !portals[i].linkedPortal && !partner.linkedPortal) {
+                Portal.link(portals[i], partner);
+            }
+        });
+        
+        // Les portails restants sont appariés dans l'ordre
+        const unlinked = portals.filter(portal => !portal.linkedPortal);
+        for (let i = 0; i + 1 < unlinked.length; i += 2) {
+            Portal.link(unlinked[i], unlinked[i + 1]);
+        }
+        
+        // Portails procéduraux (caractéristique spéciale des niveaux avancés)
+        const feature = (levelData.specialFeatures || []).find(f => f.type === 'portals');
+        if (feature) {
+            // Les portails déjà posés doivent être évités par findEmptyPosition
+            this.portals = portals;
+            for (let i = 0; i + 1 < feature.count; i += 2) {
+                const entryPos = this.findEmptyPosition(2);
+                if (!entryPos) break;
+                const entry = new Portal(entryPos.x, entryPos.y, feature.color);
+                portals.push(entry);
+                
+                const exitPos = this.findEmptyPosition(2);
+                if (!exitPos) {
+                    portals.pop();
+                    break;
+                }
+                const exit = new Portal(exitPos.x, exitPos.y, feature.color);
+                portals.push(exit);
+                Portal.link(entry, exit);
+            }
+        }
+        
+        return portals;
     }
 
     /**
      * Démarre une nouvelle partie
+     * La graine fournie rend la partie reproductible à l'identique
      */
-    startNewGame() {
+    startNewGame(options = {}) {
+        this.rng.reset(options.seed ?? this.rng.getSeed());
+        
         this.gameState = 'running';
         this.score = 0;
-        this.level = 1;
+        this.level = options.level ?? 1;
         this.lives = 3;
+        this.tick = 0;
+        this.gameOverReason = null;
+        this.gameSpeed = options.gameSpeed ?? this.baseGameSpeed;
+        this.updateInterval = 1000 / this.gameSpeed;
         
-        // Réinitialisation du serpent
-        const startX = Math.floor(this.gridWidth / 2);
-        const startY = Math.floor(this.gridHeight / 2);
-        this.playerSnake.reset(startX, startY);
+        this.constellationManager.reset();
+        this.playerModel.reset();
+        // Un niveau personnalisé (éditeur, fichier) remplace le numéro de niveau
+        this.levelManager.loadLevel(options.levelData ?? this.level);
         
+        // Réinitialisation du serpent
+        const spawn = this.getSpawnPoint();
+        this.playerSnake.reset(spawn.x, spawn.y);
         this.setupLevel();
-        this.lastUpdate = performance.now();
+        
+        // Une partie relue n'est pas réenregistrée, ni un niveau de l'éditeur
+        // (le replay ne contient que le numéro de niveau)
+        if (options.replay || options.levelData) {
+            this.replayRecorder.stop();
+        } else {
+            this.replayPlayer = null;
+            this.replayRecorder.start({
+                seed: this.rng.getSeed(),
+                level: this.level,
+                gameSpeed: this.gameSpeed,
+                width: this.width,
+                height: this.height
+            });
+        }
+        
+        this.lastUpdate = this.clock.now();
     }
 
     /**
@@ -136,7 +313,7 @@ export class GameEngine {
     resume() {
         if (this.gameState === 'paused') {
             this.gameState = 'running';
-            this.lastUpdate = performance.now();
+            this.lastUpdate = this.clock.now();
         }
     }
 
@@ -152,19 +329,43 @@ export class GameEngine {
      */
     setDirection(direction) {
         if (this.playerSnake && this.gameState === 'running') {
+            this.replayRecorder.record(this.tick, direction);
             this.playerSnake.setDirection(direction);
         }
     }
 
     /**
-     * Active le boost du serpent joueur
+     * Active le boost du serpent joueur (maintenu jusqu'au relâchement)
      */
     activateBoost() {
-        if (this.playerSnake && this.gameState === 'running') {
+        if (this.playerSnake && this.gameState === 'running' && !this.playerSnake.boostHeld) {
+            this.replayRecorder.record(this.tick, 'boost');
             this.playerSnake.activateBoost();
         }
     }
 
+    /**
+     * Relâche le boost du serpent joueur
+     */
+    releaseBoost() {
+        if (this.playerSnake && this.playerSnake.boostHeld) {
+            this.replayRecorder.record(this.tick, 'boostEnd');
+            this.playerSnake.releaseBoost();
+        }
+    }
+
+    /**
+     * Dash d'urgence du serpent joueur (brûle un segment propulseur)
+     */
+    dash() {
+        if (this.playerSnake && this.gameState === 'running') {
+            this.replayRecorder.record(this.tick, 'dash');
+            if (this.playerSnake.dash()) {
+                this.audioManager.playSound('boost');
+            }
+        }
+    }
+
     /**
      * Met à jour le jeu
      */
@@ -173,7 +374,7 @@ export class GameEngine {
             return this.getGameState();
         }
 
-        const now = performance.now();
+        const now = this.clock.now();
         this.deltaTime = now - this.lastUpdate;
         
         if (this.deltaTime >= this.updateInterval) {
@@ -187,47 +388,192 @@ export class GameEngine {
         return this.getGameState();
     }
 
+    /**
+     * Avance la simulation d'un tick, indépendamment de l'horloge
+     */
+    step() {
+        if (this.gameState === 'stopped') {
+            return this.getGameState();
+        }
+        
+        this.deltaTime = this.updateInterval;
+        this.updateGame();
+        
+        return this.getGameState();
+    }
+
     /**
      * Met à jour la logique du jeu
      */
     updateGame() {
-        // Mise à jour du hash spatial
-        this.spatialHash.clear();
+        // Durée simulée d'un tick (indépendante des saccades de rendu)
+        const tickSeconds = this.updateInterval / 1000;
         
-        // Ajout des entités au hash spatial
-        this.addToSpatialHash(this.playerSnake);
-        this.enemies.forEach(enemy => this.addToSpatialHash(enemy));
-        this.collectibles.forEach(collectible => this.spatialHash.add(collectible, collectible.x, collectible.y));
+        // Entrées rejouées pour ce tick
+        if (this.replayPlayer) {
+            this.replayPlayer.applyInputs(this.tick);
+        }
+        
+        // Hash spatial à jour (entités ajoutées ou retirées depuis le dernier tick)
+        this.syncSpatialHash();
+        
+        // Météo spatiale (vent et ondes agissent avant la gravité)
+        this.spaceWeather.update(tickSeconds);
         
         // Application de la gravité
         this.applyGravityEffects();
         
+        // Ralenti imposé par les power-ups adverses
+        this.powerUpSystem.update();
+        
         // Mise à jour du serpent joueur
-        this.playerSnake.update(this.deltaTime / 1000);
+        this.playerSnake.update(tickSeconds);
+        this.moveInSpatialHash(this.playerSnake);
+        
+        // Apprentissage des habitudes du joueur
+        this.playerModel.observe();
+        
+        // Rôles de meute et réservations d'étoiles, d'après la position jouée
+        this.squadCoordinator.update();
         
-        // Mise à jour des ennemis
+        // Mise à jour des ennemis (chaque IA voit les positions déjà jouées)
         this.enemies.forEach(enemy => {
-            enemy.ai.update();
-            enemy.update(this.deltaTime / 1000);
+            enemy.ai.update(tickSeconds);
+            enemy.update(tickSeconds);
+            this.moveInSpatialHash(enemy);
         });
         
+        // Attraction des collectibles par les segments magnétiques
+        this.magnetismSystem.update();
+        
+        // Étoiles volées replacées une fois le délai écoulé, collectibles éphémères expirés
+        this.updateStolenStars(tickSeconds);
+        this.updateExpiringCollectibles(tickSeconds);
+        this.updatePowerUpSpawns(tickSeconds);
+        
         // Vérification des collisions
         this.checkCollisions();
         
+        // Morphing des constellations (étoiles du nouveau pattern posées à la fin)
+        const morphing = this.constellationManager.morphingActive;
+        this.constellationManager.update(tickSeconds);
+        if (morphing && !this.constellationManager.morphingActive) {
+            this.spawnCollectibles();
+        }
+        
+        // Chronomètre du niveau et temps de survie
+        this.updateLevelClock(tickSeconds);
+        this.objectiveTracker.update(tickSeconds);
+        
         // Vérification des objectifs de niveau
         this.checkLevelObjectives();
         
         // Nettoyage des entités mortes
         this.cleanupEntities();
+        
+        this.tick++;
+    }
+
+    /**
+     * Vide le hash spatial
+     */
+    resetSpatialHash() {
+        this.spatialHash.clear();
+        this.hashedSnakes.clear();
+        this.hashedCollectibles.clear();
+    }
+
+    /**
+     * Met à jour le hash spatial de façon incrémentale (serpents et collectibles)
+     * Les objets qui ne sont plus en jeu en sont retirés
+     */
+    syncSpatialHash() {
+        if (this.fullSpatialScan) {
+            this.resetSpatialHash();
+        }
+        
+        const snakes = [this.playerSnake, ...this.enemies];
+        const present = new Set(snakes);
+        
+        for (const snake of this.hashedSnakes.keys()) {
+            if (!present.has(snake)) {
+                this.removeFromSpatialHash(snake);
+            }
+        }
+        snakes.forEach(snake => this.addToSpatialHash(snake));
+        
+        const collectibles = new Set(this.collectibles);
+        for (const collectible of this.hashedCollectibles) {
+            if (!collectibles.has(collectible)) {
+                this.spatialHash.remove(collectible);
+            }
+        }
+        for (const collectible of collectibles) {
+            this.spatialHash.update(collectible, collectible.x, collectible.y, 1, 1);
+        }
+        this.hashedCollectibles = collectibles;
     }
 
     /**
-     * Ajoute un serpent au hash spatial
+     * Ajoute ou met à jour un serpent dans le hash spatial
+     * Seuls les segments ajoutés ou retirés depuis le dernier passage sont traités
      */
     addToSpatialHash(snake) {
-        snake.segments.forEach(segment => {
-            this.spatialHash.add(segment, segment.x, segment.y);
-        });
+        const previous = this.hashedSnakes.get(snake);
+        const unchanged = previous && previous.length === snake.segments.length &&
+            previous.every((segment, i) => segment === snake.segments[i]);
+        
+        if (!unchanged) {
+            if (previous) {
+                const kept = new Set(snake.segments);
+                previous.forEach(segment => {
+                    if (!kept.has(segment)) this.spatialHash.remove(segment);
+                });
+            }
+            
+            snake.segments.forEach(segment => this.segmentOwners.set(segment, snake));
+            this.hashedSnakes.set(snake, [...snake.segments]);
+        }
+        
+        this.moveInSpatialHash(snake);
+    }
+
+    /**
+     * Reporte le déplacement d'un serpent dans le hash spatial
+     * (segments déjà indexés au début du tick)
+     */
+    moveInSpatialHash(snake) {
+        for (const segment of snake.segments) {
+            this.spatialHash.update(segment, segment.x, segment.y, 1, 1);
+        }
+    }
+
+    /**
+     * Retourne le serpent occupant une case (null si aucun)
+     */
+    getSnakeAt(x, y) {
+        if (this.fullSpatialScan) {
+            return [this.playerSnake, ...this.enemies].find(snake =>
+                snake.segments.some(segment => segment.x === x && segment.y === y)
+            ) || null;
+        }
+        
+        for (const object of this.spatialHash.queryPoint(x, y)) {
+            const owner = this.segmentOwners.get(object);
+            if (owner && object.x === x && object.y === y) {
+                return owner;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Retire un serpent du hash spatial
+     */
+    removeFromSpatialHash(snake) {
+        const segments = this.hashedSnakes.get(snake) || snake.segments;
+        segments.forEach(segment => this.spatialHash.remove(segment));
+        this.hashedSnakes.delete(snake);
     }
 
     /**
@@ -243,120 +589,227 @@ export class GameEngine {
         });
     }
 
+    /**
+     * Force (puits et vent solaire) subie par une tête posée sur une case
+     */
+    getForceAt(x, y) {
+        const force = this.spaceWeather.getWindForce();
+        
+        for (const well of this.gravityWells) {
+            const wellForce = well.computeForceAt(x, y);
+            force.x += wellForce.x;
+            force.y += wellForce.y;
+        }
+        
+        return force;
+    }
+
     /**
      * Vérifie toutes les collisions
      */
     checkCollisions() {
-        // Collisions du serpent joueur
-        this.checkSnakeCollisions(this.playerSnake);
-        
-        // Collisions des ennemis
-        this.enemies.forEach(enemy => this.checkSnakeCollisions(enemy));
+        // Joueur puis ennemis, chacun sur tout le chemin parcouru pendant le tick
+        const snakes = [this.playerSnake, ...this.enemies];
         
-        // Collisions entre serpents
-        this.checkSnakeVsSnakeCollisions();
+        for (const snake of snakes) {
+            if (this.gameState === 'stopped') return;
+            if (snake.type !== 'player' && !this.enemies.includes(snake)) continue;
+            
+            this.checkSnakeCollisions(snake);
+        }
     }
 
     /**
-     * Vérifie les collisions d'un serpent
+     * Vérifie les collisions d'un serpent case par case le long de son chemin
      */
     checkSnakeCollisions(snake) {
+        const path = [...snake.getSweptPath()];
+        
+        for (let i = 0; i < path.length; i++) {
+            const cell = path[i];
+            
+            // Passage par un portail : la suite du chemin est remplacée par la sortie
+            const exit = this.checkPortalTraversal(snake, cell);
+            if (exit) {
+                path.splice(i + 1, path.length, exit);
+                continue;
+            }
+            
+            if (!this.checkCellCollisions(snake, cell)) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Vérifie une case traversée par la tête
+     * Retourne false si le déplacement du serpent s'arrête là
+     */
+    checkCellCollisions(snake, cell) {
         const head = snake.getHead();
         
         // Collision avec les murs
-        if (head.x < 0 || head.x >= this.gridWidth || 
-            head.y < 0 || head.y >= this.gridHeight) {
-            this.handleSnakeCollision(snake, 'wall');
-            return;
+        if (cell.x < 0 || cell.x >= this.gridWidth || 
+            cell.y < 0 || cell.y >= this.gridHeight) {
+            return this.applyCollisionResults(this.collisionResolver.resolveObstacle(snake, 'wall', cell));
         }
         
-        // Collision avec soi-même
-        for (let i = 1; i < snake.segments.length; i++) {
-            if (head.x === snake.segments[i].x && head.y === snake.segments[i].y) {
-                this.handleSnakeCollision(snake, 'self');
-                return;
+        // Collision avec les murs placés dans l'arène
+        const wall = this.getWallAt(cell.x, cell.y);
+        if (wall) {
+            if (wall.isBouncy()) {
+                snake.bounce();
+                this.addToSpatialHash(snake);
+                return false;
             }
+            return this.applyCollisionResults(this.collisionResolver.resolveObstacle(snake, 'wall', cell));
         }
         
-        // Collision avec les collectibles
-        this.collectibles.forEach((collectible, index) => {
-            if (head.x === collectible.x && head.y === collectible.y) {
-                this.collectItem(snake, collectible, index);
+        const objects = this.spatialHash.queryPoint(cell.x, cell.y)
+            .filter(object => object.x === cell.x && object.y === cell.y);
+        
+        // Segments présents sur la case
+        for (const object of objects) {
+            const owner = this.segmentOwners.get(object);
+            if (!owner || object === head || !this.spatialHash.has(object)) continue;
+            if (owner !== snake && owner.type !== 'player' && !this.enemies.includes(owner)) continue;
+            
+            const results = owner === snake
+                ? this.collisionResolver.resolveObstacle(snake, 'self', cell)
+                : this.collisionResolver.resolveSnakeContact(snake, owner, object, cell);
+            
+            if (!this.applyCollisionResults(results)) return false;
+        }
+        
+        // Collectibles survolés
+        for (const object of objects) {
+            const index = this.collectibles.indexOf(object);
+            if (index > -1) {
+                this.collectItem(snake, object, index);
             }
-        });
+        }
+        
+        return true;
     }
 
     /**
-     * Vérifie les collisions entre serpents
+     * Téléporte la tête d'un serpent entré dans un portail
+     * Retourne la case de sortie, ou null si la case n'est pas un portail
      */
-    checkSnakeVsSnakeCollisions() {
-        const allSnakes = [this.playerSnake, ...this.enemies];
+    checkPortalTraversal(snake, cell) {
+        const portal = this.getPortalAt(cell.x, cell.y);
+        if (!portal || !portal.linkedPortal) return null;
         
-        for (let i = 0; i < allSnakes.length; i++) {
-            for (let j = i + 1; j < allSnakes.length; j++) {
-                const snake1 = allSnakes[i];
-                const snake2 = allSnakes[j];
-                
-                if (this.checkSnakeCollision(snake1, snake2)) {
-                    this.handleSnakeVsSnakeCollision(snake1, snake2);
-                }
-            }
-        }
+        const head = snake.getHead();
+        const exit = portal.getExit(snake.direction);
+        head.x = exit.x;
+        head.y = exit.y;
+        this.spatialHash.update(head, exit.x, exit.y, 1, 1);
+        
+        this.audioManager.playSound('teleport');
+        this.particleSystem.emit(portal.x * this.gridSize, portal.y * this.gridSize, portal.color);
+        this.particleSystem.emit(exit.x * this.gridSize, exit.y * this.gridSize, portal.color);
+        
+        return { x: exit.x, y: exit.y };
+    }
+
+    /**
+     * Retourne le mur occupant une case
+     */
+    getWallAt(x, y) {
+        return this.walls.find(wall => wall.contains(x, y)) || null;
+    }
+
+    /**
+     * Retourne le portail occupant une case
+     */
+    getPortalAt(x, y) {
+        return this.portals.find(portal => portal.contains(x, y)) || null;
     }
 
     /**
-     * Vérifie la collision entre deux serpents
+     * Applique au jeu les issues d'une collision résolue
+     * Retourne false si le serpent en mouvement (première issue) s'arrête là
      */
-    checkSnakeCollision(snake1, snake2) {
-        const head1 = snake1.getHead();
+    applyCollisionResults(results) {
+        for (const result of results) {
+            switch (result.outcome) {
+                case 'fatal':
+                    this.handleSnakeCollision(result.snake, result.contact);
+                    // Le vainqueur d'un duel grandit
+                    if (result.other && result.other.alive) {
+                        result.other.grow();
+                        this.addToSpatialHash(result.other);
+                    }
+                    break;
+                case 'absorbed':
+                case 'deflected':
+                case 'repelled':
+                    // Recul et segment blindé perdu reportés dans le hash
+                    this.addToSpatialHash(result.snake);
+                    break;
+            }
+        }
         
-        // Vérification avec tous les segments du serpent 2
-        return snake2.segments.some(segment => 
-            head1.x === segment.x && head1.y === segment.y
-        );
+        const [own] = results;
+        return this.gameState !== 'stopped' && (own.outcome === 'ignored' || own.outcome === 'unharmed');
     }
 
     /**
-     * Gère la collision d'un serpent
+     * Gère la collision fatale d'un serpent
      */
     handleSnakeCollision(snake, type) {
+        // Les segments du serpent éliminé ou réapparu ne bloquent plus personne
+        this.removeFromSpatialHash(snake);
+        
         if (snake.type === 'player') {
-            this.lives--;
-            this.audioManager.playSound('playerHit');
-            
-            if (this.lives <= 0) {
-                this.gameState = 'stopped';
-                this.audioManager.playSound('gameOver');
-            } else {
-                this.respawnPlayer();
-            }
+            this.playerModel.recordDeath(snake.getHead());
+            this.loseLife('collision');
+            this.addToSpatialHash(snake);
         } else {
             // Ennemi détruit
             const index = this.enemies.indexOf(snake);
             if (index > -1) {
                 this.enemies.splice(index, 1);
-                this.score += 50;
-                this.audioManager.playSound('enemyDestroyed');
+                this.addScore(50);
+                
+                // Les étoiles portées sont replacées aussitôt, le corps est éparpillé
+                snake.carriedStars.splice(0).forEach(star => this.releaseStar(star));
+                this.dropSegments(snake);
             }
         }
     }
 
     /**
-     * Gère la collision entre deux serpents
+     * Retours sonores et visuels des collisions
      */
-    handleSnakeVsSnakeCollision(snake1, snake2) {
-        // Le serpent le plus long survit
-        if (snake1.segments.length > snake2.segments.length) {
-            this.handleSnakeCollision(snake2, 'collision');
-            snake1.grow();
-        } else if (snake2.segments.length > snake1.segments.length) {
-            this.handleSnakeCollision(snake1, 'collision');
-            snake2.grow();
-        } else {
-            // Égalité : les deux meurent
-            this.handleSnakeCollision(snake1, 'collision');
-            this.handleSnakeCollision(snake2, 'collision');
-        }
+    setupCollisionFeedback() {
+        const burst = (result, color, count) => {
+            this.particleSystem.emit(
+                result.x * this.gridSize + this.gridSize / 2,
+                result.y * this.gridSize + this.gridSize / 2,
+                color,
+                { count, type: 'spark' }
+            );
+        };
+        
+        this.collisionResolver.on('fatal', result => {
+            const isPlayer = result.snake.type === 'player';
+            this.audioManager.playSound(isPlayer ? 'playerHit' : 'enemyDestroyed');
+            burst(result, result.snake.colors.head, 20);
+        });
+        
+        this.collisionResolver.on('absorbed', result => {
+            this.audioManager.playSound('armorHit');
+            burst(result, result.absorber === 'shield' ? POWER_UP_TYPES.shield.color : result.snake.colors.armored, 12);
+        });
+        
+        const knockback = result => {
+            this.audioManager.playSound('armorHit');
+            burst(result, '#ffffff', 6);
+        };
+        this.collisionResolver.on('deflected', knockback);
+        this.collisionResolver.on('repelled', knockback);
     }
 
     /**
@@ -365,6 +818,7 @@ export class GameEngine {
     collectItem(snake, collectible, index) {
         // Suppression de l'objet
         this.collectibles.splice(index, 1);
+        this.spatialHash.remove(collectible);
         
         // Ajout de particules
         this.particleSystem.emit(
@@ -373,40 +827,286 @@ export class GameEngine {
             collectible.color
         );
         
-        if (snake.type === 'player') {
-            // Croissance du serpent
-            snake.grow(collectible.segmentType);
-            
+        // Power-up : bonus temporaire, sans croissance
+        if (collectible.type === 'powerup') {
+            this.powerUpSystem.apply(snake, collectible.powerUp);
+            if (snake.type === 'player') {
+                this.audioManager.playSound('powerUp');
+            }
+            return;
+        }
+        
+        // Croissance du serpent (joueur comme ennemi) avec le type de segment ramassé
+        snake.grow(collectible.segmentType);
+        
+        if (collectible.type === 'segment') {
+            // Débris d'un ennemi : points et croissance seulement
+            if (snake.type === 'player') {
+                this.addScore(collectible.value);
+                this.audioManager.playSound('collect');
+            }
+        } else if (snake.type === 'player') {
             // Mise à jour du score
-            this.score += collectible.value;
+            this.addScore(collectible.value);
             
-            // Progression de la constellation
+            // Trajet appris, puis progression de la constellation
+            this.playerModel.recordStar(collectible);
             const completed = this.constellationManager.collectStar(collectible.starType);
             if (completed) {
-                this.score += 200;
+                // Le passage au niveau suivant dépend de l'objectif du niveau
+                this.addScore(200);
                 this.audioManager.playSound('constellationComplete');
-                this.nextLevel();
+                this.objectiveTracker.recordConstellation();
             } else {
                 this.audioManager.playSound('collect');
             }
+        } else {
+            this.stealStar(snake, collectible);
         }
         
-        // Respawn des collectibles
-        if (this.collectibles.length < 3) {
+        // Respawn des étoiles
+        if (this.countStars() < 3) {
             this.spawnCollectibles();
         }
     }
 
+    /**
+     * Un ennemi emporte une étoile : elle manque au joueur jusqu'à ce qu'elle soit replacée
+     */
+    stealStar(enemy, collectible) {
+        enemy.carriedStars.push({
+            starType: collectible.starType,
+            color: collectible.color,
+            timeRemaining: this.stolenStarDelay
+        });
+        this.audioManager.playSound('starStolen');
+    }
+
+    /**
+     * Décompte le délai des étoiles volées
+     */
+    updateStolenStars(deltaTime) {
+        for (const enemy of this.enemies) {
+            for (const star of [...enemy.carriedStars]) {
+                star.timeRemaining = Math.max(0, star.timeRemaining - deltaTime);
+                
+                // Sans case libre, l'étoile reste portée jusqu'au tick suivant
+                if (star.timeRemaining === 0 && this.releaseStar(star)) {
+                    enemy.carriedStars.splice(enemy.carriedStars.indexOf(star), 1);
+                }
+            }
+        }
+    }
+
+    /**
+     * Replace une étoile volée sur une case libre
+     */
+    releaseStar(star) {
+        const pos = this.findEmptyPosition();
+        if (!pos) return false;
+        
+        this.addCollectible(this.createStar(pos.x, pos.y, star.starType));
+        this.particleSystem.emit(
+            pos.x * this.gridSize + this.gridSize / 2,
+            pos.y * this.gridSize + this.gridSize / 2,
+            star.color
+        );
+        return true;
+    }
+
+    /**
+     * Étoiles portées par les ennemis (numérotés à partir de 1)
+     */
+    getStolenStars() {
+        return this.enemies.flatMap((enemy, index) => enemy.carriedStars.map(star => ({
+            enemy: index + 1,
+            starType: star.starType,
+            color: star.color,
+            timeRemaining: star.timeRemaining
+        })));
+    }
+
+    /**
+     * Éparpille le corps d'un ennemi détruit en collectibles gardant le type de chaque segment
+     */
+    dropSegments(enemy) {
+        const head = enemy.getHead();
+        this.particleSystem.explosion(
+            head.x * this.gridSize + this.gridSize / 2,
+            head.y * this.gridSize + this.gridSize / 2,
+            enemy.colors.head,
+            Math.min(2, 0.5 + enemy.segments.length * 0.1)
+        );
+        
+        for (const segment of enemy.segments.slice(1)) {
+            if (!this.canDropAt(segment.x, segment.y)) continue;
+            
+            this.addCollectible({
+                x: segment.x,
+                y: segment.y,
+                type: 'segment',
+                segmentType: segment.type,
+                value: 5,
+                color: enemy.segmentTypes[segment.type].color,
+                timeRemaining: this.droppedSegmentLifetime
+            });
+        }
+    }
+
+    /**
+     * Vérifie qu'un segment lâché peut occuper une case
+     */
+    canDropAt(x, y) {
+        if (x < 0 || x >= this.gridWidth || y < 0 || y >= this.gridHeight) return false;
+        if (this.getWallAt(x, y) || this.getPortalAt(x, y) || this.getSnakeAt(x, y)) return false;
+        
+        return !this.spatialHash.queryPoint(x, y)
+            .some(object => object.x === x && object.y === y && this.collectibles.includes(object));
+    }
+
+    /**
+     * Fait disparaître les collectibles éphémères arrivés à expiration
+     * (segments lâchés et power-ups)
+     */
+    updateExpiringCollectibles(deltaTime) {
+        for (const collectible of [...this.collectibles]) {
+            if (collectible.timeRemaining === undefined) continue;
+            
+            collectible.timeRemaining = Math.max(0, collectible.timeRemaining - deltaTime);
+            if (collectible.timeRemaining === 0) {
+                this.collectibles.splice(this.collectibles.indexOf(collectible), 1);
+                this.spatialHash.remove(collectible);
+            }
+        }
+    }
+
+    /**
+     * Pose régulièrement un power-up dans l'arène (un seul à la fois)
+     */
+    updatePowerUpSpawns(deltaTime) {
+        this.powerUpSpawnTimer -= deltaTime;
+        if (this.powerUpSpawnTimer > 0) return;
+        
+        this.powerUpSpawnTimer += this.powerUpSpawnInterval;
+        if (this.collectibles.some(collectible => collectible.type === 'powerup')) return;
+        
+        this.spawnPowerUp();
+    }
+
+    /**
+     * Pose un power-up sur une case libre
+     */
+    spawnPowerUp(powerUp = this.powerUpSystem.pickType()) {
+        const pos = this.findEmptyPosition(1);
+        if (!pos) return null;
+        
+        const pickup = this.powerUpSystem.createPickup(pos.x, pos.y, powerUp);
+        this.addCollectible(pickup);
+        return pickup;
+    }
+
+    /**
+     * Ajoute des points au score (multiplicateur du joueur compris)
+     */
+    addScore(points) {
+        this.score += points * this.powerUpSystem.getScoreMultiplier(this.playerSnake);
+    }
+
+    /**
+     * Nombre d'étoiles présentes dans l'arène (hors débris d'ennemis)
+     */
+    countStars() {
+        return this.collectibles.filter(collectible => collectible.type === 'star').length;
+    }
+
     /**
      * Fait réapparaître le joueur
      */
     respawnPlayer() {
-        const startX = Math.floor(this.gridWidth / 2);
-        const startY = Math.floor(this.gridHeight / 2);
-        this.playerSnake.reset(startX, startY);
+        const spawn = this.getSpawnPoint();
+        this.playerSnake.reset(spawn.x, spawn.y);
         
         // Invincibilité temporaire
         this.playerSnake.setInvulnerable(2000);
+        this.playerModel.resetTrail();
+        this.objectiveTracker.recordRespawn();
+    }
+
+    /**
+     * Retourne le point d'apparition du joueur (centre de la grille par défaut)
+     */
+    getSpawnPoint() {
+        const levelData = this.levelManager.getCurrentLevel();
+        if (levelData && levelData.spawnPoint) {
+            return { x: levelData.spawnPoint.x, y: levelData.spawnPoint.y };
+        }
+        
+        return {
+            x: Math.floor(this.gridWidth / 2),
+            y: Math.floor(this.gridHeight / 2)
+        };
+    }
+
+    /**
+     * Retire une vie au joueur et termine la partie s'il n'en reste plus
+     */
+    loseLife(reason) {
+        this.lives--;
+        
+        if (this.lives <= 0) {
+            this.endGame(reason);
+        } else {
+            this.respawnPlayer();
+        }
+    }
+
+    /**
+     * Termine la partie
+     */
+    endGame(reason) {
+        this.gameState = 'stopped';
+        this.gameOverReason = reason;
+        this.replayRecorder.stop();
+        this.audioManager.playSound('gameOver');
+    }
+
+    /**
+     * Décompte le temps du niveau (en temps simulé, donc figé pendant la pause)
+     */
+    updateLevelClock(deltaTime) {
+        if (this.timeLimit <= 0 || this.gameState === 'stopped') return;
+        
+        const previous = this.timeRemaining;
+        this.timeRemaining = Math.max(0, this.timeRemaining - deltaTime);
+        
+        // Bip à chaque seconde entamée sous le seuil d'alerte
+        if (this.timeRemaining > 0 &&
+            this.timeRemaining <= this.timerWarningThreshold &&
+            Math.ceil(this.timeRemaining) < Math.ceil(previous)) {
+            this.audioManager.playSound('timerWarning');
+        }
+        
+        if (this.timeRemaining === 0) {
+            this.handleTimeout();
+        }
+    }
+
+    /**
+     * Applique la conséquence du temps écoulé définie par le niveau
+     */
+    handleTimeout() {
+        this.audioManager.playSound('timeUp');
+        
+        if (this.timeoutOutcome === 'fail_level') {
+            this.endGame('timeout');
+            return;
+        }
+        
+        // 'lose_life' : le chrono repart pour une nouvelle tentative
+        this.loseLife('timeout');
+        if (this.gameState === 'running') {
+            this.timeRemaining = this.timeLimit;
+        }
     }
 
     /**
@@ -417,7 +1117,9 @@ export class GameEngine {
         this.gameSpeed = Math.min(this.gameSpeed + 0.5, 15);
         this.updateInterval = 1000 / this.gameSpeed;
         
-        this.levelManager.loadLevel(this.level);
+        // Un niveau personnalisé recommence une fois terminé
+        const current = this.levelManager.getCurrentLevel();
+        this.levelManager.loadLevel(current.custom ? current.source : this.level);
         this.setupLevel();
     }
 
@@ -426,32 +1128,52 @@ export class GameEngine {
      */
     spawnCollectibles() {
         const neededStars = this.constellationManager.getNeededStars();
+        const stolen = this.getStolenStars().map(star => star.starType);
         
         for (const starType of neededStars) {
-            if (this.collectibles.length >= 5) break;
+            if (this.countStars() >= 5) break;
+            
+            // Une étoile volée ne réapparaît qu'une fois replacée
+            if (stolen.includes(starType)) continue;
             
             const pos = this.findEmptyPosition();
             if (pos) {
-                this.collectibles.push({
-                    x: pos.x,
-                    y: pos.y,
-                    type: 'star',
-                    starType: starType,
-                    segmentType: this.getRandomSegmentType(),
-                    value: 10,
-                    color: this.constellationManager.getStarColor(starType)
-                });
+                this.addCollectible(this.createStar(pos.x, pos.y, starType));
             }
         }
     }
 
+    /**
+     * Ajoute un collectible au jeu et au hash spatial
+     */
+    addCollectible(collectible) {
+        this.collectibles.push(collectible);
+        this.spatialHash.add(collectible, collectible.x, collectible.y);
+        this.hashedCollectibles.add(collectible);
+    }
+
+    /**
+     * Crée une étoile à collecter
+     */
+    createStar(x, y, starType) {
+        return {
+            x,
+            y,
+            type: 'star',
+            starType: starType,
+            segmentType: this.getRandomSegmentType(),
+            value: 10,
+            color: this.constellationManager.getStarColor(starType)
+        };
+    }
+
     /**
      * Trouve une position vide
      */
-    findEmptyPosition() {
+    findEmptyPosition(margin = 0) {
         for (let attempts = 0; attempts < 100; attempts++) {
-            const x = Math.floor(Math.random() * this.gridWidth);
-            const y = Math.floor(Math.random() * this.gridHeight);
+            const x = margin + this.rng.nextInt(this.gridWidth - margin * 2);
+            const y = margin + this.rng.nextInt(this.gridHeight - margin * 2);
             
             if (this.isPositionEmpty(x, y)) {
                 return { x, y };
@@ -465,11 +1187,8 @@ export class GameEngine {
      */
     isPositionEmpty(x, y) {
         // Vérification avec tous les serpents
-        const allSnakes = [this.playerSnake, ...this.enemies];
-        for (const snake of allSnakes) {
-            if (snake.segments.some(segment => segment.x === x && segment.y === y)) {
-                return false;
-            }
+        if (this.getSnakeAt(x, y)) {
+            return false;
         }
         
         // Vérification avec les puits gravitationnels
@@ -480,6 +1199,11 @@ export class GameEngine {
             }
         }
         
+        // Vérification avec les murs et les portails
+        if (this.getWallAt(x, y) || this.getPortalAt(x, y)) {
+            return false;
+        }
+        
         return true;
     }
 
@@ -488,22 +1212,19 @@ export class GameEngine {
      */
     getRandomSegmentType() {
         const types = ['normal', 'armored', 'booster', 'magnetic'];
-        return types[Math.floor(Math.random() * types.length)];
+        return this.rng.pick(types);
     }
 
     /**
      * Vérifie les objectifs du niveau
      */
     checkLevelObjectives() {
-        // Vérification si tous les ennemis sont détruits
-        if (this.enemies.length === 0) {
-            const levelData = this.levelManager.getCurrentLevel();
-            if (levelData.enemies.length > 0) {
-                // Bonus pour niveau nettoyé
-                this.score += 100;
-                this.audioManager.playSound('levelClear');
-            }
-        }
+        if (this.gameState !== 'running' || !this.objectiveTracker.isComplete()) return;
+        
+        // Bonus pour objectif atteint
+        this.addScore(100);
+        this.audioManager.playSound('levelClear');
+        this.nextLevel();
     }
 
     /**
@@ -518,35 +1239,49 @@ export class GameEngine {
      * Gère le redimensionnement
      */
     handleResize(width, height) {
+        // La taille de grille fait partie de la simulation rejouée
+        if (this.gameState !== 'stopped') {
+            this.replayRecorder.record(this.tick, 'resize', width, height);
+        }
+        
         this.width = width;
         this.height = height;
         this.gridWidth = Math.floor(width / this.gridSize);
         this.gridHeight = Math.floor(height / this.gridSize);
         
-        this.spatialHash = new SpatialHash(this.gridSize);
+        this.spatialHash = new SpatialHash(1);
+        this.resetSpatialHash();
+        this.syncSpatialHash();
     }
 
     /**
      * Effectue le rendu du jeu
      */
     render() {
+        if (!this.ctx) return;
+        
         // Effacement du canvas
         this.ctx.fillStyle = '#0a0a0a';
         this.ctx.fillRect(0, 0, this.width, this.height);
         
         // Rendu de la grille (optionnel)
-        if (window.DEBUG_MODE) {
+        if (this.isDebugMode()) {
             this.renderGrid();
         }
         
         // Rendu des puits gravitationnels
         this.gravityWells.forEach(well => well.render(this.ctx, this.gridSize));
         
+        // Rendu des murs et portails
+        this.walls.forEach(wall => wall.render(this.ctx, this.gridSize));
+        this.portals.forEach(portal => portal.render(this.ctx, this.gridSize));
+        
         // Rendu des collectibles
         this.renderCollectibles();
         
-        // Rendu des serpents ennemis
+        // Rendu des serpents ennemis et des étoiles qu'ils portent
         this.enemies.forEach(enemy => enemy.render(this.ctx, this.gridSize));
+        this.renderStolenStars();
         
         // Rendu du serpent joueur
         this.playerSnake.render(this.ctx, this.gridSize);
@@ -554,12 +1289,29 @@ export class GameEngine {
         // Rendu des particules
         this.particleSystem.render(this.ctx);
         
+        // Voile de la tempête cosmique
+        this.spaceWeather.render(this.ctx);
+        
+        // Radar stellaire (visible même dans la tempête)
+        this.powerUpSystem.render(this.ctx);
+        
         // Rendu des effets de debug
-        if (window.DEBUG_MODE) {
+        if (this.isDebugMode()) {
             this.renderDebugInfo();
+            this.playerModel.render(this.ctx);
         }
     }
 
+    /**
+     * Indique si le mode debug est actif
+     */
+    isDebugMode() {
+        if (this.debugMode !== undefined) {
+            return this.debugMode;
+        }
+        return typeof window !== 'undefined' && !!window.DEBUG_MODE;
+    }
+
     /**
      * Rendu de la grille de debug
      */
@@ -587,6 +1339,15 @@ export class GameEngine {
      */
     renderCollectibles() {
         this.collectibles.forEach(collectible => {
+            if (collectible.type === 'segment') {
+                this.renderDroppedSegment(collectible);
+                return;
+            }
+            if (collectible.type === 'powerup') {
+                this.renderPowerUpPickup(collectible);
+                return;
+            }
+            
             const x = collectible.x * this.gridSize + this.gridSize / 2;
             const y = collectible.y * this.gridSize + this.gridSize / 2;
             const radius = this.gridSize * 0.3;
@@ -613,6 +1374,73 @@ export class GameEngine {
         });
     }
 
+    /**
+     * Rendu d'un segment lâché (clignote avant de disparaître)
+     */
+    renderDroppedSegment(collectible) {
+        if (collectible.timeRemaining < 2 && Math.floor(Date.now() / 150) % 2) return;
+        
+        const size = this.gridSize * 0.6;
+        const x = collectible.x * this.gridSize + (this.gridSize - size) / 2;
+        const y = collectible.y * this.gridSize + (this.gridSize - size) / 2;
+        
+        this.ctx.fillStyle = collectible.color;
+        this.ctx.globalAlpha = 0.8;
+        this.ctx.fillRect(x, y, size, size);
+        this.ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Rendu d'un power-up à ramasser (clignote avant de disparaître)
+     */
+    renderPowerUpPickup(collectible) {
+        if (collectible.timeRemaining < 2 && Math.floor(Date.now() / 150) % 2) return;
+        
+        const x = collectible.x * this.gridSize + this.gridSize / 2;
+        const y = collectible.y * this.gridSize + this.gridSize / 2;
+        
+        this.ctx.strokeStyle = collectible.color;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, this.gridSize * 0.45, 0, Math.PI * 2);
+        this.ctx.stroke();
+        
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = `${Math.round(this.gridSize * 0.6)}px sans-serif`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(POWER_UP_TYPES[collectible.powerUp].icon, x, y);
+        this.ctx.textBaseline = 'alphabetic';
+    }
+
+    /**
+     * Rendu des étoiles volées au-dessus de la tête de leur porteur
+     */
+    renderStolenStars() {
+        this.enemies.forEach((enemy, index) => {
+            if (enemy.carriedStars.length === 0) return;
+            
+            const head = enemy.getHead();
+            const y = head.y * this.gridSize - this.gridSize * 0.4;
+            
+            enemy.carriedStars.forEach((star, i) => {
+                const offset = (i - (enemy.carriedStars.length - 1) / 2) * this.gridSize * 0.5;
+                const x = head.x * this.gridSize + this.gridSize / 2 + offset;
+                
+                this.ctx.fillStyle = star.color;
+                this.ctx.beginPath();
+                this.ctx.arc(x, y, this.gridSize * 0.2, 0, Math.PI * 2);
+                this.ctx.fill();
+            });
+            
+            // Numéro de l'ennemi, repris dans le HUD
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.font = `${Math.round(this.gridSize * 0.5)}px monospace`;
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(String(index + 1), head.x * this.gridSize + this.gridSize / 2, y - this.gridSize * 0.3);
+        });
+    }
+
     /**
      * Rendu des informations de debug
      */
@@ -625,6 +1453,119 @@ export class GameEngine {
         this.ctx.fillText(`Speed: ${this.gameSpeed}`, 10, 65);
     }
 
+    /**
+     * Sérialise l'état complet de la simulation (sauvegarde en cours de partie)
+     */
+    serialize() {
+        return {
+            width: this.width,
+            height: this.height,
+            score: this.score,
+            level: this.level,
+            lives: this.lives,
+            gameSpeed: this.gameSpeed,
+            tick: this.tick,
+            timeRemaining: this.timeRemaining,
+            powerUpSpawnTimer: this.powerUpSpawnTimer,
+            rng: this.rng.getState(),
+            player: this.playerSnake.saveState(),
+            enemies: this.enemies.map(enemy => ({
+                snake: enemy.saveState(),
+                ai: enemy.ai.saveState()
+            })),
+            gravityWells: this.gravityWells.map(well => well.saveState()),
+            walls: this.walls.map(wall => wall.saveState()),
+            portals: this.portals.map(portal => ({
+                ...portal.saveState(),
+                linked: this.portals.indexOf(portal.linkedPortal)
+            })),
+            collectibles: this.collectibles.map(collectible => ({ ...collectible })),
+            constellation: this.constellationManager.saveState(),
+            weather: this.spaceWeather.saveState(),
+            objective: this.objectiveTracker.saveState(),
+            playerModel: this.playerModel.saveState(),
+            squad: this.squadCoordinator.saveState(),
+            replay: this.replayRecorder.export()
+        };
+    }
+
+    /**
+     * Restaure une partie sérialisée ; la partie reprend en pause
+     */
+    restore(state) {
+        if (!state || !state.player) {
+            throw new Error('État de partie invalide');
+        }
+        
+        // La grille sauvegardée s'impose pour que les positions restent valides
+        this.replayRecorder.stop();
+        this.handleResize(state.width, state.height);
+        
+        this.score = state.score;
+        this.level = state.level;
+        this.lives = state.lives;
+        this.gameSpeed = state.gameSpeed;
+        this.updateInterval = 1000 / this.gameSpeed;
+        this.tick = state.tick;
+        this.replayPlayer = null;
+        
+        const levelData = this.levelManager.loadLevel(this.level);
+        this.timeLimit = levelData.timeLimit || 0;
+        this.timeRemaining = state.timeRemaining ?? this.timeLimit;
+        this.powerUpSpawnTimer = state.powerUpSpawnTimer ?? this.powerUpSpawnInterval;
+        this.timeoutOutcome = levelData.timeoutOutcome || 'lose_life';
+        this.gameOverReason = null;
+        this.playerSnake.loadState(state.player);
+        
+        this.enemies = state.enemies.map(({ snake, ai }) => {
+            const enemySnake = new Snake(snake.segments[0].x, snake.segments[0].y, 'enemy', this.rng);
+            enemySnake.ai = new EnemyAI(enemySnake, this, { behavior: ai.behaviorType });
+            enemySnake.ai.loadState(ai);
+            enemySnake.loadState(snake);
+            return enemySnake;
+        });
+        
+        this.gravityWells = state.gravityWells.map(well => GravityWell.fromState(well));
+        this.walls = (state.walls || []).map(wall => Wall.fromState(wall));
+        this.portals = (state.portals || []).map(portal => new Portal(portal.x, portal.y, portal.color));
+        (state.portals || []).forEach((portal, i) => {
+            if (portal.linked >= 0) {
+                this.portals[i].linkedPortal = this.portals[portal.linked];
+            }
+        });
+        this.collectibles = state.collectibles.map(collectible => ({ ...collectible }));
+        this.constellationManager.loadState(state.constellation);
+        if (state.weather) {
+            this.spaceWeather.loadState(state.weather);
+        } else {
+            this.spaceWeather.configure(levelData);
+        }
+        if (state.objective) {
+            this.objectiveTracker.loadState(state.objective);
+        } else {
+            this.objectiveTracker.configure(levelData);
+        }
+        if (state.playerModel) {
+            this.playerModel.loadState(state.playerModel);
+        } else {
+            this.playerModel.reset();
+        }
+        if (state.squad) {
+            this.squadCoordinator.loadState(state.squad);
+        } else {
+            this.squadCoordinator.configure(levelData);
+        }
+        this.resetSpatialHash();
+        this.syncSpatialHash();
+        
+        // Le générateur est restauré en dernier : la création des entités l'a consommé
+        this.rng.setState(state.rng);
+        this.replayRecorder.restore(state.replay);
+        
+        this.gameState = 'paused';
+        this.lastUpdate = this.clock.now();
+    }
+
     /**
      * Retourne l'état actuel du jeu
      */
@@ -635,8 +1576,18 @@ export class GameEngine {
             score: this.score,
             level: this.level,
             lives: this.lives,
+            tick: this.tick,
+            seed: this.rng.getSeed(),
+            gameOverReason: this.gameOverReason,
+            timeLimit: this.timeLimit,
+            timeRemaining: this.timeRemaining,
+            timeWarning: this.timeLimit > 0 && this.timeRemaining <= this.timerWarningThreshold,
+            weather: this.spaceWeather.getStatus(),
+            objective: this.objectiveTracker.getStatus(),
             constellationProgress: this.constellationManager.getProgress(),
-            playerPowerUps: this.playerSnake ? this.playerSnake.getActivePowerUps() : []
+            playerPowerUps: this.playerSnake ? this.playerSnake.getActivePowerUps() : [],
+            playerBoost: this.playerSnake ? this.playerSnake.getBoostStatus() : null,
+            stolenStars: this.getStolenStars()
         };
     }
 }
\ No newline at end of file
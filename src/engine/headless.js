@@ -0,0 +1,76 @@
+/**
+ * Outils pour exécuter la simulation sans navigateur
+ * Horloge manuelle, sortie audio muette et fabrique de moteur headless
+ */
+
+import { GameEngine } from './game-engine.js';
+
+/**
+ * Horloge pilotée manuellement (tests, replays)
+ */
+export class ManualClock {
+    constructor(startTime = 0) {
+        this.time = startTime;
+    }
+
+    /**
+     * Retourne le temps courant en millisecondes
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Avance l'horloge
+     */
+    advance(milliseconds) {
+        this.time += milliseconds;
+        return this.time;
+    }
+}
+
+/**
+ * Sortie audio muette : accepte les mêmes appels que l'AudioManager
+ */
+export class SilentAudioSink {
+    constructor() {
+        this.enabled = false;
+        this.playedSounds = [];
+    }
+
+    /**
+     * Mémorise le son demandé sans le jouer
+     */
+    playSound(name) {
+        this.playedSounds.push(name);
+    }
+
+    stopAllSounds() {}
+
+    setMasterVolume() {}
+}
+
+/**
+ * Crée un moteur de jeu sans canvas ni fenêtre
+ */
+export function createHeadlessEngine(options = {}) {
+    const {
+        width = 800,
+        height = 600,
+        clock = new ManualClock(),
+        audioSink = new SilentAudioSink(),
+        renderTarget = null,
+        seed,
+        fullSpatialScan = false
+    } = options;
+
+    return new GameEngine(null, audioSink, {
+        width,
+        height,
+        clock,
+        renderTarget,
+        seed,
+        fullSpatialScan,
+        debug: false
+    });
+}
@@ -18,6 +18,7 @@ export class InputManager {
         // Callbacks
         this.directionCallback = null;
         this.actionCallbacks = new Map();
+        this.releaseCallbacks = new Map();
         
         // Configuration
         this.swipeThreshold = 30;
@@ -77,6 +78,7 @@ export class InputManager {
             'Space': 'boost',
             'ShiftLeft': 'boost',
             'ShiftRight': 'boost',
+            'KeyE': 'dash',
             'Escape': 'pause',
             'KeyP': 'pause',
             'Enter': 'confirm',
@@ -129,14 +131,6 @@ export class InputManager {
             }
             mouseDown = false;
         });
-        
-        // Gestion de la molette pour actions spéciales
-        document.addEventListener('wheel', (event) => {
-            if (Math.abs(event.deltaY) > 10) {
-                event.preventDefault();
-                this.handleInput('boost', true);
-            }
-        });
     }
 
     /**
@@ -181,8 +175,8 @@ export class InputManager {
                         const direction = this.calculateSwipeDirection(deltaX, deltaY);
                         this.handleInput(direction, true);
                     } else if (duration < 200) {
-                        // Tap rapide = boost
-                        this.handleInput('boost', true);
+                        // Tap rapide = dash d'urgence
+                        this.handleInput('dash', true);
                     }
                     
                     this.touchState.active = false;
@@ -248,15 +242,26 @@ export class InputManager {
         
         const boostBtn = document.getElementById('boostBtn');
         if (boostBtn) {
+            // Le boost reste actif tant que le bouton est maintenu
             boostBtn.addEventListener('touchstart', (event) => {
                 event.preventDefault();
                 this.handleInput('boost', true);
             });
             
-            boostBtn.addEventListener('click', (event) => {
+            boostBtn.addEventListener('touchend', (event) => {
+                event.preventDefault();
+                this.handleInput('boost', false);
+            });
+            
+            boostBtn.addEventListener('mousedown', (event) => {
                 event.preventDefault();
                 this.handleInput('boost', true);
             });
+            
+            boostBtn.addEventListener('mouseup', (event) => {
+                event.preventDefault();
+                this.handleInput('boost', false);
+            });
         }
     }
 
@@ -264,7 +269,14 @@ export class InputManager {
      * Gère les entrées unifiées
      */
     handleInput(action, pressed) {
-        if (!pressed) return; // On ne gère que les pressions pour l'instant
+        // Relâchements : seulement pour les actions maintenues
+        if (!pressed) {
+            const callback = this.releaseCallbacks.get(action);
+            if (callback) {
+                callback();
+            }
+            return;
+        }
         
         // Directions
         if (['up', 'down', 'left', 'right'].includes(action)) {
@@ -383,10 +395,18 @@ export class InputManager {
         if (gamepad.buttons[0].pressed && !this.gamepadState.buttonA) { // A/Cross
             this.handleInput('boost', true);
             this.gamepadState.buttonA = true;
-        } else if (!gamepad.buttons[0].pressed) {
+        } else if (!gamepad.buttons[0].pressed && this.gamepadState.buttonA) {
+            this.handleInput('boost', false);
             this.gamepadState.buttonA = false;
         }
         
+        if (gamepad.buttons[1].pressed && !this.gamepadState.buttonB) { // B/Circle
+            this.handleInput('dash', true);
+            this.gamepadState.buttonB = true;
+        } else if (!gamepad.buttons[1].pressed) {
+            this.gamepadState.buttonB = false;
+        }
+        
         if (gamepad.buttons[9].pressed && !this.gamepadState.start) { // Start
             this.handleInput('pause', true);
             this.gamepadState.start = true;
@@ -447,11 +467,19 @@ export class InputManager {
         this.actionCallbacks.set(action, callback);
     }
 
+    /**
+     * Définit le callback de relâchement d'une action maintenue
+     */
+    onActionRelease(action, callback) {
+        this.releaseCallbacks.set(action, callback);
+    }
+
     /**
      * Supprime un callback d'action
      */
     removeAction(action) {
         this.actionCallbacks.delete(action);
+        this.releaseCallbacks.delete(action);
     }
 
     /**
@@ -3,18 +3,65 @@
  * Implémente des comportements variés et adaptatifs
  */
 
+const BEHAVIORS = ['hunter', 'collector', 'territorial', 'mimic', 'opportunist'];
+
+// Paramètres de comportement qu'un niveau peut surcharger ennemi par ennemi
+const OVERRIDABLE_PARAMS = ['aggressiveness', 'playerTrackingRange', 'speedModifier', 'reactionTime'];
+
+// Déplacements unitaires par nom de direction
+const DIRECTIONS = {
+    right: { x: 1, y: 0 },
+    left: { x: -1, y: 0 },
+    down: { x: 0, y: 1 },
+    up: { x: 0, y: -1 }
+};
+
+// Délai (secondes simulées) entre deux planifications de chemin,
+// plus court que le plus vif des temps de réaction
+const PATHFINDING_INTERVAL = 0.5;
+
+// Tolérance d'arrondi des délais (cinq ticks de 0.2 s font bien une seconde)
+const TIME_EPSILON = 1e-9;
+
+/**
+ * Décompte un délai d'un tick, sans descendre sous zéro
+ */
+function countDown(remaining, tickSeconds) {
+    const left = remaining - tickSeconds;
+    return left > TIME_EPSILON ? left : 0;
+}
+
+// Anticipation de la gravité selon la difficulté : horizon de prédiction (ticks)
+// et aversion pour les zones de forte gravité ; les plus difficiles, sans aversion
+// ou attirées par les puits, profitent de leur élan (fronde gravitationnelle)
+const GRAVITY_AWARENESS = {
+    easy: { horizon: 2, caution: 1 },
+    medium: { horizon: 3, caution: 0.5 },
+    hard: { horizon: 4, caution: 0 },
+    extreme: { horizon: 5, caution: -0.5 }
+};
+
+// Avantage (en cases) de la direction du chemin planifié face aux trajectoires prédites
+const PLAN_BONUS = 1;
+
 export class EnemyAI {
-    constructor(snake, gameEngine) {
+    constructor(snake, gameEngine, config = {}) {
         this.snake = snake;
         this.gameEngine = gameEngine;
         
-        // Type de comportement IA
-        this.behaviorType = this.selectRandomBehavior();
+        // Type de comportement IA (imposé par le niveau, sinon aléatoire)
+        this.behaviorType = BEHAVIORS.includes(config.behavior)
+            ? config.behavior
+            : this.selectRandomBehavior();
+        
+        // Difficulté (niveaux procéduraux), qui règle l'anticipation de la gravité
+        this.difficulty = GRAVITY_AWARENESS[config.difficulty] ? config.difficulty : 'medium';
         
-        // État de l'IA
+        // État de l'IA (délais en secondes simulées)
         this.currentTarget = null;
         this.pathfindingCooldown = 0;
         this.decisionCooldown = 0;
+        this.mimicTimer = 0;
         this.stuckCounter = 0;
         this.lastPosition = { x: 0, y: 0 };
         
@@ -27,22 +74,39 @@ export class EnemyAI {
             collisionAvoidance: true
         };
         
-        // Paramètres selon le comportement
+        // Paramètres selon le comportement, surchargés par le niveau
+        this.paramOverrides = {};
+        for (const param of OVERRIDABLE_PARAMS) {
+            if (Number.isFinite(config[param])) {
+                this.paramOverrides[param] = config[param];
+            }
+        }
         this.behaviorParams = this.getBehaviorParameters();
         
+        // Vitesse propre au comportement
+        this.snake.baseSpeed = this.behaviorParams.speedModifier;
+        this.snake.speed = this.snake.baseSpeed;
+        
         console.log(`IA créée avec comportement: ${this.behaviorType}`);
     }
 
+    /**
+     * Tire un nombre aléatoire depuis le générateur de la partie
+     */
+    random() {
+        return this.gameEngine.rng.next();
+    }
+
     /**
      * Sélectionne un comportement aléatoire
      */
     selectRandomBehavior() {
-        const behaviors = ['hunter', 'collector', 'territorial', 'mimic', 'opportunist'];
-        return behaviors[Math.floor(Math.random() * behaviors.length)];
+        return this.gameEngine.rng.pick(BEHAVIORS);
     }
 
     /**
      * Retourne les paramètres selon le comportement
+     * (reactionTime : secondes simulées entre deux décisions)
      */
     getBehaviorParameters() {
         const params = {
@@ -51,6 +115,7 @@ export class EnemyAI {
                 collectProbability: 0.2,
                 playerTrackingRange: 8,
                 avoidanceRadius: 3,
+                reactionTime: 0.5,
                 speedModifier: 1.2
             },
             collector: {
@@ -58,6 +123,7 @@ export class EnemyAI {
                 collectProbability: 0.9,
                 playerTrackingRange: 4,
                 avoidanceRadius: 5,
+                reactionTime: 1.2,
                 speedModifier: 0.9
             },
             territorial: {
@@ -66,6 +132,7 @@ export class EnemyAI {
                 playerTrackingRange: 6,
                 avoidanceRadius: 4,
                 territoryRadius: 10,
+                reactionTime: 1.0,
                 speedModifier: 1.0
             },
             mimic: {
@@ -73,7 +140,8 @@ export class EnemyAI {
                 collectProbability: 0.6,
                 playerTrackingRange: 10,
                 avoidanceRadius: 2,
-                mimicDelay: 1000,
+                mimicDelay: 1,
+                reactionTime: 0.8,
                 speedModifier: 1.1
             },
             opportunist: {
@@ -82,22 +150,32 @@ export class EnemyAI {
                 playerTrackingRange: 7,
                 avoidanceRadius: 4,
                 opportunityRadius: 6,
+                reactionTime: 0.7,
                 speedModifier: 1.0
             }
         };
         
-        return params[this.behaviorType] || params.collector;
+        return { ...(params[this.behaviorType] || params.collector), ...this.paramOverrides };
     }
 
     /**
-     * Met à jour l'IA
+     * Met à jour l'IA d'un tick (durée simulée tickSeconds) :
+     * le rythme des décisions ne dépend ni de la vitesse du jeu ni de l'horloge réelle
      */
-    update() {
+    update(tickSeconds) {
         if (!this.snake.alive) return;
         
         // Mise à jour des cooldowns
-        if (this.pathfindingCooldown > 0) this.pathfindingCooldown--;
-        if (this.decisionCooldown > 0) this.decisionCooldown--;
+        this.pathfindingCooldown = countDown(this.pathfindingCooldown, tickSeconds);
+        this.decisionCooldown = countDown(this.decisionCooldown, tickSeconds);
+        
+        // Imitation différée du joueur
+        if (this.mimicTimer > 0) {
+            this.mimicTimer = countDown(this.mimicTimer, tickSeconds);
+            if (this.mimicTimer === 0 && this.memory.lastPlayerPosition) {
+                this.setTarget(this.memory.lastPlayerPosition, 'mimic');
+            }
+        }
         
         // Détection de blocage
         this.detectStuck();
@@ -105,9 +183,13 @@ export class EnemyAI {
         // Prise de décision principale
         if (this.decisionCooldown <= 0) {
             this.makeDecision();
-            this.decisionCooldown = 30; // Nouvelle décision toutes les 0.5 secondes
+            this.decisionCooldown = this.behaviorParams.reactionTime;
         }
         
+        // Suivi du chemin planifié puis refus des cases dangereuses ou des impasses, à chaque tick
+        this.followPath();
+        this.applyCollisionAvoidance();
+        
         // Mise à jour de la mémoire
         this.updateMemory();
     }
@@ -119,6 +201,12 @@ export class EnemyAI {
         // Évaluation de l'environnement
         const environment = this.analyzeEnvironment();
         
+        // Cible et chemin redéfinis par le comportement
+        const previousTarget = this.currentTarget;
+        const previousPath = this.memory.safePath;
+        this.currentTarget = null;
+        this.memory.safePath = [];
+        
         // Décision selon le comportement
         switch (this.behaviorType) {
             case 'hunter':
@@ -138,8 +226,11 @@ export class EnemyAI {
                 break;
         }
         
-        // Application de l'évitement de collision
-        this.applyCollisionAvoidance();
+        // Même cible que la décision précédente : le chemin planifié reste valable
+        if (this.currentTarget && previousTarget && this.memory.safePath.length === 0 &&
+            this.currentTarget.x === previousTarget.x && this.currentTarget.y === previousTarget.y) {
+            this.memory.safePath = previousPath;
+        }
     }
 
     /**
@@ -156,7 +247,11 @@ export class EnemyAI {
             myPosition: head,
             playerPosition: playerSnake ? playerSnake.getHead() : null,
             playerDistance: playerSnake ? this.calculateDistance(head, playerSnake.getHead()) : Infinity,
-            nearestCollectible: this.findNearestCollectible(collectibles, head),
+            // Objets réservés par un autre ennemi laissés de côté
+            nearestCollectible: this.findNearestCollectible(
+                collectibles.filter(collectible => !this.gameEngine.squadCoordinator.isClaimedByOther(collectible, this.snake)),
+                head
+            ),
             nearestEnemy: this.findNearestEnemy(enemies, head),
             nearestGravityWell: this.findNearestGravityWell(gravityWells, head),
             dangers: this.identifyDangers(head),
@@ -168,18 +263,25 @@ export class EnemyAI {
      * Comportement chasseur
      */
     hunterBehavior(env) {
+        if (this.followSquadOrder()) return;
+        
         if (env.playerPosition && env.playerDistance < this.behaviorParams.playerTrackingRange) {
-            // Chasse agressive du joueur
-            this.setTarget(env.playerPosition, 'hunt');
-            
-            // Tentative de prédiction du mouvement
-            if (this.memory.lastPlayerPosition) {
-                const predictedPosition = this.predictPlayerMovement(env.playerPosition);
-                if (predictedPosition) {
-                    this.setTarget(predictedPosition, 'intercept');
-                }
+            // Chasse agressive du joueur, vers sa position prédite si son mouvement est connu
+            // (une seule cible par décision : le chemin est planifié vers celle-ci)
+            const predictedPosition = this.predictPlayerMovement(env.playerPosition);
+            if (predictedPosition) {
+                this.setTarget(predictedPosition, 'intercept');
+            } else {
+                this.setTarget(env.playerPosition, 'hunt');
             }
-        } else if (env.nearestCollectible && Math.random() < this.behaviorParams.collectProbability) {
+            return;
+        }
+        
+        const ambush = this.findAmbush();
+        if (ambush) {
+            // Embuscade d'après les habitudes du joueur
+            this.setTarget(ambush.position, ambush.action);
+        } else if (env.nearestCollectible && this.random() < this.behaviorParams.collectProbability) {
             // Collecte occasionnelle
             this.setTarget(env.nearestCollectible, 'collect');
         } else {
@@ -196,7 +298,7 @@ export class EnemyAI {
             // Priorité absolue aux collectibles
             this.setTarget(env.nearestCollectible, 'collect');
         } else if (env.playerPosition && env.playerDistance < this.behaviorParams.playerTrackingRange && 
-                   Math.random() < this.behaviorParams.aggressiveness) {
+                   this.random() < this.behaviorParams.aggressiveness) {
             // Évitement ou confrontation occasionnelle
             if (this.snake.segments.length > this.gameEngine.playerSnake.segments.length) {
                 this.setTarget(env.playerPosition, 'hunt');
@@ -237,12 +339,10 @@ export class EnemyAI {
      */
     mimicBehavior(env) {
         if (env.playerPosition) {
-            // Imitation avec délai
-            setTimeout(() => {
-                if (this.memory.lastPlayerPosition) {
-                    this.setTarget(this.memory.lastPlayerPosition, 'mimic');
-                }
-            }, this.behaviorParams.mimicDelay);
+            // Imitation avec délai, sans relancer une imitation déjà en attente
+            if (this.mimicTimer === 0) {
+                this.mimicTimer = this.behaviorParams.mimicDelay;
+            }
             
             // Maintien d'une distance d'imitation
             if (env.playerDistance < 5) {
@@ -253,7 +353,7 @@ export class EnemyAI {
         }
         
         // Collecte opportuniste
-        if (env.nearestCollectible && Math.random() < this.behaviorParams.collectProbability) {
+        if (env.nearestCollectible && this.random() < this.behaviorParams.collectProbability) {
             this.setTarget(env.nearestCollectible, 'collect');
         }
     }
@@ -265,10 +365,20 @@ export class EnemyAI {
         // Évaluation des opportunités
         const opportunities = env.opportunities;
         
+        // Sans proie plus petite à portée, l'opportuniste tient son rôle dans la meute
+        if (opportunities.length === 0 && this.followSquadOrder()) return;
+        
         if (opportunities.length > 0) {
             // Priorisation des opportunités
             const bestOpportunity = this.evaluateOpportunities(opportunities);
             this.setTarget(bestOpportunity.position, bestOpportunity.type);
+            return;
+        }
+        
+        const ambush = this.findAmbush();
+        if (ambush) {
+            // Coupure de la route probable du joueur
+            this.setTarget(ambush.position, ambush.action);
         } else if (env.nearestCollectible) {
             this.setTarget(env.nearestCollectible, 'collect');
         } else if (env.playerPosition && env.playerDistance < this.behaviorParams.playerTrackingRange) {
@@ -283,9 +393,26 @@ export class EnemyAI {
     }
 
     /**
-     * Définit une cible
+     * Tient le rôle attribué par le coordinateur de meute (false si l'ennemi agit seul)
+     */
+    followSquadOrder() {
+        const order = this.gameEngine.squadCoordinator.getOrder(this.snake);
+        if (!order) return false;
+        
+        this.setTarget(order.position, order.role);
+        return true;
+    }
+
+    /**
+     * Définit une cible ; un objet visé pour être ramassé est réservé auprès de la meute
      */
     setTarget(position, action) {
+        if (action === 'collect') {
+            this.gameEngine.squadCoordinator.claim(this.snake, position);
+        } else {
+            this.gameEngine.squadCoordinator.release(this.snake);
+        }
+        
         this.currentTarget = {
             x: position.x,
             y: position.y,
@@ -293,13 +420,53 @@ export class EnemyAI {
             priority: this.getActionPriority(action)
         };
         
-        // Calcul du chemin
-        if (this.pathfindingCooldown <= 0) {
-            const direction = this.calculateBestDirection(position);
-            if (direction) {
-                this.snake.setDirection(direction);
-                this.pathfindingCooldown = 15; // Nouveau pathfinding toutes les 0.25 secondes
+        this.steerTowards(position);
+    }
+
+    /**
+     * Planifie un chemin vers une position et prend sa première direction
+     */
+    steerTowards(position) {
+        if (this.pathfindingCooldown > 0) return;
+        
+        const direction = this.calculateBestDirection(position);
+        if (direction) {
+            this.snake.setDirection(direction);
+            this.pathfindingCooldown = PATHFINDING_INTERVAL;
+        }
+    }
+
+    /**
+     * Suit le chemin planifié ; un chemin quitté (gravité, portail, rebond) est replanifié
+     */
+    followPath() {
+        const path = this.memory.safePath;
+        const head = this.snake.getHead();
+        
+        // Sans chemin, une cible sous gravité est réévaluée dès que possible
+        if (path.length === 0) {
+            const force = this.gameEngine.getForceAt(head.x, head.y);
+            if (this.currentTarget && (force.x !== 0 || force.y !== 0)) {
+                this.steerTowards(this.currentTarget);
             }
+            return;
+        }
+        
+        // Étapes déjà atteintes
+        const reached = path.findIndex(cell => cell.x === head.x && cell.y === head.y);
+        if (reached >= 0) {
+            path.splice(0, reached + 1);
+        }
+        
+        const next = path[0];
+        if (next && Math.abs(next.x - head.x) + Math.abs(next.y - head.y) === 1) {
+            this.snake.setDirection(this.vectorToDirection({ x: next.x - head.x, y: next.y - head.y }));
+            return;
+        }
+        
+        this.memory.safePath = [];
+        if (next && this.currentTarget) {
+            this.steerTowards(this.currentTarget);
         }
     }
 
@@ -328,43 +495,175 @@ export class EnemyAI {
 
     /**
      * Calcule la meilleure direction vers une cible
+     * Chemin A* sur la grille d'occupation, mémorisé pour être suivi tick après tick ;
+     * sous l'effet d'un puits ou du vent, la trajectoire prédite départage les directions
      */
     calculateBestDirection(target) {
         const head = this.snake.getHead();
+        const path = this.gameEngine.pathfinder.findPath(head, target, (x, y) => this.isCellPassable(x, y));
+        
+        // Première étape du chemin, puis directions les plus proches de la cible (portails compris)
         const dx = target.x - head.x;
         const dy = target.y - head.y;
+        const directions = Object.keys(DIRECTIONS).sort((a, b) =>
+            (Math.abs(dx - DIRECTIONS[a].x) + Math.abs(dy - DIRECTIONS[a].y)) -
+            (Math.abs(dx - DIRECTIONS[b].x) + Math.abs(dy - DIRECTIONS[b].y))
+        );
+        const planned = path ? this.vectorToDirection({ x: path[0].x - head.x, y: path[0].y - head.y }) : null;
+        if (planned) {
+            directions.splice(directions.indexOf(planned), 1);
+            directions.unshift(planned);
+        }
         
-        // A* simplifié pour éviter les obstacles
-        const directions = [
-            { name: 'right', dx: 1, dy: 0, cost: Math.abs(dx - 1) + Math.abs(dy) },
-            { name: 'left', dx: -1, dy: 0, cost: Math.abs(dx + 1) + Math.abs(dy) },
-            { name: 'down', dx: 0, dy: 1, cost: Math.abs(dx) + Math.abs(dy - 1) },
-            { name: 'up', dx: 0, dy: -1, cost: Math.abs(dx) + Math.abs(dy + 1) }
-        ];
+        const direction = this.chooseSafeDirection(directions, target);
+        if (direction && direction === planned) {
+            this.memory.safePath = path;
+        }
         
-        // Tri par coût
-        directions.sort((a, b) => a.cost - b.cost);
+        return direction || directions[0];
+    }
+
+    /**
+     * Choisit une direction parmi les préférées (dans l'ordre) :
+     * la première dont la trajectoire prédite est dégagée et laisse assez d'espace,
+     * sinon la trajectoire dégagée ou la plus grande zone accessible (null si rien n'est sûr)
+     * Avec une cible et sous gravité, la trajectoire qui s'en approche le plus l'emporte
+     */
+    chooseSafeDirection(directions, target = null) {
+        const opposite = this.getOppositeDirection();
+        const moves = directions
+            .filter(direction => direction !== opposite)
+            .map(direction => this.evaluateMove(direction))
+            .filter(move => move.safe);
         
-        // Vérification des obstacles
-        for (const dir of directions) {
-            const nextPos = {
-                x: head.x + dir.dx,
-                y: head.y + dir.dy
-            };
-            
-            if (this.isPositionSafe(nextPos)) {
-                return dir.name;
+        const open = moves.filter(move => move.clear && move.space >= this.snake.segments.length);
+        if (open.length > 0) {
+            if (!target || !moves.some(move => move.exposure > 0)) {
+                return open[0].direction;
             }
+            
+            const cost = move => this.scoreTrajectory(move, target) - (move.direction === directions[0] ? PLAN_BONUS : 0);
+            return open.reduce((best, move) => cost(move) < cost(best) ? move : best).direction;
+        }
+        
+        const fallback = moves.reduce((best, move) => {
+            if (!best) return move;
+            if (move.clear !== best.clear) return move.clear ? move : best;
+            return move.space > best.space ? move : best;
+        }, null);
+        return fallback ? fallback.direction : null;
+    }
+
+    /**
+     * Évalue un déplacement d'après la trajectoire prédite sous gravité :
+     * première case sûre, trajectoire dégagée de la dérive, espace accessible et force subie
+     */
+    evaluateMove(direction) {
+        const head = this.snake.getHead();
+        const cells = this.predictTrajectory(direction);
+        
+        // Sans déplacement prévu dans l'horizon : la case voisine
+        const landing = cells[0] || { x: head.x + DIRECTIONS[direction].x, y: head.y + DIRECTIONS[direction].y };
+        if (!this.isPositionSafe(landing)) {
+            return { direction, safe: false };
+        }
+        
+        let exposure = 0;
+        for (const cell of cells) {
+            const force = this.gameEngine.getForceAt(cell.x, cell.y);
+            exposure += Math.sqrt(force.x * force.x + force.y * force.y);
+        }
+        
+        // Sans force, le serpent pourra tourner à temps : seule la première case compte
+        return {
+            direction,
+            safe: true,
+            clear: exposure === 0 || cells.every(cell => this.isPositionSafe(cell)),
+            space: this.measureSpace(landing),
+            end: cells[cells.length - 1] || landing,
+            exposure
+        };
+    }
+
+    /**
+     * Cases parcourues dans une direction pendant l'horizon de prédiction
+     * (même modèle de dérive que le moteur ; arrêt au premier portail)
+     */
+    predictTrajectory(direction) {
+        const { horizon } = GRAVITY_AWARENESS[this.difficulty];
+        const cells = this.snake.predictPath(direction, horizon, (x, y) => this.gameEngine.getForceAt(x, y));
+        
+        const portal = cells.findIndex(cell => this.gameEngine.getPortalAt(cell.x, cell.y));
+        return portal >= 0 ? cells.slice(0, portal + 1) : cells;
+    }
+
+    /**
+     * Coût d'une trajectoire vers une cible : distance restante à son terme,
+     * pondérée par l'aversion (ou l'attrait) de la difficulté pour la gravité
+     */
+    scoreTrajectory(move, target) {
+        const { caution } = GRAVITY_AWARENESS[this.difficulty];
+        return Math.abs(target.x - move.end.x) + Math.abs(target.y - move.end.y) + caution * move.exposure;
+    }
+
+    /**
+     * Direction interdite (demi-tour)
+     */
+    getOppositeDirection() {
+        const opposite = { up: 'down', down: 'up', left: 'right', right: 'left' };
+        return opposite[this.snake.getCurrentDirectionName()];
+    }
+
+    /**
+     * Case praticable pour la planification (les portails, qui téléportent, sont contournés)
+     */
+    isCellPassable(x, y) {
+        return !this.gameEngine.getPortalAt(x, y) && this.isPositionSafe({ x, y });
+    }
+
+    /**
+     * Vérifie qu'un déplacement est sûr et ne mène pas dans une poche trop petite
+     */
+    isMoveSafe(position) {
+        return this.isPositionSafe(position) && this.measureSpace(position) >= this.snake.segments.length;
+    }
+
+    /**
+     * Espace accessible (flood-fill) après un déplacement, en suivant les portails
+     * Le corps compte comme obstacle : l'estimation est prudente
+     */
+    measureSpace(position, limit = this.snake.segments.length) {
+        const portal = this.gameEngine.getPortalAt(position.x, position.y);
+        if (portal && portal.linkedPortal) {
+            const head = this.snake.getHead();
+            position = portal.getExit({
+                x: Math.sign(position.x - head.x),
+                y: Math.sign(position.y - head.y)
+            });
         }
         
-        // Direction par défaut si aucune n'est sûre
-        return directions[0].name;
+        return this.gameEngine.pathfinder.countReachable(position, (x, y) => this.isCellPassable(x, y), limit);
     }
 
     /**
      * Vérifie si une position est sûre
      */
     isPositionSafe(position) {
+        // Un portail est sûr si sa case de sortie l'est
+        const portal = this.gameEngine.getPortalAt(position.x, position.y);
+        if (portal && portal.linkedPortal) {
+            const head = this.snake.getHead();
+            const direction = {
+                x: Math.sign(position.x - head.x),
+                y: Math.sign(position.y - head.y)
+            };
+            const exit = portal.getExit(direction);
+            if (this.gameEngine.getPortalAt(exit.x, exit.y)) {
+                return false;
+            }
+            return this.isPositionSafe(exit);
+        }
+        
         const { x, y } = position;
         
         // Vérification des limites
@@ -373,23 +672,15 @@ export class EnemyAI {
             return false;
         }
         
-        // Vérification des collisions avec soi-même
-        for (const segment of this.snake.segments) {
-            if (segment.x === x && segment.y === y) {
-                return false;
-            }
+        // Vérification des murs (mortels ou rebondissants, évités dans les deux cas)
+        if (this.gameEngine.getWallAt(x, y)) {
+            return false;
         }
         
-        // Vérification des collisions avec d'autres serpents
-        const allSnakes = [this.gameEngine.playerSnake, ...this.gameEngine.enemies];
-        for (const snake of allSnakes) {
-            if (snake === this.snake || !snake.alive) continue;
-            
-            for (const segment of snake.segments) {
-                if (segment.x === x && segment.y === y) {
-                    return false;
-                }
-            }
+        // Vérification des collisions avec soi-même et les autres serpents (hash spatial)
+        const occupant = this.gameEngine.getSnakeAt(x, y);
+        if (occupant && (occupant === this.snake || occupant.alive)) {
+            return false;
         }
         
         // Vérification des puits gravitationnels dangereux
@@ -409,37 +700,13 @@ export class EnemyAI {
      * Applique l'évitement de collision
      */
     applyCollisionAvoidance() {
-        const head = this.snake.getHead();
-        const currentDirection = this.snake.getCurrentDirectionName();
-        
-        // Prédiction de la prochaine position
-        const directions = {
-            up: { x: 0, y: -1 },
-            down: { x: 0, y: 1 },
-            left: { x: -1, y: 0 },
-            right: { x: 1, y: 0 }
-        };
-        
-        const nextPos = {
-            x: head.x + directions[currentDirection].x,
-            y: head.y + directions[currentDirection].y
-        };
+        // Direction réellement prévue au prochain déplacement, gardée si elle laisse assez d'espace
+        const intended = this.vectorToDirection(this.snake.nextDirection);
+        const alternatives = Object.keys(DIRECTIONS).filter(dir => dir !== intended);
         
-        // Si la prochaine position est dangereuse
-        if (!this.isPositionSafe(nextPos)) {
-            const alternativeDirections = Object.keys(directions).filter(dir => dir !== currentDirection);
-            
-            for (const dir of alternativeDirections) {
-                const altPos = {
-                    x: head.x + directions[dir].x,
-                    y: head.y + directions[dir].y
-                };
-                
-                if (this.isPositionSafe(altPos)) {
-                    this.snake.setDirection(dir);
-                    break;
-                }
-            }
+        const direction = this.chooseSafeDirection([intended, ...alternatives]);
+        if (direction && direction !== intended) {
+            this.snake.setDirection(direction);
         }
     }
 
@@ -458,7 +725,7 @@ export class EnemyAI {
         // Si bloqué trop longtemps, changer de direction aléatoirement
         if (this.stuckCounter > 10) {
             const randomDirections = ['up', 'down', 'left', 'right'];
-            const randomDir = randomDirections[Math.floor(Math.random() * randomDirections.length)];
+            const randomDir = this.gameEngine.rng.pick(randomDirections);
             this.snake.setDirection(randomDir);
             this.stuckCounter = 0;
         }
@@ -479,7 +746,7 @@ export class EnemyAI {
         if (this.currentTarget) {
             this.memory.targetHistory.push({
                 target: { ...this.currentTarget },
-                timestamp: Date.now()
+                tick: this.gameEngine.tick
             });
             
             // Limitation de l'historique
@@ -489,6 +756,42 @@ export class EnemyAI {
         }
     }
 
+    /**
+     * Sauvegarde l'état de l'IA (comportement, cooldowns et mémoire)
+     */
+    saveState() {
+        return {
+            behaviorType: this.behaviorType,
+            difficulty: this.difficulty,
+            paramOverrides: { ...this.paramOverrides },
+            currentTarget: this.currentTarget ? { ...this.currentTarget } : null,
+            pathfindingCooldown: this.pathfindingCooldown,
+            decisionCooldown: this.decisionCooldown,
+            mimicTimer: this.mimicTimer,
+            stuckCounter: this.stuckCounter,
+            lastPosition: { ...this.lastPosition },
+            memory: JSON.parse(JSON.stringify(this.memory))
+        };
+    }
+
+    /**
+     * Restaure l'état de l'IA
+     */
+    loadState(state) {
+        this.behaviorType = state.behaviorType;
+        this.difficulty = state.difficulty || 'medium';
+        this.paramOverrides = { ...(state.paramOverrides || {}) };
+        this.behaviorParams = this.getBehaviorParameters();
+        this.currentTarget = state.currentTarget ? { ...state.currentTarget } : null;
+        // Délais plafonnés (anciennes sauvegardes comptées en ticks ou en millisecondes)
+        this.pathfindingCooldown = Math.min(state.pathfindingCooldown, PATHFINDING_INTERVAL);
+        this.decisionCooldown = Math.min(state.decisionCooldown, this.behaviorParams.reactionTime);
+        this.mimicTimer = Math.min(state.mimicTimer || 0, this.behaviorParams.mimicDelay || 0);
+        this.stuckCounter = state.stuckCounter;
+        this.lastPosition = { ...state.lastPosition };
+        this.memory = JSON.parse(JSON.stringify(state.memory));
+    }
+
     /**
      * Utilitaires de calcul
      */
@@ -569,18 +872,45 @@ export class EnemyAI {
             'patrol': 3,
             'return': 7,
             'mimic': 4,
-            'intercept': 9
+            'intercept': 9,
+            'cutoff': 9,
+            'ambush': 7,
+            'chaser': 8,
+            'blocker': 9,
+            'flanker': 8
         };
         
         return priorities[action] || 5;
     }
 
+    /**
+     * Embuscade tirée du modèle du joueur : case de son trajet probable atteinte
+     * avant lui, sinon la zone où il perd le plus souvent ses vies (null si rien n'est appris)
+     */
+    findAmbush() {
+        const model = this.gameEngine.playerModel;
+        const head = this.snake.getHead();
+        
+        const cutoff = model.predictInterception(head);
+        if (cutoff) {
+            return { position: cutoff, action: 'cutoff' };
+        }
+        
+        // Zone déjà atteinte : l'ennemi y rôde selon son comportement habituel
+        const hotspot = model.getDeathHotspot();
+        if (hotspot && this.calculateDistance(head, hotspot) > this.behaviorParams.avoidanceRadius) {
+            return { position: hotspot, action: 'ambush' };
+        }
+        
+        return null;
+    }
+
     // Comportements spécialisés
     patrolBehavior() {
         // Implémentation simplifiée de patrouille
         const directions = ['up', 'down', 'left', 'right'];
-        if (Math.random() < 0.1) { // 10% de chance de changer de direction
-            const randomDir = directions[Math.floor(Math.random() * directions.length)];
+        if (this.random() < 0.1) { // 10% de chance de changer de direction
+            const randomDir = this.gameEngine.rng.pick(directions);
             this.snake.setDirection(randomDir);
         }
     }
@@ -590,16 +920,9 @@ export class EnemyAI {
         const head = this.snake.getHead();
         const searchDirections = this.getSpiralSearchDirections(head);
         
-        for (const dir of searchDirections) {
-            const nextPos = {
-                x: head.x + dir.dx,
-                y: head.y + dir.dy
-            };
-            
-            if (this.isPositionSafe(nextPos)) {
-                this.snake.setDirection(dir.name);
-                break;
-            }
+        const direction = this.chooseSafeDirection(searchDirections.map(dir => dir.name));
+        if (direction) {
+            this.snake.setDirection(direction);
         }
     }
 
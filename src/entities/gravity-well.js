@@ -11,6 +11,9 @@ export class GravityWell {
         this.radius = radius;
         this.type = type; // 'attract', 'repel', 'vortex', 'pulse'
         
+        // Modulation de la force (ondes gravitationnelles)
+        this.strengthMultiplier = 1;
+        
         // État du puits
         this.active = true;
         this.phase = 0;
@@ -235,12 +238,23 @@ export class GravityWell {
         if (!this.active || !snake.alive) return;
         
         const head = snake.getHead();
-        const dx = this.x - (head.x + 0.5);
-        const dy = this.y - (head.y + 0.5);
+        const force = this.computeForceAt(head.x, head.y);
+        snake.applyGravitationalForce(force.x, force.y);
+    }
+
+    /**
+     * Force exercée sur une tête posée sur une case de la grille
+     * (aussi utilisée par l'IA pour prédire sa trajectoire)
+     */
+    computeForceAt(x, y) {
+        if (!this.active) return { x: 0, y: 0 };
+        
+        const dx = this.x - (x + 0.5);
+        const dy = this.y - (y + 0.5);
         const distance = Math.sqrt(dx * dx + dy * dy);
         
         // Vérification de la portée
-        if (distance > this.radius / 20) return; // Conversion en unités de grille
+        if (distance > this.radius / 20) return { x: 0, y: 0 }; // Conversion en unités de grille
         
         let forceX = 0;
         let forceY = 0;
@@ -272,8 +286,7 @@ export class GravityWell {
                 break;
         }
         
-        // Application de la force sur le serpent
-        snake.applyGravitationalForce(forceX, forceY);
+        return { x: forceX, y: forceY };
     }
 
     /**
@@ -283,7 +296,7 @@ export class GravityWell {
         if (distance === 0) return 0;
         
         const component = isY ? dy : dx;
-        const force = this.strength * component / (distance * distance + 1);
+        const force = this.getEffectiveStrength() * component / (distance * distance + 1);
         
         return Math.max(-0.5, Math.min(0.5, force)); // Limitation de la force
     }
@@ -292,7 +305,14 @@ export class GravityWell {
      * Calcule la force tangentielle pour le vortex
      */
     calculateTangentialForce(dx, dy, distance) {
-        return this.strength * 0.3 / (distance + 1);
+        return this.getEffectiveStrength() * 0.3 / (distance + 1);
+    }
+
+    /**
+     * Retourne la force courante, modulée par la météo
+     */
+    getEffectiveStrength() {
+        return this.strength * this.strengthMultiplier;
     }
 
     /**
@@ -321,6 +341,42 @@ export class GravityWell {
         this.initializeParticles();
     }
 
+    /**
+     * Sauvegarde l'état du puits
+     */
+    saveState() {
+        return {
+            x: this.x,
+            y: this.y,
+            strength: this.strength,
+            radius: this.radius,
+            type: this.type,
+            active: this.active,
+            phase: this.phase,
+            pulseTimer: this.pulseTimer,
+            vortexRotation: this.vortexRotation
+        };
+    }
+
+    /**
+     * Restaure l'état du puits
+     */
+    loadState(state) {
+        this.active = state.active;
+        this.phase = state.phase;
+        this.pulseTimer = state.pulseTimer;
+        this.vortexRotation = state.vortexRotation;
+    }
+
+    /**
+     * Crée un puits à partir d'un état sauvegardé
+     */
+    static fromState(state) {
+        const well = new GravityWell(state.x, state.y, state.strength, state.radius, state.type);
+        well.loadState(state);
+        return well;
+    }
+
     /**
      * Effectue le rendu du puits gravitationnel
      */
@@ -0,0 +1,80 @@
+/**
+ * Classe Portal - Portails appariés qui téléportent la tête des serpents
+ * Le serpent ressort à côté du portail lié en gardant sa direction
+ */
+
+export class Portal {
+    constructor(x, y, color = '#ff00ff') {
+        this.x = x;
+        this.y = y;
+        this.color = color;
+        this.linkedPortal = null;
+    }
+
+    /**
+     * Lie deux portails entre eux
+     */
+    static link(portalA, portalB) {
+        portalA.linkedPortal = portalB;
+        portalB.linkedPortal = portalA;
+    }
+
+    /**
+     * Vérifie si le portail occupe une case
+     */
+    contains(x, y) {
+        return this.x === x && this.y === y;
+    }
+
+    /**
+     * Retourne la case de sortie pour une direction donnée
+     * (une case après le portail lié, dans la même direction)
+     */
+    getExit(direction) {
+        if (!this.linkedPortal) return null;
+
+        return {
+            x: this.linkedPortal.x + direction.x,
+            y: this.linkedPortal.y + direction.y
+        };
+    }
+
+    /**
+     * Sauvegarde l'état du portail
+     */
+    saveState() {
+        return {
+            x: this.x,
+            y: this.y,
+            color: this.color
+        };
+    }
+
+    /**
+     * Effectue le rendu du portail
+     */
+    render(ctx, gridSize) {
+        const centerX = this.x * gridSize + gridSize / 2;
+        const centerY = this.y * gridSize + gridSize / 2;
+        const time = Date.now() * 0.005;
+
+        // Anneaux concentriques pulsants
+        for (let i = 0; i < 3; i++) {
+            const radius = (gridSize * 0.4) * (1 + i * 0.2 + Math.sin(time + i) * 0.1);
+            ctx.strokeStyle = this.color + Math.floor((1 - i * 0.3) * 255).toString(16).padStart(2, '0');
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        // Portail non lié : croix d'avertissement
+        if (!this.linkedPortal) {
+            ctx.strokeStyle = '#ff4444';
+            ctx.beginPath();
+            ctx.moveTo(centerX - gridSize * 0.2, centerY - gridSize * 0.2);
+            ctx.lineTo(centerX + gridSize * 0.2, centerY + gridSize * 0.2);
+            ctx.stroke();
+        }
+    }
+}
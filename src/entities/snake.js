@@ -3,9 +3,37 @@
  * Implémente différents types de segments avec comportements uniques
  */
 
+import { RandomGenerator } from '../systems/random-generator.js';
+
+// Énergie de boost (en secondes de boost) : réserve et recharge par segment propulseur
+const BOOST_CAPACITY_PER_BOOSTER = 1;
+const BOOST_RECHARGE_PER_BOOSTER = 0.25;
+
+// Dash d'urgence : brûle un segment propulseur
+const DASH_DURATION = 0.4;
+const DASH_SPEED_MULTIPLIER = 3;
+
+// Gravité : les forces s'accumulent dans une vitesse de dérive amortie
+// (cases par tick), convertie en pas de grille via une position fractionnaire
+const GRAVITY_SCALE = 0.3;
+const DRIFT_DAMPING = 0.7;
+const MAX_DRIFT = 0.75;
+
+// Invulnérabilité (ms) accordée quand un segment blindé absorbe un coup
+const ARMOR_INVULNERABILITY = 1000;
+
+// Déplacements unitaires par nom de direction
+const DIRECTION_VECTORS = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 }
+};
+
 export class Snake {
-    constructor(x, y, type = 'player') {
+    constructor(x, y, type = 'player', rng = null) {
         this.type = type;
+        this.rng = rng || new RandomGenerator();
         this.segments = [{ x, y, type: 'head' }];
         this.direction = { x: 1, y: 0 };
         this.nextDirection = { x: 1, y: 0 };
@@ -22,15 +50,26 @@ export class Snake {
         // État du serpent
         this.speed = 1;
         this.baseSpeed = 1;
+        this.speedMultiplier = 1; // Ralenti imposé par un autre serpent
+        this.moveCredit = 0; // Part de tick accumulée par un serpent ralenti
         this.boostActive = false;
-        this.boostCooldown = 0;
+        this.boostHeld = false;
+        this.boostEnergy = 0;
+        this.dashTime = 0;
         this.invulnerable = false;
         this.invulnerabilityTime = 0;
         
         // Effets gravitationnels
         this.velocity = { x: 0, y: 0 };
+        this.cellOffset = { x: 0, y: 0 };
         this.gravitationalForce = { x: 0, y: 0 };
         
+        // Cases traversées par la tête au dernier tick
+        this.sweptPath = [];
+        
+        // Étoiles volées par un ennemi, en attente d'être replacées
+        this.carriedStars = [];
+        
         // Power-ups actifs
         this.activePowerUps = new Map();
         
@@ -59,12 +98,19 @@ export class Snake {
         this.nextDirection = { x: 1, y: 0 };
         this.alive = true;
         this.speed = this.baseSpeed;
+        this.speedMultiplier = 1;
+        this.moveCredit = 0;
         this.boostActive = false;
-        this.boostCooldown = 0;
+        this.boostHeld = false;
+        this.boostEnergy = 0;
+        this.dashTime = 0;
         this.invulnerable = false;
         this.invulnerabilityTime = 0;
         this.velocity = { x: 0, y: 0 };
+        this.cellOffset = { x: 0, y: 0 };
         this.gravitationalForce = { x: 0, y: 0 };
+        this.sweptPath = [];
+        this.carriedStars = [];
         this.activePowerUps.clear();
     }
 
@@ -107,24 +153,95 @@ export class Snake {
     }
 
     /**
-     * Active le boost
+     * Active le boost (maintenu jusqu'à releaseBoost ou épuisement de l'énergie)
      */
     activateBoost() {
-        if (!this.alive || this.boostCooldown > 0) return;
+        if (!this.alive) return;
+        this.boostHeld = true;
+    }
+
+    /**
+     * Relâche le boost
+     */
+    releaseBoost() {
+        this.boostHeld = false;
+    }
+
+    /**
+     * Dash d'urgence : brûle le dernier segment propulseur pour une pointe
+     * de vitesse, utilisable même sans énergie
+     */
+    dash() {
+        if (!this.alive || this.dashTime > 0) return false;
         
-        // Vérification si le serpent a des segments propulseurs
-        const boosterSegments = this.segments.filter(seg => seg.type === 'booster').length;
-        if (boosterSegments === 0) return;
+        const index = this.segments.map(segment => segment.type).lastIndexOf('booster');
+        if (index < 0) return false;
         
-        this.boostActive = true;
-        this.speed = this.baseSpeed * (1 + boosterSegments * 0.5);
-        this.boostCooldown = 3000; // 3 secondes de cooldown
+        // Les types suivants remontent d'un cran : le corps reste continu
+        for (let i = index; i < this.segments.length - 1; i++) {
+            this.segments[i].type = this.segments[i + 1].type;
+        }
+        this.segments.pop();
+        this.updateSegmentEffects();
+        this.boostEnergy = Math.min(this.boostEnergy, this.getMaxBoostEnergy());
         
-        // Le boost dure proportionnellement au nombre de segments propulseurs
-        setTimeout(() => {
-            this.boostActive = false;
+        this.dashTime = DASH_DURATION;
+        this.setInvulnerable(DASH_DURATION * 1000);
+        return true;
+    }
+
+    /**
+     * Nombre de segments propulseurs
+     */
+    getBoosterCount() {
+        return this.segments.filter(segment => segment.type === 'booster').length;
+    }
+
+    /**
+     * Réserve maximale d'énergie de boost
+     */
+    getMaxBoostEnergy() {
+        return this.getBoosterCount() * BOOST_CAPACITY_PER_BOOSTER;
+    }
+
+    /**
+     * État de la jauge de boost (affichée dans le HUD)
+     */
+    getBoostStatus() {
+        const maxEnergy = this.getMaxBoostEnergy();
+        return {
+            energy: this.boostEnergy,
+            maxEnergy,
+            ratio: maxEnergy > 0 ? this.boostEnergy / maxEnergy : 0,
+            active: this.boostActive,
+            dashing: this.dashTime > 0
+        };
+    }
+
+    /**
+     * Consomme ou recharge l'énergie de boost pour un tick
+     */
+    updateBoost(deltaTime) {
+        const boosters = this.getBoosterCount();
+        const maxEnergy = boosters * BOOST_CAPACITY_PER_BOOSTER;
+        
+        this.boostActive = this.boostHeld && this.boostEnergy > 0;
+        
+        if (this.boostActive) {
+            // Le boost maintenu vide la réserve en continu
+            this.boostEnergy = Math.max(0, this.boostEnergy - deltaTime);
+        } else {
+            this.boostEnergy = Math.min(maxEnergy, this.boostEnergy + boosters * BOOST_RECHARGE_PER_BOOSTER * deltaTime);
+        }
+        
+        if (this.dashTime > 0) {
+            this.dashTime = Math.max(0, this.dashTime - deltaTime);
+            this.speed = this.baseSpeed * DASH_SPEED_MULTIPLIER;
+        } else if (this.boostActive) {
+            this.speed = this.baseSpeed * (1 + boosters * 0.5);
+        } else {
             this.speed = this.baseSpeed;
-        }, 1000 + boosterSegments * 200);
+        }
     }
 
     /**
@@ -165,6 +282,7 @@ export class Snake {
         if (segmentCounts.armored > 0) {
             this.activePowerUps.set('armor', {
                 name: 'Blindage',
+                icon: '🛡️',
                 level: segmentCounts.armored,
                 duration: -1 // Permanent tant que les segments existent
             });
@@ -176,6 +294,7 @@ export class Snake {
         if (segmentCounts.magnetic > 0) {
             this.activePowerUps.set('magnetism', {
                 name: 'Magnétisme',
+                icon: '🧲',
                 level: segmentCounts.magnetic,
                 duration: -1,
                 range: segmentCounts.magnetic * 30
@@ -185,6 +304,20 @@ export class Snake {
         }
     }
 
+    /**
+     * Décompte la durée des power-ups temporaires (durée -1 : permanent)
+     */
+    updateTimedPowerUps(deltaTime) {
+        for (const [name, powerUp] of this.activePowerUps) {
+            if (powerUp.duration <= 0) continue;
+            
+            powerUp.elapsed = (powerUp.elapsed || 0) + deltaTime;
+            if (powerUp.elapsed >= powerUp.duration) {
+                this.activePowerUps.delete(name);
+            }
+        }
+    }
+
     /**
      * Applique une force gravitationnelle
      */
@@ -199,10 +332,11 @@ export class Snake {
     update(deltaTime) {
         if (!this.alive) return;
         
-        // Mise à jour des cooldowns
-        if (this.boostCooldown > 0) {
-            this.boostCooldown -= deltaTime * 1000;
-        }
+        // Énergie de boost (décomptée en temps simulé pour rester reproductible)
+        this.updateBoost(deltaTime);
+        
+        // Power-ups temporaires
+        this.updateTimedPowerUps(deltaTime);
         
         if (this.invulnerabilityTime > 0) {
             this.invulnerabilityTime -= deltaTime * 1000;
@@ -211,36 +345,113 @@ export class Snake {
             }
         }
         
+        // Ralenti : le serpent reste immobile, corps compris, sur une partie des ticks
+        // (un pas nul qui décalerait le corps lui ferait mordre sa propre tête)
+        this.moveCredit = Math.min(1, this.moveCredit + this.speedMultiplier);
+        if (this.moveCredit < 1) {
+            this.sweptPath = [];
+            this.gravitationalForce = { x: 0, y: 0 };
+            return;
+        }
+        this.moveCredit -= 1;
+        
         // Application de la direction suivante
         this.direction = { ...this.nextDirection };
         
-        // Calcul du mouvement avec effets gravitationnels
-        let moveX = this.direction.x * this.speed;
-        let moveY = this.direction.y * this.speed;
-        
-        // Application des forces gravitationnelles (atténuées)
-        moveX += this.gravitationalForce.x * 0.3;
-        moveY += this.gravitationalForce.y * 0.3;
-        
         // Déplacement des segments
-        this.moveSegments(Math.round(moveX), Math.round(moveY));
+        const step = this.advanceMotion(this, this.gravitationalForce);
+        this.moveSegments(step.x, step.y);
         
         // Réinitialisation des forces
         this.gravitationalForce = { x: 0, y: 0 };
     }
 
+    /**
+     * Avance d'un tick un état de mouvement (direction, dérive, position fractionnaire)
+     * et retourne le pas de grille ; l'état réel du serpent ou une copie pour la prédiction
+     */
+    advanceMotion(motion, force) {
+        // Dérive gravitationnelle accumulée d'un tick à l'autre
+        this.updateVelocity(motion, force);
+        
+        // Position fractionnaire : seules les cases entières sont parcourues,
+        // le reste est reporté au tick suivant
+        motion.cellOffset.x += motion.direction.x * this.speed + motion.velocity.x;
+        motion.cellOffset.y += motion.direction.y * this.speed + motion.velocity.y;
+        
+        // Dans la direction : au moins une case, sinon le corps décalé mordrait la tête ;
+        // le retard reporté est plafonné à une demi-case
+        const axis = motion.direction.x !== 0 ? 'x' : 'y';
+        const sign = motion.direction[axis];
+        const forward = motion.cellOffset[axis] * sign;
+        const cells = Math.max(1, Math.round(forward));
+        
+        const step = { x: 0, y: 0 };
+        step[axis] = sign * cells;
+        motion.cellOffset[axis] = sign * Math.max(-0.5, forward - cells);
+        
+        // Perpendiculairement : la dérive arrondie
+        const side = axis === 'x' ? 'y' : 'x';
+        step[side] = Math.round(motion.cellOffset[side]);
+        motion.cellOffset[side] -= step[side];
+        
+        return step;
+    }
+
+    /**
+     * Intègre les forces du tick dans la vitesse de dérive (amortie et plafonnée)
+     * La composante perpendiculaire à la direction dévie la trajectoire d'un tick à l'autre ;
+     * la composante parallèle pousse ou freine le serpent et passe dans sa position fractionnaire
+     */
+    updateVelocity(motion, force) {
+        motion.velocity.x = motion.velocity.x * DRIFT_DAMPING + force.x * GRAVITY_SCALE;
+        motion.velocity.y = motion.velocity.y * DRIFT_DAMPING + force.y * GRAVITY_SCALE;
+        
+        // Poussée ou freinage plafonné (le pas minimal est garanti par advanceMotion)
+        const axis = motion.direction.x !== 0 ? 'x' : 'y';
+        motion.cellOffset[axis] += Math.max(-MAX_DRIFT, Math.min(MAX_DRIFT, motion.velocity[axis]));
+        motion.velocity[axis] = 0;
+        
+        motion.velocity.x = Math.max(-MAX_DRIFT, Math.min(MAX_DRIFT, motion.velocity.x));
+        motion.velocity.y = Math.max(-MAX_DRIFT, Math.min(MAX_DRIFT, motion.velocity.y));
+    }
+
+    /**
+     * Prédit les cases parcourues par la tête pendant quelques ticks dans une direction,
+     * sous la force forceAt(x, y) subie sur chaque case (le serpent n'est pas modifié)
+     */
+    predictPath(directionName, ticks, forceAt) {
+        const motion = {
+            direction: { ...DIRECTION_VECTORS[directionName] },
+            velocity: { ...this.velocity },
+            cellOffset: { ...this.cellOffset }
+        };
+        let head = { x: this.getHead().x, y: this.getHead().y };
+        const cells = [];
+        
+        for (let i = 0; i < ticks; i++) {
+            const step = this.advanceMotion(motion, forceAt(head.x, head.y));
+            cells.push(...this.computeSweptPath(head, step.x, step.y, motion.direction));
+            head = { x: head.x + step.x, y: head.y + step.y };
+        }
+        
+        return cells;
+    }
+
     /**
      * Déplace les segments du serpent
      */
     moveSegments(dx, dy) {
         if (this.segments.length === 0) return;
         
-        // Sauvegarde des positions
+        // Sauvegarde des positions (utilisées pour annuler un pas lors d'un rebond)
         const previousPositions = this.segments.map(segment => ({ x: segment.x, y: segment.y }));
+        this.previousPositions = previousPositions;
         
         // Déplacement de la tête
         this.segments[0].x += dx;
         this.segments[0].y += dy;
+        this.sweptPath = this.computeSweptPath(previousPositions[0], dx, dy);
         
         // Déplacement du corps
         for (let i = 1; i < this.segments.length; i++) {
@@ -249,6 +460,85 @@ export class Snake {
         }
     }
 
+    /**
+     * Cases parcourues par la tête lors d'un déplacement (départ exclu, arrivée incluse) ;
+     * un pas en diagonale passe d'abord par la case voisine dans la direction du serpent
+     */
+    computeSweptPath(start, dx, dy, direction = this.direction) {
+        const steps = Math.max(Math.abs(dx), Math.abs(dy));
+        const path = [];
+        let previous = start;
+        
+        for (let i = 1; i <= steps; i++) {
+            const cell = {
+                x: start.x + Math.round(dx * i / steps),
+                y: start.y + Math.round(dy * i / steps)
+            };
+            
+            if (cell.x !== previous.x && cell.y !== previous.y) {
+                path.push(direction.x !== 0
+                    ? { x: cell.x, y: previous.y }
+                    : { x: previous.x, y: cell.y });
+            }
+            
+            path.push(cell);
+            previous = cell;
+        }
+        
+        return path;
+    }
+
+    /**
+     * Cases à vérifier pour les collisions de ce tick (la tête si elle n'a pas bougé)
+     */
+    getSweptPath() {
+        if (this.sweptPath.length > 0) {
+            return this.sweptPath;
+        }
+        
+        const head = this.getHead();
+        return [{ x: head.x, y: head.y }];
+    }
+
+    /**
+     * Fait rebondir le serpent : annule le dernier pas et inverse le sens
+     * La queue devient la tête, le serpent repart dans la direction opposée
+     */
+    bounce() {
+        if (this.previousPositions && this.previousPositions.length === this.segments.length) {
+            this.segments.forEach((segment, i) => {
+                segment.x = this.previousPositions[i].x;
+                segment.y = this.previousPositions[i].y;
+            });
+        }
+        
+        const reversed = { x: -this.direction.x, y: -this.direction.y };
+        
+        if (this.segments.length > 1) {
+            // Inversion des positions, les types de segments restent en place
+            const positions = this.segments.map(segment => ({ x: segment.x, y: segment.y })).reverse();
+            this.segments.forEach((segment, i) => {
+                segment.x = positions[i].x;
+                segment.y = positions[i].y;
+            });
+            
+            // Nouvelle direction : de l'ancien avant-dernier segment vers l'ancienne queue
+            const dx = Math.sign(this.segments[0].x - this.segments[1].x);
+            const dy = Math.sign(this.segments[0].y - this.segments[1].y);
+            this.direction = (Math.abs(dx) + Math.abs(dy) === 1) ? { x: dx, y: dy } : reversed;
+        } else {
+            this.direction = reversed;
+        }
+        
+        this.nextDirection = { ...this.direction };
+        this.previousPositions = null;
+        this.sweptPath = [];
+        
+        // Le rebond annule l'élan accumulé
+        this.velocity = { x: 0, y: 0 };
+        this.cellOffset = { x: 0, y: 0 };
+    }
+
     /**
      * Retourne la tête du serpent
      */
@@ -267,7 +557,7 @@ export class Snake {
      * Retourne les power-ups actifs
      */
     getActivePowerUps() {
-        return Array.from(this.activePowerUps.values());
+        return Array.from(this.activePowerUps, ([type, powerUp]) => ({ type, ...powerUp }));
     }
 
     /**
@@ -297,29 +587,51 @@ export class Snake {
      * Vérifie si le serpent peut survivre à une collision
      */
     canSurviveCollision() {
-        return this.invulnerable || this.hasEffect('armor');
+        return this.invulnerable || this.getDamageAbsorber() !== null;
     }
 
     /**
      * Gère les dégâts subis
+     * Retourne 'ignored' (invulnérable), 'absorbed' (un segment blindé est perdu) ou 'fatal'
      */
     takeDamage() {
-        if (this.invulnerable) return false;
-        
-        // Les segments blindés offrent une chance de survie
-        const armorLevel = this.getEffectLevel('armor');
-        if (armorLevel > 0) {
-            const survivalChance = Math.min(armorLevel * 0.2, 0.8);
-            if (Math.random() < survivalChance) {
-                // Perte d'un segment blindé au lieu de mourir
-                this.removeArmoredSegment();
-                this.setInvulnerable(1000); // Invulnérabilité temporaire
-                return false;
+        if (this.invulnerable) return 'ignored';
+        
+        // Le bouclier absorbe un coup par niveau, puis chaque segment blindé un coup
+        switch (this.getDamageAbsorber()) {
+            case 'shield': {
+                const shield = this.activePowerUps.get('shield');
+                shield.level--;
+                if (shield.level <= 0) {
+                    this.activePowerUps.delete('shield');
+                }
+                this.setInvulnerable(ARMOR_INVULNERABILITY);
+                return 'absorbed';
             }
+            case 'armor':
+                this.removeArmoredSegment();
+                this.setInvulnerable(ARMOR_INVULNERABILITY);
+                return 'absorbed';
         }
         
         this.alive = false;
-        return true;
+        return 'fatal';
+    }
+
+    /**
+     * Protection qui absorbera le prochain coup ('shield', 'armor' ou null)
+     */
+    getDamageAbsorber() {
+        if (this.hasEffect('shield')) return 'shield';
+        if (this.hasEffect('armor')) return 'armor';
+        return null;
+    }
+
+    /**
+     * Vérifie si le corps du serpent est traversable (fantôme ou invulnérable)
+     */
+    isIntangible() {
+        return this.invulnerable || this.hasEffect('ghost');
     }
 
     /**
@@ -335,6 +647,57 @@ export class Snake {
         }
     }
 
+    /**
+     * Sauvegarde l'état du serpent
+     */
+    saveState() {
+        return {
+            type: this.type,
+            segments: this.segments.map(segment => ({ ...segment })),
+            direction: { ...this.direction },
+            nextDirection: { ...this.nextDirection },
+            alive: this.alive,
+            speed: this.speed,
+            baseSpeed: this.baseSpeed,
+            boostActive: this.boostActive,
+            boostHeld: this.boostHeld,
+            boostEnergy: this.boostEnergy,
+            dashTime: this.dashTime,
+            invulnerable: this.invulnerable,
+            invulnerabilityTime: this.invulnerabilityTime,
+            velocity: { ...this.velocity },
+            cellOffset: { ...this.cellOffset },
+            moveCredit: this.moveCredit,
+            carriedStars: this.carriedStars.map(star => ({ ...star })),
+            activePowerUps: Array.from(this.activePowerUps.entries())
+        };
+    }
+
+    /**
+     * Restaure l'état du serpent
+     */
+    loadState(state) {
+        this.segments = state.segments.map(segment => ({ ...segment }));
+        this.direction = { ...state.direction };
+        this.nextDirection = { ...state.nextDirection };
+        this.alive = state.alive;
+        this.speed = state.speed;
+        this.baseSpeed = state.baseSpeed;
+        this.boostActive = state.boostActive;
+        this.boostHeld = state.boostHeld || false;
+        this.boostEnergy = state.boostEnergy || 0;
+        this.dashTime = state.dashTime || 0;
+        this.invulnerable = state.invulnerable;
+        this.invulnerabilityTime = state.invulnerabilityTime;
+        this.velocity = { ...state.velocity };
+        this.cellOffset = state.cellOffset ? { ...state.cellOffset } : { x: 0, y: 0 };
+        this.moveCredit = state.moveCredit || 0;
+        this.sweptPath = [];
+        this.carriedStars = (state.carriedStars || []).map(star => ({ ...star }));
+        this.gravitationalForce = { x: 0, y: 0 };
+        this.activePowerUps = new Map(state.activePowerUps || []);
+    }
+
     /**
      * Effectue le rendu du serpent
      */
@@ -350,11 +713,14 @@ export class Snake {
                 return;
             }
             
+            // Serpent fantôme translucide
+            ctx.globalAlpha = this.hasEffect('ghost') ? 0.4 : 1;
+            
             // Couleur selon le type de segment
             let color = this.colors[segment.type] || this.colors.normal;
             
             // Effet de boost
-            if (this.boostActive && segment.type === 'booster') {
+            if ((this.boostActive || this.dashTime > 0) && segment.type === 'booster') {
                 const pulse = Math.sin(Date.now() * 0.01) * 0.3 + 0.7;
                 color = this.interpolateColor(color, '#ffffff', 1 - pulse);
             }
@@ -368,6 +734,7 @@ export class Snake {
                 this.renderSegment(ctx, x, y, gridSize, color, segment.type);
             }
         });
+        ctx.globalAlpha = 1;
         
         // Rendu des effets spéciaux
         this.renderEffects(ctx, gridSize);
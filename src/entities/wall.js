@@ -0,0 +1,73 @@
+/**
+ * Classe Wall - Murs placés dans l'arène
+ * Un mur tue ou fait rebondir le serpent qui le percute
+ */
+
+export class Wall {
+    constructor(x, y, width = 1, height = 1, behavior = 'kill') {
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+        this.behavior = behavior; // 'kill', 'bounce'
+
+        // Propriétés visuelles
+        this.colors = {
+            kill: { fill: '#666666', border: '#999999' },
+            bounce: { fill: '#335577', border: '#66aaff' }
+        };
+    }
+
+    /**
+     * Vérifie si une case de la grille est occupée par le mur
+     */
+    contains(x, y) {
+        return x >= this.x && x < this.x + this.width &&
+               y >= this.y && y < this.y + this.height;
+    }
+
+    /**
+     * Vérifie si le mur fait rebondir au lieu de tuer
+     */
+    isBouncy() {
+        return this.behavior === 'bounce';
+    }
+
+    /**
+     * Sauvegarde l'état du mur
+     */
+    saveState() {
+        return {
+            x: this.x,
+            y: this.y,
+            width: this.width,
+            height: this.height,
+            behavior: this.behavior
+        };
+    }
+
+    /**
+     * Crée un mur à partir d'un état sauvegardé
+     */
+    static fromState(state) {
+        return new Wall(state.x, state.y, state.width, state.height, state.behavior);
+    }
+
+    /**
+     * Effectue le rendu du mur
+     */
+    render(ctx, gridSize) {
+        const colors = this.colors[this.behavior] || this.colors.kill;
+        const x = this.x * gridSize;
+        const y = this.y * gridSize;
+        const width = this.width * gridSize;
+        const height = this.height * gridSize;
+
+        ctx.fillStyle = colors.fill;
+        ctx.fillRect(x, y, width, height);
+
+        ctx.strokeStyle = colors.border;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x + 1, y + 1, width - 2, height - 2);
+    }
+}
@@ -8,6 +8,11 @@ import { InputManager } from './engine/input-manager.js';
 import { AudioManager } from './engine/audio-manager.js';
 import { UIManager } from './ui/ui-manager.js';
 import { LevelEditor } from './editor/level-editor.js';
+import { ReplayPlayer } from './systems/replay-system.js';
+import { SaveManager } from './systems/save-manager.js';
+
+// Emplacement de la sauvegarde automatique
+const AUTOSAVE_SLOT = 'autosave';
 
 class SerpentisNexus {
     constructor() {
@@ -16,7 +21,9 @@ class SerpentisNexus {
         this.audioManager = null;
         this.uiManager = null;
         this.levelEditor = null;
-        this.currentMode = 'menu'; // 'menu', 'game', 'editor', 'settings'
+        this.replayPlayer = null;
+        this.saveManager = null;
+        this.currentMode = 'menu'; // 'menu', 'game', 'editor', 'playtest', 'replay', 'settings'
         
         this.initializeGame();
     }
@@ -27,6 +34,7 @@ class SerpentisNexus {
     async initializeGame() {
         try {
             // Initialisation des gestionnaires
+            this.saveManager = new SaveManager();
             this.audioManager = new AudioManager();
             this.inputManager = new InputManager();
             this.uiManager = new UIManager(this);
@@ -61,36 +69,73 @@ class SerpentisNexus {
     setupEventListeners() {
         // Contrôles clavier
         this.inputManager.onDirectionChange((direction) => {
-            if (this.currentMode === 'game') {
+            if (this.isPlaying()) {
                 this.gameEngine.setDirection(direction);
             }
         });
 
         this.inputManager.onAction('boost', () => {
-            if (this.currentMode === 'game') {
+            if (this.isPlaying()) {
                 this.gameEngine.activateBoost();
             }
         });
 
+        this.inputManager.onActionRelease('boost', () => {
+            if (this.isPlaying()) {
+                this.gameEngine.releaseBoost();
+            }
+        });
+
+        this.inputManager.onAction('dash', () => {
+            if (this.isPlaying()) {
+                this.gameEngine.dash();
+            }
+        });
+
         this.inputManager.onAction('pause', () => {
-            if (this.currentMode === 'game') {
+            if (this.isPlaying()) {
                 this.togglePause();
+            } else if (this.currentMode === 'replay') {
+                this.replayPlayer.togglePause();
             }
         });
 
+        // Coup absorbé par le bouclier ou le blindage du joueur
+        this.gameEngine.collisionResolver.on('absorbed', (result) => {
+            if (result.snake === this.gameEngine.playerSnake) {
+                const message = result.absorber === 'shield' ? 'Bouclier touché : coup absorbé' : 'Blindage perdu : coup absorbé';
+                this.uiManager.showNotification(message, 'warning');
+            }
+        });
+
+        // Échap pendant un test de niveau : retour direct à l'éditeur
+        // (capturé avant l'éditeur et la pause pour ne pas désélectionner)
+        window.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.currentMode === 'playtest') {
+                event.stopPropagation();
+                event.preventDefault();
+                this.returnToEditor();
+            }
+        }, true);
+
         // Gestion de la perte de focus
         window.addEventListener('blur', () => {
-            if (this.currentMode === 'game') {
+            if (this.isPlaying()) {
                 this.pauseGame();
             }
         });
 
         // Gestion des changements de visibilité
         document.addEventListener('visibilitychange', () => {
-            if (document.hidden && this.currentMode === 'game') {
+            if (document.hidden && this.isPlaying()) {
                 this.pauseGame();
             }
         });
+
+        // Sauvegarde à la fermeture de l'onglet
+        window.addEventListener('pagehide', () => {
+            this.autosaveGame();
+        });
     }
 
     /**
@@ -99,10 +144,54 @@ class SerpentisNexus {
     startGame() {
         this.currentMode = 'game';
         this.uiManager.hideMenu();
-        this.gameEngine.startNewGame();
+        // Nouvelle graine à chaque partie : elle suffit à rejouer la partie
+        this.gameEngine.startNewGame({ seed: Date.now() });
+        this.updateGameLoop();
+    }
+
+    /**
+     * Vérifie si une partie est jouée (partie normale ou test de niveau)
+     */
+    isPlaying() {
+        return this.currentMode === 'game' || this.currentMode === 'playtest';
+    }
+
+    /**
+     * Reprend la dernière partie sauvegardée
+     */
+    continueGame() {
+        const slot = this.saveManager.getLatestSlot();
+        const state = slot ? this.saveManager.load(slot) : null;
+        if (!state) {
+            this.uiManager.showNotification('Aucune partie sauvegardée', 'warning');
+            return;
+        }
+        
+        try {
+            this.gameEngine.restore(state);
+        } catch (error) {
+            console.error('Sauvegarde corrompue:', error);
+            this.saveManager.delete(slot);
+            this.uiManager.showNotification('Sauvegarde illisible', 'error');
+            this.uiManager.showMenu();
+            return;
+        }
+        
+        this.currentMode = 'game';
+        this.uiManager.hideMenu();
+        this.gameEngine.resume();
         this.updateGameLoop();
     }
 
+    /**
+     * Sauvegarde automatiquement la partie en cours
+     */
+    autosaveGame() {
+        if (this.currentMode !== 'game' || this.gameEngine.getGameState().gameOver) return;
+        
+        this.saveManager.save(AUTOSAVE_SLOT, this.gameEngine.serialize());
+    }
+
     /**
      * Ouvre l'éditeur de niveau
      */
@@ -113,11 +202,107 @@ class SerpentisNexus {
         this.updateEditorLoop();
     }
 
+    /**
+     * Teste un niveau de l'éditeur dans le moteur de jeu
+     */
+    startPlaytest(levelData) {
+        this.levelEditor.stop();
+        this.currentMode = 'playtest';
+        this.gameEngine.startNewGame({ seed: Date.now(), levelData });
+        this.uiManager.showNotification('Échap : retour à l\'éditeur', 'info');
+        this.updateGameLoop();
+    }
+
+    /**
+     * Quitte le test de niveau et rouvre l'éditeur dans son état
+     */
+    returnToEditor() {
+        this.gameEngine.stop();
+        this.uiManager.hidePauseScreen();
+        this.currentMode = 'editor';
+        this.levelEditor.start();
+        this.updateEditorLoop();
+    }
+
+    /**
+     * Lance la relecture d'un replay (objet ou texte JSON)
+     */
+    startReplay(data) {
+        try {
+            this.replayPlayer = new ReplayPlayer(this.gameEngine).load(data);
+        } catch (error) {
+            console.error('Replay illisible:', error);
+            this.uiManager.showNotification('Fichier de replay invalide', 'error');
+            return;
+        }
+        
+        this.currentMode = 'replay';
+        this.uiManager.hideMenu();
+        this.uiManager.showReplayControls();
+        this.replayPlayer.start();
+        this.updateReplayLoop();
+    }
+
+    /**
+     * Ouvre un fichier de replay choisi par l'utilisateur
+     */
+    openReplayFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => this.startReplay(reader.result);
+            reader.readAsText(file);
+        });
+        
+        input.click();
+    }
+
+    /**
+     * Télécharge le replay de la partie en cours ou de la dernière partie
+     */
+    downloadReplay() {
+        const recorder = this.gameEngine.replayRecorder;
+        if (!recorder.hasReplay()) {
+            this.uiManager.showNotification('Aucun replay disponible', 'warning');
+            return;
+        }
+        
+        const replay = recorder.export();
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `serpentis-replay-${replay.seed}.json`;
+        link.click();
+        
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Retourne au menu principal
      */
     returnToMenu() {
+        // Une partie quittée en cours peut être reprise depuis le menu
+        this.autosaveGame();
         this.currentMode = 'menu';
+        
+        if (this.replayPlayer) {
+            this.replayPlayer.stop();
+            this.replayPlayer = null;
+            this.uiManager.hideReplayControls();
+            
+            // Retour à la grille du canvas courant
+            this.gameEngine.stop();
+            this.handleResize();
+        }
+        
         this.gameEngine.stop();
         this.levelEditor.stop();
         this.uiManager.showMenu();
@@ -139,6 +324,7 @@ class SerpentisNexus {
      */
     pauseGame() {
         this.gameEngine.pause();
+        this.autosaveGame();
         this.uiManager.showPauseScreen();
     }
 
@@ -154,7 +340,7 @@ class SerpentisNexus {
      * Boucle de mise à jour du jeu
      */
     updateGameLoop() {
-        if (this.currentMode !== 'game') return;
+        if (!this.isPlaying()) return;
 
         const gameState = this.gameEngine.update();
         this.uiManager.updateGameUI(gameState);
@@ -168,6 +354,25 @@ class SerpentisNexus {
         requestAnimationFrame(() => this.updateGameLoop());
     }
 
+    /**
+     * Boucle de relecture d'un replay
+     */
+    updateReplayLoop() {
+        if (this.currentMode !== 'replay') return;
+
+        const gameState = this.replayPlayer.update();
+        this.uiManager.updateGameUI(gameState);
+        this.uiManager.updateReplayControls(this.replayPlayer.getStatus());
+        this.gameEngine.render();
+
+        if (this.replayPlayer.isFinished()) {
+            this.uiManager.showReplayEndScreen();
+            return;
+        }
+
+        requestAnimationFrame(() => this.updateReplayLoop());
+    }
+
     /**
      * Boucle de mise à jour de l'éditeur
      */
@@ -183,8 +388,15 @@ class SerpentisNexus {
      * Gère la fin de partie
      */
     handleGameOver(gameState) {
+        if (this.currentMode === 'playtest') {
+            this.uiManager.showNotification('Test terminé', 'info');
+            this.returnToEditor();
+            return;
+        }
+        
+        this.saveManager.delete(AUTOSAVE_SLOT);
         this.audioManager.playSound('gameOver');
-        this.uiManager.showGameOverScreen(gameState.score, gameState.level);
+        this.uiManager.showGameOverScreen(gameState.score, gameState.level, gameState.gameOverReason);
         
         // Retour au menu après un délai
         setTimeout(() => {
@@ -223,8 +435,8 @@ class SerpentisNexus {
         canvas.style.width = width + 'px';
         canvas.style.height = height + 'px';
 
-        // Mise à jour des systèmes
-        if (this.gameEngine) {
+        // Mise à jour des systèmes (la grille d'un replay est imposée par le fichier)
+        if (this.gameEngine && this.currentMode !== 'replay') {
             this.gameEngine.handleResize(canvas.width, canvas.height);
         }
         if (this.levelEditor) {
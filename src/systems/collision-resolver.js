@@ -0,0 +1,137 @@
+/**
+ * Résolution des collisions - Règles explicites des contacts entre serpents et obstacles
+ * Les issues sont publiées comme événements (interface, audio, particules)
+ *
+ * Règles :
+ * - mur ou bord : le serpent encaisse un coup (rebond s'il est invulnérable)
+ * - tête contre corps : seul le serpent qui percute encaisse un coup
+ * - tête contre tête : le plus court encaisse un coup ; à égalité, les deux rebondissent
+ * - coup encaissé : ignoré pendant l'invulnérabilité, absorbé par le bouclier ou un
+ *   segment blindé (perte d'un niveau ou du segment, invulnérabilité et recul), fatal sinon
+ * - les serpents invulnérables ou fantômes se traversent sans dommage
+ *
+ * Issues publiées : 'deflected', 'absorbed', 'repelled' et 'fatal'
+ * ('ignored' et 'unharmed' ne sont que retournées : rien ne se passe)
+ */
+
+export class CollisionResolver {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Abonne un callback à une issue de collision
+     */
+    on(outcome, callback) {
+        if (!this.listeners.has(outcome)) {
+            this.listeners.set(outcome, new Set());
+        }
+        this.listeners.get(outcome).add(callback);
+    }
+
+    /**
+     * Désabonne un callback
+     */
+    off(outcome, callback) {
+        const callbacks = this.listeners.get(outcome);
+        if (callbacks) {
+            callbacks.delete(callback);
+        }
+    }
+
+    /**
+     * Publie une issue de collision
+     */
+    emit(outcome, event) {
+        const callbacks = this.listeners.get(outcome);
+        if (!callbacks) return;
+
+        callbacks.forEach(callback => callback(event));
+    }
+
+    /**
+     * Résout le contact d'un serpent avec un obstacle ('wall' ou 'self')
+     * Retourne les issues de la collision
+     */
+    resolveObstacle(snake, contact, cell) {
+        // Un serpent fantôme ou invulnérable traverse son propre corps
+        if (contact === 'self' && snake.isIntangible()) {
+            return [this.createResult(snake, 'ignored', contact, null, cell)];
+        }
+
+        if (snake.invulnerable) {
+            // Un mur ne se traverse pas, même invulnérable : le serpent est repoussé
+            snake.bounce();
+            return [this.report(this.createResult(snake, 'deflected', contact, null, cell))];
+        }
+
+        return [this.applyHit(snake, contact, null, cell)];
+    }
+
+    /**
+     * Résout le contact de la tête d'un serpent avec un segment d'un autre serpent
+     * Retourne les issues pour les deux serpents
+     */
+    resolveSnakeContact(snake, other, segment, cell) {
+        const contact = segment === other.getHead() ? 'head_on' : 'head_to_body';
+
+        // Fantôme ou invulnérabilité : les deux serpents se traversent
+        if (snake.isIntangible() || other.isIntangible()) {
+            return [
+                this.createResult(snake, 'ignored', contact, other, cell),
+                this.createResult(other, 'ignored', contact, snake, cell)
+            ];
+        }
+
+        if (contact === 'head_to_body') {
+            return [this.applyHit(snake, contact, other, cell), this.createResult(other, 'unharmed', contact, snake, cell)];
+        }
+
+        // Tête contre tête : le plus long l'emporte
+        const difference = snake.segments.length - other.segments.length;
+        if (difference === 0) {
+            snake.bounce();
+            other.bounce();
+            return [
+                this.report(this.createResult(snake, 'repelled', contact, other, cell)),
+                this.report(this.createResult(other, 'repelled', contact, snake, cell))
+            ];
+        }
+
+        const [loser, winner] = difference < 0 ? [snake, other] : [other, snake];
+        const results = [this.applyHit(loser, contact, winner, cell), this.createResult(winner, 'unharmed', contact, loser, cell)];
+        return loser === snake ? results : results.reverse();
+    }
+
+    /**
+     * Fait encaisser un coup à un serpent
+     */
+    applyHit(snake, contact, other, cell) {
+        const absorber = snake.getDamageAbsorber();
+        const outcome = snake.takeDamage();
+
+        // Le bouclier ou le blindage absorbe le choc et repousse le serpent
+        const result = this.createResult(snake, outcome, contact, other, cell);
+        if (outcome === 'absorbed') {
+            snake.bounce();
+            result.absorber = absorber;
+        }
+
+        return outcome === 'ignored' ? result : this.report(result);
+    }
+
+    /**
+     * Crée l'issue d'une collision pour un serpent
+     */
+    createResult(snake, outcome, contact, other, cell) {
+        return { snake, outcome, contact, other, x: cell.x, y: cell.y };
+    }
+
+    /**
+     * Publie une issue puis la retourne
+     */
+    report(result) {
+        this.emit(result.outcome, result);
+        return result;
+    }
+}
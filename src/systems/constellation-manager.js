@@ -3,8 +3,12 @@
  * Gère les patterns de collecte et les transformations dynamiques
  */
 
+import { RandomGenerator } from './random-generator.js';
+
 export class ConstellationManager {
-    constructor() {
+    constructor(rng = new RandomGenerator()) {
+        this.rng = rng;
+        
         // Patterns de constellations disponibles
         this.patterns = {
             triangle: {
@@ -43,6 +47,7 @@ export class ConstellationManager {
         this.targetPattern = 'triangle';
         this.morphingActive = false;
         this.morphTimer = 0;
+        this.nextPattern = null;
         this.completedPatterns = [];
         
         // Historique pour éviter les répétitions
@@ -65,6 +70,7 @@ export class ConstellationManager {
         this.collectedStars.clear();
         this.morphingActive = false;
         this.morphTimer = 0;
+        this.nextPattern = null;
         
         console.log(`Nouvelle constellation: ${this.currentPattern.name}`);
     }
@@ -123,12 +129,8 @@ export class ConstellationManager {
         this.morphingActive = true;
         this.morphTimer = 3000; // 3 secondes de morphing
         
-        // Sélection du prochain pattern
-        const nextPattern = this.selectNextPattern();
-        
-        setTimeout(() => {
-            this.setPattern(nextPattern);
-        }, this.morphTimer);
+        // Sélection du prochain pattern, appliqué à la fin du morphing
+        this.nextPattern = this.selectNextPattern();
     }
 
     /**
@@ -146,7 +148,7 @@ export class ConstellationManager {
             return this.selectRandomPattern();
         }
         
-        const nextPattern = availablePatterns[Math.floor(Math.random() * availablePatterns.length)];
+        const nextPattern = this.rng.pick(availablePatterns);
         
         // Mise à jour de l'historique
         this.recentPatterns.push(this.targetPattern);
@@ -162,7 +164,7 @@ export class ConstellationManager {
      */
     selectRandomPattern() {
         const patterns = Object.keys(this.patterns);
-        return patterns[Math.floor(Math.random() * patterns.length)];
+        return this.rng.pick(patterns);
     }
 
     /**
@@ -174,6 +176,10 @@ export class ConstellationManager {
             
             if (this.morphTimer <= 0) {
                 this.morphingActive = false;
+                
+                if (this.nextPattern) {
+                    this.setPattern(this.nextPattern);
+                }
             }
         }
     }
@@ -320,7 +326,7 @@ export class ConstellationManager {
      * Génère un pattern procédural
      */
     generateProceduralPattern() {
-        const starCount = 3 + Math.floor(Math.random() * 4); // 3-6 étoiles
+        const starCount = 3 + this.rng.nextInt(4); // 3-6 étoiles
         const stars = [];
         const colors = [];
         
@@ -331,16 +337,16 @@ export class ConstellationManager {
         }
         
         // Génération de couleurs harmonieuses
-        const baseHue = Math.random() * 360;
+        const baseHue = this.rng.range(0, 360);
         for (let i = 0; i < starCount; i++) {
             const hue = (baseHue + (i * 360 / starCount)) % 360;
-            const saturation = 60 + Math.random() * 30;
-            const lightness = 50 + Math.random() * 20;
+            const saturation = 60 + this.rng.range(0, 30);
+            const lightness = 50 + this.rng.range(0, 20);
             colors.push(`hsl(${hue}, ${saturation}%, ${lightness}%)`);
         }
         
         return {
-            name: `Formation ${Math.random().toString(36).substr(2, 5).toUpperCase()}`,
+            name: `Formation ${this.rng.nextInt(36 ** 5).toString(36).padStart(5, '0').toUpperCase()}`,
             stars,
             colors,
             description: 'Pattern généré procéduralement',
@@ -379,7 +385,10 @@ export class ConstellationManager {
             targetPattern: this.targetPattern,
             collectedStars: Array.from(this.collectedStars),
             completedPatterns: [...this.completedPatterns],
-            recentPatterns: [...this.recentPatterns]
+            recentPatterns: [...this.recentPatterns],
+            morphingActive: this.morphingActive,
+            morphTimer: this.morphTimer,
+            nextPattern: this.nextPattern
         };
     }
 
@@ -398,5 +407,10 @@ export class ConstellationManager {
         state.collectedStars?.forEach(star => {
             this.collectedStars.add(star);
         });
+        
+        // Restauration d'un morphing en cours
+        this.morphingActive = state.morphingActive || false;
+        this.morphTimer = state.morphTimer || 0;
+        this.nextPattern = state.nextPattern || null;
     }
 }
\ No newline at end of file
@@ -0,0 +1,280 @@
+/**
+ * Format de fichier de niveau commun à l'éditeur et au LevelManager
+ * Schéma versionné avec conversions vers et depuis les deux formes historiques
+ */
+
+import { OBJECTIVE_TYPES } from './objective-tracker.js';
+
+export const LEVEL_FORMAT_VERSION = 1;
+
+// Réglages appliqués quand un niveau ne les précise pas
+const DEFAULT_SETTINGS = {
+    constellationPattern: 'triangle',
+    collectibleCount: 5,
+    timeLimit: 0,
+    timeoutOutcome: 'lose_life',
+    objective: 'constellations',
+    objectiveTarget: 1,
+    difficulty: 'medium',
+    theme: 'space',
+    specialFeatures: []
+};
+
+// Couleurs des éléments dans l'éditeur
+const EDITOR_COLORS = {
+    gravityWell: '#0088ff',
+    enemy: '#ff4444',
+    spawn: '#00ff88',
+    collectible: '#ffaa00',
+    wall: '#666666',
+    portal: '#ff00ff'
+};
+
+// Réglages facultatifs d'un ennemi (paramètres d'IA et longueur de départ)
+const ENEMY_OPTIONS = ['aggressiveness', 'playerTrackingRange', 'speedModifier', 'reactionTime', 'length'];
+
+/**
+ * Copie les réglages facultatifs renseignés d'un ennemi
+ */
+function pickEnemyOptions(enemy) {
+    const options = {};
+    for (const option of ENEMY_OPTIONS) {
+        if (Number.isFinite(enemy[option])) {
+            options[option] = enemy[option];
+        }
+    }
+    return options;
+}
+
+export class LevelFormat {
+    /**
+     * Crée un niveau au format commun (champs manquants complétés)
+     */
+    static create(data = {}) {
+        return {
+            version: LEVEL_FORMAT_VERSION,
+            name: data.name || 'Niveau Personnalisé',
+            description: data.description || '',
+            settings: { ...DEFAULT_SETTINGS, ...(data.settings || {}) },
+            spawnPoint: data.spawnPoint ? { x: data.spawnPoint.x, y: data.spawnPoint.y } : null,
+            gravityWells: (data.gravityWells || []).map(well => ({
+                x: well.x,
+                y: well.y,
+                strength: well.strength,
+                radius: well.radius,
+                type: well.type || 'attract'
+            })),
+            enemies: (data.enemies || []).map(enemy => ({
+                x: enemy.x,
+                y: enemy.y,
+                behavior: enemy.behavior || 'collector',
+                ...pickEnemyOptions(enemy)
+            })),
+            collectibles: (data.collectibles || []).map(collectible => ({
+                x: collectible.x,
+                y: collectible.y,
+                starType: collectible.starType || 'alpha'
+            })),
+            walls: (data.walls || []).map(wall => ({
+                x: wall.x,
+                y: wall.y,
+                width: wall.width || 1,
+                height: wall.height || 1,
+                behavior: wall.behavior || 'kill'
+            })),
+            portals: (data.portals || []).map(portal => ({
+                id: portal.id,
+                x: portal.x,
+                y: portal.y,
+                linkedPortal: portal.linkedPortal ?? null,
+                color: portal.color || EDITOR_COLORS.portal
+            }))
+        };
+    }
+
+    /**
+     * Lit un niveau sous n'importe laquelle des formes connues
+     * (format commun, export de l'éditeur ou modèle du LevelManager)
+     */
+    static parse(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+
+        if (!data || typeof data !== 'object') {
+            throw new Error('Niveau invalide: données manquantes');
+        }
+
+        let level;
+        if (data.version !== undefined && data.settings) {
+            if (data.version !== LEVEL_FORMAT_VERSION) {
+                throw new Error(`Version de niveau non supportée: ${data.version}`);
+            }
+            level = LevelFormat.create(data);
+        } else if (data.elements) {
+            level = LevelFormat.fromEditor(data);
+        } else if (Array.isArray(data.gravityWells)) {
+            level = LevelFormat.fromTemplate(data);
+        } else {
+            throw new Error('Niveau invalide: format inconnu');
+        }
+
+        LevelFormat.validate(level);
+        return level;
+    }
+
+    /**
+     * Vérifie la cohérence d'un niveau au format commun
+     */
+    static validate(level) {
+        const groups = ['gravityWells', 'enemies', 'collectibles', 'walls', 'portals'];
+
+        for (const group of groups) {
+            const invalid = level[group].find(
+                element => !Number.isFinite(element.x) || !Number.isFinite(element.y)
+            );
+            if (invalid) {
+                throw new Error(`Niveau invalide: position incorrecte dans ${group}`);
+            }
+        }
+
+        if (level.spawnPoint && (!Number.isFinite(level.spawnPoint.x) || !Number.isFinite(level.spawnPoint.y))) {
+            throw new Error('Niveau invalide: point de spawn incorrect');
+        }
+
+        if (!OBJECTIVE_TYPES[level.settings.objective]) {
+            throw new Error(`Niveau invalide: objectif inconnu (${level.settings.objective})`);
+        }
+
+        return true;
+    }
+
+    /**
+     * Convertit un export de l'éditeur
+     */
+    static fromEditor(editorData) {
+        const elements = editorData.elements || {};
+
+        // Le dernier point de spawn placé est celui du joueur
+        const spawnPoints = (elements.spawnPoints || []).filter(
+            spawn => spawn.type === 'player' || spawn.spawnType === 'player'
+        );
+
+        return LevelFormat.create({
+            name: editorData.name,
+            description: editorData.description,
+            settings: editorData.settings,
+            spawnPoint: spawnPoints[spawnPoints.length - 1],
+            gravityWells: (elements.gravityWells || []).map(well => ({ ...well, type: well.wellType })),
+            enemies: elements.enemies,
+            collectibles: elements.collectibles,
+            walls: elements.walls,
+            portals: elements.portals
+        });
+    }
+
+    /**
+     * Convertit un niveau vers la forme manipulée par l'éditeur
+     */
+    static toEditor(level) {
+        const portals = level.portals.map((portal, i) => ({
+            id: portal.id ?? `portal_${i}`,
+            type: 'portal',
+            x: portal.x,
+            y: portal.y,
+            linkedPortal: portal.linkedPortal,
+            color: portal.color
+        }));
+
+        // Les portails sans partenaire sont liés dans l'ordre, comme dans le moteur
+        const unlinked = portals.filter(portal => !portal.linkedPortal);
+        for (let i = 0; i + 1 < unlinked.length; i += 2) {
+            unlinked[i].linkedPortal = unlinked[i + 1].id;
+            unlinked[i + 1].linkedPortal = unlinked[i].id;
+        }
+
+        return {
+            name: level.name,
+            description: level.description,
+            settings: { ...level.settings },
+            elements: {
+                gravityWells: level.gravityWells.map(well => ({
+                    type: 'gravityWell',
+                    x: Math.round(well.x),
+                    y: Math.round(well.y),
+                    strength: well.strength,
+                    radius: well.radius,
+                    wellType: well.type,
+                    color: EDITOR_COLORS.gravityWell
+                })),
+                enemies: level.enemies.map(enemy => ({
+                    type: 'enemy',
+                    x: Math.round(enemy.x),
+                    y: Math.round(enemy.y),
+                    behavior: enemy.behavior,
+                    ...pickEnemyOptions(enemy),
+                    color: EDITOR_COLORS.enemy
+                })),
+                spawnPoints: level.spawnPoint ? [{
+                    type: 'spawn',
+                    x: level.spawnPoint.x,
+                    y: level.spawnPoint.y,
+                    spawnType: 'player',
+                    color: EDITOR_COLORS.spawn
+                }] : [],
+                collectibles: level.collectibles.map(collectible => ({
+                    type: 'collectible',
+                    x: collectible.x,
+                    y: collectible.y,
+                    starType: collectible.starType,
+                    color: EDITOR_COLORS.collectible
+                })),
+                walls: level.walls.map(wall => ({
+                    type: 'wall',
+                    x: wall.x,
+                    y: wall.y,
+                    width: wall.width,
+                    height: wall.height,
+                    behavior: wall.behavior,
+                    color: EDITOR_COLORS.wall
+                })),
+                portals
+            },
+            metadata: {
+                version: LEVEL_FORMAT_VERSION
+            }
+        };
+    }
+
+    /**
+     * Convertit un modèle du LevelManager
+     */
+    static fromTemplate(template) {
+        const settings = {};
+        for (const key of Object.keys(DEFAULT_SETTINGS)) {
+            if (template[key] !== undefined) {
+                settings[key] = template[key];
+            }
+        }
+
+        return LevelFormat.create({ ...template, settings });
+    }
+
+    /**
+     * Convertit un niveau vers la forme des modèles du LevelManager
+     */
+    static toTemplate(level) {
+        return {
+            name: level.name,
+            description: level.description,
+            gravityWells: level.gravityWells.map(well => ({ ...well })),
+            enemies: level.enemies.map(enemy => ({ ...enemy })),
+            collectibles: level.collectibles.map(collectible => ({ ...collectible })),
+            walls: level.walls.map(wall => ({ ...wall })),
+            portals: level.portals.map(portal => ({ ...portal })),
+            spawnPoint: level.spawnPoint ? { ...level.spawnPoint } : null,
+            ...level.settings,
+            specialFeatures: level.settings.specialFeatures.map(feature => ({ ...feature }))
+        };
+    }
+}
@@ -3,6 +3,8 @@
  * Définit les patterns de jeu, obstacles et objectifs
  */
 
+import { LevelFormat } from './level-format.js';
+
 export class LevelManager {
     constructor() {
         this.currentLevel = 1;
@@ -71,6 +73,7 @@ export class LevelManager {
                 constellationPattern: 'cross',
                 collectibleCount: 8,
                 timeLimit: 120,
+                timeoutOutcome: 'lose_life',
                 difficulty: 'medium',
                 theme: 'space'
             },
@@ -88,6 +91,7 @@ export class LevelManager {
                 constellationPattern: 'diamond',
                 collectibleCount: 10,
                 timeLimit: 150,
+                timeoutOutcome: 'lose_life',
                 difficulty: 'medium',
                 theme: 'nebula'
             },
@@ -108,6 +112,7 @@ export class LevelManager {
                 constellationPattern: 'spiral',
                 collectibleCount: 12,
                 timeLimit: 180,
+                timeoutOutcome: 'fail_level',
                 difficulty: 'hard',
                 theme: 'asteroid'
             }
@@ -115,9 +120,13 @@ export class LevelManager {
     }
 
     /**
-     * Charge un niveau spécifique
+     * Charge un niveau spécifique (numéro ou niveau personnalisé)
      */
     loadLevel(levelNumber) {
+        if (typeof levelNumber === 'object' || typeof levelNumber === 'string') {
+            return this.loadCustomLevel(levelNumber);
+        }
+        
         this.currentLevel = levelNumber;
         
         if (this.levelTemplates[levelNumber]) {
@@ -132,6 +141,32 @@ export class LevelManager {
         return this.levelData;
     }
 
+    /**
+     * Charge un niveau personnalisé (format commun, export de l'éditeur ou modèle)
+     */
+    loadCustomLevel(data) {
+        const level = LevelFormat.parse(data);
+        
+        this.levelData = {
+            ...LevelFormat.toTemplate(level),
+            levelNumber: this.currentLevel,
+            generated: false,
+            custom: true,
+            source: level
+        };
+        
+        console.log('Niveau personnalisé chargé:', this.levelData.name);
+        return this.levelData;
+    }
+
+    /**
+     * Retourne un niveau au format commun, pour l'éditeur
+     */
+    getLevelFile(levelNumber) {
+        const template = this.levelTemplates[levelNumber] || this.generateProceduralLevel(levelNumber);
+        return LevelFormat.fromTemplate(template);
+    }
+
     /**
      * Traite un modèle de niveau
      */
@@ -141,6 +176,8 @@ export class LevelManager {
         // Ajout des métadonnées
         processedLevel.levelNumber = this.currentLevel;
         processedLevel.generated = false;
+        processedLevel.timeoutOutcome = template.timeoutOutcome || 'lose_life';
+        processedLevel.objective = template.objective || 'constellations';
         
         // Normalisation des positions selon la taille de grille
         // (Sera ajusté par le moteur de jeu)
@@ -170,9 +207,13 @@ export class LevelManager {
             constellationPattern: this.selectConstellationPattern(levelNumber, rng),
             collectibleCount: this.calculateCollectibleCount(levelNumber, difficulty),
             timeLimit: this.calculateTimeLimit(levelNumber, difficulty),
+            timeoutOutcome: this.selectTimeoutOutcome(difficulty),
             specialFeatures: this.generateSpecialFeatures(levelNumber, rng)
         };
         
+        // Tiré en dernier : les niveaux déjà générés restent identiques
+        Object.assign(level, this.selectObjective(level, rng));
+        
         return level;
     }
 
@@ -300,6 +341,48 @@ export class LevelManager {
         return Math.floor(baseTime * difficultyMultiplier[difficulty]) + levelBonus;
     }
 
+    /**
+     * Choisit la conséquence d'un temps écoulé
+     * 'lose_life' : une vie perdue et le chrono repart
+     * 'fail_level' : la partie s'arrête
+     */
+    selectTimeoutOutcome(difficulty) {
+        return difficulty === 'extreme' ? 'fail_level' : 'lose_life';
+    }
+
+    /**
+     * Choisit l'objectif du niveau et sa cible
+     * L'extermination n'est proposée qu'aux niveaux peuplés d'ennemis
+     */
+    selectObjective(level, rng) {
+        const objectives = ['constellations', 'survive', 'length', 'score'];
+        if (level.enemies.length > 0) {
+            objectives.push('eliminate');
+        }
+        
+        const objective = objectives[Math.floor(rng() * objectives.length)];
+        const levelNumber = level.levelNumber;
+        
+        switch (objective) {
+            case 'survive': {
+                // La survie doit tenir dans le chrono du niveau
+                const duration = 45 + levelNumber * 3;
+                return {
+                    objective,
+                    objectiveTarget: level.timeLimit > 0 ? Math.min(duration, level.timeLimit - 15) : duration
+                };
+            }
+            case 'length':
+                return { objective, objectiveTarget: 3 + Math.floor(levelNumber / 4) };
+            case 'score':
+                return { objective, objectiveTarget: 500 + levelNumber * 100 };
+            case 'eliminate':
+                return { objective, objectiveTarget: 0 };
+            default:
+                return { objective, objectiveTarget: levelNumber >= 10 ? 2 : 1 };
+        }
+    }
+
     /**
      * Génère des caractéristiques spéciales
      */
@@ -0,0 +1,147 @@
+/**
+ * Système de magnétisme - Les segments magnétiques attirent les collectibles
+ * Chaque tick, les collectibles à portée glissent d'une case vers la tête
+ * et ceux qui la touchent (diagonales comprises) y sont happés
+ */
+
+// Distance (en cases) à laquelle un collectible saute directement sur la tête
+const SNAP_DISTANCE = 1.5;
+
+export class MagnetismSystem {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.pullColor = '#8800ff';
+    }
+
+    /**
+     * Attire les collectibles vers tous les serpents magnétiques
+     */
+    update() {
+        const engine = this.gameEngine;
+        const snakes = [engine.playerSnake, ...engine.enemies];
+        const collectibles = new Set(engine.collectibles);
+
+        // Un collectible ne bouge qu'une fois par tick
+        const moved = new Set();
+
+        for (const snake of snakes) {
+            if (!snake || !snake.alive || snake.getMagneticRange() <= 0) continue;
+            this.pullCollectibles(snake, collectibles, moved);
+        }
+
+        return moved.size;
+    }
+
+    /**
+     * Attire les collectibles à portée d'un serpent
+     */
+    pullCollectibles(snake, collectibles, moved) {
+        const engine = this.gameEngine;
+        const head = snake.getHead();
+
+        // Portée exprimée en pixels, convertie en cases
+        const range = snake.getMagneticRange() / engine.gridSize;
+
+        const inRange = engine.spatialHash.queryPoint(head.x, head.y, range)
+            .filter(object => collectibles.has(object) && !moved.has(object))
+            .sort((a, b) => this.distance(a, head) - this.distance(b, head) || a.x - b.x || a.y - b.y);
+
+        for (const collectible of inRange) {
+            const target = this.findStep(collectible, head);
+            if (!target) continue;
+
+            this.emitPullEffect(collectible, head);
+
+            collectible.x = target.x;
+            collectible.y = target.y;
+            engine.spatialHash.update(collectible, target.x, target.y, 1, 1);
+            moved.add(collectible);
+        }
+    }
+
+    /**
+     * Choisit la case suivante vers la tête (axe principal puis secondaire)
+     */
+    findStep(collectible, head) {
+        const dx = Math.sign(head.x - collectible.x);
+        const dy = Math.sign(head.y - collectible.y);
+        if (dx === 0 && dy === 0) return null;
+
+        // Un seul collectible à la fois sur la tête : il y est ramassé
+        const headFree = !this.gameEngine.collectibles.some(
+            other => other !== collectible && other.x === head.x && other.y === head.y
+        );
+
+        if (this.distance(collectible, head) <= SNAP_DISTANCE) {
+            return headFree ? { x: head.x, y: head.y } : null;
+        }
+
+        const horizontalFirst = Math.abs(head.x - collectible.x) >= Math.abs(head.y - collectible.y);
+        const steps = horizontalFirst
+            ? [{ x: dx, y: 0 }, { x: 0, y: dy }]
+            : [{ x: 0, y: dy }, { x: dx, y: 0 }];
+
+        for (const step of steps) {
+            if (step.x === 0 && step.y === 0) continue;
+
+            const target = { x: collectible.x + step.x, y: collectible.y + step.y };
+
+            const isHead = target.x === head.x && target.y === head.y;
+            if ((isHead && headFree) || this.isCellFree(target.x, target.y)) {
+                return target;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Vérifie qu'une case peut recevoir un collectible
+     */
+    isCellFree(x, y) {
+        const engine = this.gameEngine;
+
+        if (x < 0 || x >= engine.gridWidth || y < 0 || y >= engine.gridHeight) {
+            return false;
+        }
+
+        if (engine.getWallAt(x, y) || engine.getPortalAt(x, y)) {
+            return false;
+        }
+
+        // Autres collectibles et segments des serpents
+        return !engine.spatialHash.queryPoint(x, y)
+            .some(object => object.x === x && object.y === y &&
+                (engine.segmentOwners.has(object) || engine.collectibles.includes(object)));
+    }
+
+    /**
+     * Particules d'attraction dirigées vers la tête
+     */
+    emitPullEffect(collectible, head) {
+        const gridSize = this.gameEngine.gridSize;
+        const direction = Math.atan2(head.y - collectible.y, head.x - collectible.x);
+
+        this.gameEngine.particleSystem.emit(
+            collectible.x * gridSize + gridSize / 2,
+            collectible.y * gridSize + gridSize / 2,
+            this.pullColor,
+            {
+                count: 3,
+                direction,
+                spread: 0.3,
+                speed: 80,
+                life: 0.4,
+                size: 2,
+                type: 'trail'
+            }
+        );
+    }
+
+    /**
+     * Distance entre un collectible et une position
+     */
+    distance(a, b) {
+        return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+    }
+}
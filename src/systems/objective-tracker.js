@@ -0,0 +1,152 @@
+/**
+ * Objectifs de niveau - But déclaré par les données du niveau
+ * (réglages 'objective' et 'objectiveTarget'), suivi chaque tick
+ *
+ * Types : constellations à compléter, ennemis à éliminer, secondes à survivre,
+ * segments ou points à gagner pendant le niveau
+ */
+
+export const OBJECTIVE_TYPES = {
+    constellations: { name: 'Constellations', icon: '✨', unit: 'constellations', defaultTarget: 1 },
+    eliminate: { name: 'Extermination', icon: '⚔️', unit: 'ennemis', defaultTarget: 0 },
+    survive: { name: 'Survie', icon: '⏱️', unit: 's', defaultTarget: 60 },
+    length: { name: 'Croissance', icon: '🐍', unit: 'segments', defaultTarget: 5 },
+    score: { name: 'Récolte', icon: '💎', unit: 'points', defaultTarget: 1000 }
+};
+
+// Objectif des niveaux qui n'en déclarent pas
+const DEFAULT_OBJECTIVE = 'constellations';
+
+export class ObjectiveTracker {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.reset();
+    }
+
+    /**
+     * Revient à l'objectif par défaut
+     */
+    reset() {
+        this.type = DEFAULT_OBJECTIVE;
+        this.target = OBJECTIVE_TYPES[DEFAULT_OBJECTIVE].defaultTarget;
+        this.completedConstellations = 0;
+        this.elapsed = 0;
+        this.startScore = 0;
+        this.startLength = 1;
+    }
+
+    /**
+     * Configure l'objectif à partir des données du niveau
+     */
+    configure(levelData) {
+        this.reset();
+
+        const type = OBJECTIVE_TYPES[levelData.objective] ? levelData.objective : DEFAULT_OBJECTIVE;
+        const enemyCount = this.gameEngine.enemies.length;
+
+        // Sans ennemi à éliminer, le niveau revient aux constellations
+        if (type === 'eliminate' && enemyCount === 0) return;
+
+        this.type = type;
+        // Extermination : tous les ennemis présents au début du niveau
+        this.target = type === 'eliminate'
+            ? enemyCount
+            : Math.max(1, levelData.objectiveTarget || OBJECTIVE_TYPES[type].defaultTarget);
+        this.startScore = this.gameEngine.score;
+        this.startLength = this.gameEngine.playerSnake.segments.length;
+    }
+
+    /**
+     * Le joueur réapparaît avec un seul segment : sa croissance repart de là
+     */
+    recordRespawn() {
+        this.startLength = this.gameEngine.playerSnake.segments.length;
+    }
+
+    /**
+     * Compte une constellation complétée
+     */
+    recordConstellation() {
+        this.completedConstellations++;
+    }
+
+    /**
+     * Avance le temps de survie d'un tick
+     */
+    update(tickSeconds) {
+        if (this.type === 'survive') {
+            this.elapsed += tickSeconds;
+        }
+    }
+
+    /**
+     * Valeur courante de l'objectif
+     */
+    getProgress() {
+        const engine = this.gameEngine;
+
+        switch (this.type) {
+            case 'eliminate':
+                return this.target - engine.enemies.filter(enemy => enemy.alive).length;
+            case 'survive':
+                return this.elapsed;
+            case 'length':
+                return Math.max(0, engine.playerSnake.segments.length - this.startLength);
+            case 'score':
+                return engine.score - this.startScore;
+            default:
+                return this.completedConstellations;
+        }
+    }
+
+    /**
+     * Indique si l'objectif est atteint
+     */
+    isComplete() {
+        return this.getProgress() >= this.target;
+    }
+
+    /**
+     * État affiché dans le HUD
+     */
+    getStatus() {
+        const definition = OBJECTIVE_TYPES[this.type];
+        const current = Math.min(this.target, this.type === 'survive' ? Math.floor(this.elapsed) : this.getProgress());
+
+        return {
+            type: this.type,
+            name: definition.name,
+            icon: definition.icon,
+            message: `${current}/${this.target} ${definition.unit}`,
+            current,
+            target: this.target,
+            complete: this.isComplete()
+        };
+    }
+
+    /**
+     * Sauvegarde l'état de l'objectif
+     */
+    saveState() {
+        return {
+            type: this.type,
+            target: this.target,
+            completedConstellations: this.completedConstellations,
+            elapsed: this.elapsed,
+            startScore: this.startScore,
+            startLength: this.startLength
+        };
+    }
+
+    /**
+     * Restaure l'état de l'objectif
+     */
+    loadState(state) {
+        this.type = state.type;
+        this.target = state.target;
+        this.completedConstellations = state.completedConstellations;
+        this.elapsed = state.elapsed;
+        this.startScore = state.startScore;
+        this.startLength = state.startLength || 1;
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * Recherche de chemin sur la grille d'occupation
+ * A* vers une cible et remplissage par diffusion (flood-fill) de l'espace accessible
+ * L'occupation des cases est fournie par l'appelant (callback isPassable)
+ */
+
+// Voisins dans un ordre fixe : parcours déterministe
+const NEIGHBORS = [
+    { x: 1, y: 0 },
+    { x: -1, y: 0 },
+    { x: 0, y: 1 },
+    { x: 0, y: -1 }
+];
+
+/**
+ * File de priorité minimale (tas binaire) des nœuds ouverts de l'A*
+ */
+class OpenList {
+    constructor() {
+        this.nodes = [];
+    }
+
+    get size() {
+        return this.nodes.length;
+    }
+
+    push(node) {
+        this.nodes.push(node);
+        let i = this.nodes.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!this.before(this.nodes[i], this.nodes[parent])) break;
+            [this.nodes[i], this.nodes[parent]] = [this.nodes[parent], this.nodes[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = this.nodes[0];
+        const last = this.nodes.pop();
+        if (this.nodes.length > 0) {
+            this.nodes[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < this.nodes.length && this.before(this.nodes[left], this.nodes[smallest])) smallest = left;
+                if (right < this.nodes.length && this.before(this.nodes[right], this.nodes[smallest])) smallest = right;
+                if (smallest === i) break;
+                [this.nodes[i], this.nodes[smallest]] = [this.nodes[smallest], this.nodes[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    // Coût estimé, puis proximité de la cible, puis ordre d'insertion
+    before(a, b) {
+        return (a.f - b.f || a.h - b.h || a.order - b.order) < 0;
+    }
+}
+
+export class Pathfinder {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+    }
+
+    /**
+     * Chemin le plus court (A*, distance de Manhattan) de start vers goal
+     * Retourne les cases à parcourir (start exclu) ; si la cible est inaccessible,
+     * le chemin mène à la case atteinte la plus proche. null si aucun pas possible
+     */
+    findPath(start, goal, isPassable) {
+        const { gridWidth, gridHeight } = this.gameEngine;
+        const target = {
+            x: Math.max(0, Math.min(gridWidth - 1, Math.round(goal.x))),
+            y: Math.max(0, Math.min(gridHeight - 1, Math.round(goal.y)))
+        };
+        const key = (x, y) => y * gridWidth + x;
+        const heuristic = (x, y) => Math.abs(target.x - x) + Math.abs(target.y - y);
+
+        const startNode = { x: start.x, y: start.y, g: 0, h: heuristic(start.x, start.y), order: 0, parent: null };
+        startNode.f = startNode.h;
+
+        const open = new OpenList();
+        const bestCost = new Map([[key(start.x, start.y), 0]]);
+        const closed = new Set();
+        let closest = startNode;
+        let order = 1;
+
+        open.push(startNode);
+
+        while (open.size > 0) {
+            const node = open.pop();
+            const nodeKey = key(node.x, node.y);
+            if (closed.has(nodeKey)) continue;
+            closed.add(nodeKey);
+
+            if (node.h < closest.h || (node.h === closest.h && node.g < closest.g)) {
+                closest = node;
+            }
+            if (node.h === 0) break;
+
+            for (const step of NEIGHBORS) {
+                const x = node.x + step.x;
+                const y = node.y + step.y;
+                if (x < 0 || x >= gridWidth || y < 0 || y >= gridHeight) continue;
+
+                // La cible reste atteignable même occupée (tête du joueur, étoile convoitée)
+                const isGoal = x === target.x && y === target.y;
+                if (!isGoal && !isPassable(x, y)) continue;
+
+                const neighborKey = key(x, y);
+                const g = node.g + 1;
+                if (closed.has(neighborKey) || g >= (bestCost.get(neighborKey) ?? Infinity)) continue;
+
+                bestCost.set(neighborKey, g);
+                const h = heuristic(x, y);
+                open.push({ x, y, g, h, f: g + h, order: order++, parent: node });
+            }
+        }
+
+        if (closest === startNode) return null;
+
+        const path = [];
+        for (let node = closest; node !== startNode; node = node.parent) {
+            path.unshift({ x: node.x, y: node.y });
+        }
+        return path;
+    }
+
+    /**
+     * Nombre de cases accessibles depuis start (start compris), plafonné à limit
+     */
+    countReachable(start, isPassable, limit = Infinity) {
+        const { gridWidth, gridHeight } = this.gameEngine;
+        if (start.x < 0 || start.x >= gridWidth || start.y < 0 || start.y >= gridHeight ||
+            !isPassable(start.x, start.y)) {
+            return 0;
+        }
+
+        const visited = new Set([start.y * gridWidth + start.x]);
+        const queue = [start];
+
+        for (let i = 0; i < queue.length && visited.size < limit; i++) {
+            const cell = queue[i];
+            for (const step of NEIGHBORS) {
+                const x = cell.x + step.x;
+                const y = cell.y + step.y;
+                const cellKey = y * gridWidth + x;
+                if (x < 0 || x >= gridWidth || y < 0 || y >= gridHeight || visited.has(cellKey)) continue;
+                if (!isPassable(x, y)) continue;
+
+                visited.add(cellKey);
+                queue.push({ x, y });
+            }
+        }
+
+        return Math.min(visited.size, limit);
+    }
+}
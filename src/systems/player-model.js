@@ -0,0 +1,355 @@
+/**
+ * Modèle du joueur - Habitudes apprises au fil de la partie (tous niveaux confondus)
+ * et exploitées par les chasseurs et les opportunistes pour tendre des embuscades
+ *
+ * Croyances : côté de virage préféré, axe parcouru d'abord pour rejoindre une étoile,
+ * réaction aux puits gravitationnels et zones où le joueur perd ses vies
+ */
+
+// Observations nécessaires avant qu'une croyance soit exploitée
+const MIN_OBSERVATIONS = 3;
+
+// Décès nécessaires pour qu'une zone devienne un lieu d'embuscade
+const MIN_DEATHS = 2;
+
+// Côté (en cases) des zones de décès
+const DEATH_ZONE_SIZE = 5;
+
+// Cases mémorisées du trajet en cours vers une étoile
+const TRAIL_LENGTH = 60;
+
+// Détour estimé pour une étoile située derrière le joueur (demi-tour impossible)
+const BEHIND_PENALTY = 2;
+
+/**
+ * Côté d'un virage entre deux directions (repère écran, y vers le bas)
+ */
+function turnSide(from, to) {
+    const cross = from.x * to.y - from.y * to.x;
+    if (cross === 0) return null;
+    return cross > 0 ? 'right' : 'left';
+}
+
+/**
+ * Choix majoritaire entre deux compteurs, null tant que les observations manquent
+ */
+function preference(counts, first, second) {
+    const total = counts[first] + counts[second];
+    if (total < MIN_OBSERVATIONS) return null;
+
+    const choice = counts[first] >= counts[second] ? first : second;
+    return { choice, share: counts[choice] / total, observations: total };
+}
+
+export class PlayerModel {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.reset();
+    }
+
+    /**
+     * Oublie tout (nouvelle partie)
+     */
+    reset() {
+        this.turns = { left: 0, right: 0 };
+        this.routes = { horizontal: 0, vertical: 0 };
+        this.wells = { avoid: 0, approach: 0 };
+        this.deaths = {};
+        this.resetTrail();
+    }
+
+    /**
+     * Oublie le trajet en cours (nouveau niveau ou réapparition)
+     */
+    resetTrail() {
+        this.trail = [];
+        this.lastDirection = null;
+    }
+
+    /**
+     * Observe le déplacement du joueur pendant le tick
+     */
+    observe() {
+        const player = this.gameEngine.playerSnake;
+        if (!player || !player.alive) return;
+
+        const head = player.getHead();
+        const direction = { x: player.direction.x, y: player.direction.y };
+        const previous = this.trail[this.trail.length - 1];
+
+        if (this.lastDirection) {
+            const side = turnSide(this.lastDirection, direction);
+            if (side) {
+                this.turns[side]++;
+
+                // Virage pris sous l'influence d'un puits : vers lui ou à l'écart
+                const well = previous && this.findWellAt(previous);
+                if (well) {
+                    const toward = direction.x * (well.x - (previous.x + 0.5)) + direction.y * (well.y - (previous.y + 0.5));
+                    if (toward !== 0) {
+                        this.wells[toward > 0 ? 'approach' : 'avoid']++;
+                    }
+                }
+            }
+        }
+        this.lastDirection = direction;
+
+        if (!previous || previous.x !== head.x || previous.y !== head.y) {
+            this.trail.push({ x: head.x, y: head.y });
+            if (this.trail.length > TRAIL_LENGTH) {
+                this.trail.shift();
+            }
+        }
+    }
+
+    /**
+     * Apprend l'axe parcouru d'abord pour rejoindre l'étoile ramassée
+     */
+    recordStar(star) {
+        const alignedX = this.trail.findIndex(cell => cell.x === star.x);
+        const alignedY = this.trail.findIndex(cell => cell.y === star.y);
+
+        // Départ déjà aligné sur l'étoile : rien à apprendre
+        if (alignedX > 0 && alignedY > 0 && alignedX !== alignedY) {
+            this.routes[alignedX < alignedY ? 'horizontal' : 'vertical']++;
+        }
+
+        this.trail = [{ x: star.x, y: star.y }];
+    }
+
+    /**
+     * Compte une vie perdue dans la zone de la collision
+     */
+    recordDeath(position) {
+        const key = `${Math.floor(position.x / DEATH_ZONE_SIZE)},${Math.floor(position.y / DEATH_ZONE_SIZE)}`;
+        this.deaths[key] = (this.deaths[key] || 0) + 1;
+    }
+
+    /**
+     * Croyances actuelles (null tant qu'elles reposent sur trop peu d'observations)
+     */
+    getBeliefs() {
+        return {
+            turn: preference(this.turns, 'right', 'left'),
+            route: preference(this.routes, 'horizontal', 'vertical'),
+            wells: preference(this.wells, 'avoid', 'approach'),
+            deathZone: this.getDeathHotspot()
+        };
+    }
+
+    /**
+     * Centre de la zone où le joueur perd le plus de vies
+     */
+    getDeathHotspot() {
+        let hotspot = null;
+
+        for (const [key, deaths] of Object.entries(this.deaths)) {
+            if (deaths < MIN_DEATHS || (hotspot && deaths <= hotspot.deaths)) continue;
+
+            const [zoneX, zoneY] = key.split(',').map(Number);
+            hotspot = {
+                x: Math.min(this.gameEngine.gridWidth - 1, zoneX * DEATH_ZONE_SIZE + Math.floor(DEATH_ZONE_SIZE / 2)),
+                y: Math.min(this.gameEngine.gridHeight - 1, zoneY * DEATH_ZONE_SIZE + Math.floor(DEATH_ZONE_SIZE / 2)),
+                deaths
+            };
+        }
+
+        return hotspot;
+    }
+
+    /**
+     * Étoile que le joueur va probablement chercher : la plus proche,
+     * en tenant compte du détour pour celles situées derrière lui
+     */
+    predictTargetStar() {
+        const { playerSnake, collectibles, constellationManager } = this.gameEngine;
+        const head = playerSnake.getHead();
+        const direction = playerSnake.direction;
+        const needed = constellationManager.getNeededStars();
+
+        const stars = collectibles.filter(collectible => collectible.type === 'star');
+        const wanted = stars.filter(star => needed.includes(star.starType));
+
+        let best = null;
+        let bestCost = Infinity;
+        for (const star of wanted.length > 0 ? wanted : stars) {
+            const behind = (star.x - head.x) * direction.x + (star.y - head.y) * direction.y < 0;
+            const cost = Math.abs(star.x - head.x) + Math.abs(star.y - head.y) + (behind ? BEHIND_PENALTY : 0);
+            if (cost < bestCost) {
+                best = star;
+                bestCost = cost;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Trajet probable du joueur vers son étoile (tête exclue), selon l'axe
+     * qu'il parcourt d'habitude en premier ; null tant que l'habitude est inconnue
+     */
+    predictRoute() {
+        const player = this.gameEngine.playerSnake;
+        const { route, wells } = this.getBeliefs();
+        if (!route || !player.alive) return null;
+
+        const star = this.predictTargetStar();
+        if (!star) return null;
+
+        const head = player.getHead();
+        let preferred = this.buildRoute(head, star, route.choice === 'horizontal');
+        const other = this.buildRoute(head, star, route.choice !== 'horizontal');
+
+        // Un joueur qui fuit les puits prend l'autre tracé si le sien en traverse un
+        if (wells && wells.choice === 'avoid' && this.crossesWell(preferred) && !this.crossesWell(other)) {
+            preferred = other;
+        }
+
+        return preferred;
+    }
+
+    /**
+     * Trajet en L d'une case à une autre (départ exclu)
+     */
+    buildRoute(from, to, horizontalFirst) {
+        const cells = [];
+        let x = from.x;
+        let y = from.y;
+
+        const walkX = () => {
+            while (x !== to.x) {
+                x += Math.sign(to.x - x);
+                cells.push({ x, y });
+            }
+        };
+        const walkY = () => {
+            while (y !== to.y) {
+                y += Math.sign(to.y - y);
+                cells.push({ x, y });
+            }
+        };
+
+        if (horizontalFirst) {
+            walkX();
+            walkY();
+        } else {
+            walkY();
+            walkX();
+        }
+
+        return cells;
+    }
+
+    /**
+     * Indique si un trajet passe à portée d'un puits
+     */
+    crossesWell(route) {
+        return route.some(cell => this.findWellAt(cell));
+    }
+
+    /**
+     * Puits le plus proche qui agit sur une case
+     */
+    findWellAt(cell) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        for (const well of this.gameEngine.gravityWells) {
+            const force = well.computeForceAt(cell.x, cell.y);
+            if (force.x === 0 && force.y === 0) continue;
+
+            const distance = Math.hypot(well.x - (cell.x + 0.5), well.y - (cell.y + 0.5));
+            if (distance < nearestDistance) {
+                nearest = well;
+                nearestDistance = distance;
+            }
+        }
+
+        return nearest;
+    }
+
+    /**
+     * Première case du trajet probable du joueur qu'un serpent placé en position
+     * atteint avant lui (coupure de route), null si le joueur passe le premier
+     */
+    predictInterception(position) {
+        const route = this.predictRoute();
+        if (!route) return null;
+
+        return route.find((cell, i) => Math.abs(cell.x - position.x) + Math.abs(cell.y - position.y) <= i + 1) || null;
+    }
+
+    /**
+     * Sauvegarde les observations
+     */
+    saveState() {
+        return {
+            turns: { ...this.turns },
+            routes: { ...this.routes },
+            wells: { ...this.wells },
+            deaths: { ...this.deaths },
+            trail: this.trail.map(cell => ({ ...cell })),
+            lastDirection: this.lastDirection ? { ...this.lastDirection } : null
+        };
+    }
+
+    /**
+     * Restaure les observations
+     */
+    loadState(state) {
+        this.turns = { ...state.turns };
+        this.routes = { ...state.routes };
+        this.wells = { ...state.wells };
+        this.deaths = { ...state.deaths };
+        this.trail = state.trail.map(cell => ({ ...cell }));
+        this.lastDirection = state.lastDirection ? { ...state.lastDirection } : null;
+    }
+
+    /**
+     * Surcouche de debug : trajet prédit, zones de décès et croyances
+     */
+    render(ctx) {
+        const { gridSize } = this.gameEngine;
+        const beliefs = this.getBeliefs();
+
+        ctx.save();
+
+        // Zones de décès
+        ctx.fillStyle = 'rgba(255, 0, 0, 0.15)';
+        for (const key of Object.keys(this.deaths)) {
+            const [zoneX, zoneY] = key.split(',').map(Number);
+            const size = DEATH_ZONE_SIZE * gridSize;
+            ctx.fillRect(zoneX * size, zoneY * size, size, size);
+        }
+
+        // Trajet prédit
+        const route = this.predictRoute();
+        if (route) {
+            ctx.fillStyle = 'rgba(255, 255, 0, 0.35)';
+            route.forEach(cell => {
+                ctx.fillRect(cell.x * gridSize + gridSize / 4, cell.y * gridSize + gridSize / 4, gridSize / 2, gridSize / 2);
+            });
+        }
+
+        // Croyances
+        const percent = belief => `${Math.round(belief.share * 100)} % (${belief.observations})`;
+        const names = { right: 'droite', left: 'gauche', horizontal: 'horizontal', vertical: 'vertical', avoid: 'évités', approach: 'recherchés' };
+        const describe = belief => belief ? `${names[belief.choice]} ${percent(belief)}` : 'en apprentissage';
+        const lines = [
+            'Modèle du joueur',
+            `Virages : ${describe(beliefs.turn)}`,
+            `Étoiles, axe d'abord : ${describe(beliefs.route)}`,
+            `Puits : ${describe(beliefs.wells)}`,
+            `Décès : ${beliefs.deathZone ? `zone ${beliefs.deathZone.x},${beliefs.deathZone.y} (${beliefs.deathZone.deaths})` : 'aucune zone'}`
+        ];
+
+        ctx.fillStyle = '#ffff66';
+        ctx.font = '12px monospace';
+        ctx.textAlign = 'left';
+        lines.forEach((line, i) => {
+            ctx.fillText(line, 10, 85 + i * 15);
+        });
+
+        ctx.restore();
+    }
+}
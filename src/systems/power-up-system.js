@@ -0,0 +1,134 @@
+/**
+ * Système de power-ups - Bonus temporaires ramassés dans l'arène
+ * Chaque bonus actif est une entrée de Snake.activePowerUps dont la durée
+ * (secondes simulées) est décomptée dans Snake.update
+ *
+ * Cumul : des bonus différents se cumulent librement. Un bonus déjà actif est
+ * prolongé (durée plafonnée) ou, pour le bouclier et le multiplicateur,
+ * monte d'un niveau et repart pour toute sa durée.
+ */
+
+export const POWER_UP_TYPES = {
+    shield: { name: 'Bouclier', icon: '💠', color: '#00ccff', duration: 10, stacking: 'level', maxLevel: 3 },
+    ghost: { name: 'Fantôme', icon: '👻', color: '#ccccff', duration: 6, stacking: 'extend' },
+    slow_time: { name: 'Ralenti', icon: '⏳', color: '#66ff66', duration: 6, stacking: 'extend' },
+    score_multiplier: { name: 'Multiplicateur', icon: '✨', color: '#ffdd00', duration: 10, stacking: 'level', maxLevel: 3 },
+    star_radar: { name: 'Radar stellaire', icon: '📡', color: '#ff88ff', duration: 12, stacking: 'extend' }
+};
+
+// Durée de vie (secondes simulées) d'un bonus posé dans l'arène
+const PICKUP_LIFETIME = 10;
+
+// Prolongation plafonnée à deux fois la durée de base
+const MAX_EXTENSION = 2;
+
+// Vitesse des serpents ralentis par le bonus d'un autre serpent
+const SLOW_TIME_FACTOR = 0.5;
+
+export class PowerUpSystem {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+    }
+
+    /**
+     * Crée un bonus à ramasser
+     */
+    createPickup(x, y, powerUp) {
+        return {
+            x,
+            y,
+            type: 'powerup',
+            powerUp,
+            value: 0,
+            color: POWER_UP_TYPES[powerUp].color,
+            timeRemaining: PICKUP_LIFETIME
+        };
+    }
+
+    /**
+     * Tire un type de bonus au hasard
+     */
+    pickType() {
+        return this.gameEngine.rng.pick(Object.keys(POWER_UP_TYPES));
+    }
+
+    /**
+     * Active un bonus sur un serpent en appliquant les règles de cumul
+     */
+    apply(snake, powerUp) {
+        const definition = POWER_UP_TYPES[powerUp];
+        const active = snake.activePowerUps.get(powerUp);
+
+        if (!active) {
+            snake.activePowerUps.set(powerUp, {
+                name: definition.name,
+                icon: definition.icon,
+                level: 1,
+                duration: definition.duration,
+                elapsed: 0
+            });
+            return;
+        }
+
+        if (definition.stacking === 'level') {
+            active.level = Math.min(definition.maxLevel, active.level + 1);
+            active.duration = definition.duration;
+        } else {
+            const remaining = active.duration - active.elapsed;
+            active.duration = Math.min(definition.duration * MAX_EXTENSION, remaining + definition.duration);
+        }
+        active.elapsed = 0;
+    }
+
+    /**
+     * Ralentit les serpents dont un adversaire porte le bonus de ralenti
+     */
+    update() {
+        const snakes = [this.gameEngine.playerSnake, ...this.gameEngine.enemies];
+
+        for (const snake of snakes) {
+            const slowed = snakes.some(other => other !== snake && other.alive && other.hasEffect('slow_time'));
+            snake.speedMultiplier = slowed ? SLOW_TIME_FACTOR : 1;
+        }
+    }
+
+    /**
+     * Multiplicateur de score du joueur (x2 au premier niveau)
+     */
+    getScoreMultiplier(snake) {
+        return 1 + snake.getEffectLevel('score_multiplier');
+    }
+
+    /**
+     * Radar stellaire : flèches de la tête du joueur vers les étoiles manquantes
+     */
+    render(ctx) {
+        const { playerSnake, gridSize, collectibles, constellationManager } = this.gameEngine;
+        if (!playerSnake || !playerSnake.hasEffect('star_radar')) return;
+
+        const head = playerSnake.getHead();
+        const centerX = head.x * gridSize + gridSize / 2;
+        const centerY = head.y * gridSize + gridSize / 2;
+        const needed = constellationManager.getNeededStars();
+
+        collectibles
+            .filter(collectible => collectible.type === 'star' && needed.includes(collectible.starType))
+            .forEach(star => {
+                const angle = Math.atan2(star.y - head.y, star.x - head.x);
+                const x = centerX + Math.cos(angle) * gridSize * 1.5;
+                const y = centerY + Math.sin(angle) * gridSize * 1.5;
+
+                ctx.save();
+                ctx.translate(x, y);
+                ctx.rotate(angle);
+                ctx.fillStyle = star.color;
+                ctx.beginPath();
+                ctx.moveTo(gridSize * 0.4, 0);
+                ctx.lineTo(-gridSize * 0.2, -gridSize * 0.25);
+                ctx.lineTo(-gridSize * 0.2, gridSize * 0.25);
+                ctx.closePath();
+                ctx.fill();
+                ctx.restore();
+            });
+    }
+}
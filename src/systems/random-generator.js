@@ -0,0 +1,98 @@
+/**
+ * Générateur pseudo-aléatoire à graine pour une simulation reproductible
+ * Tous les tirages du jeu passent par une instance partagée
+ */
+
+export class RandomGenerator {
+    constructor(seed = Date.now()) {
+        this.reset(seed);
+    }
+
+    /**
+     * Réinitialise le générateur avec une graine
+     */
+    reset(seed) {
+        this.seed = this.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Convertit une graine (nombre ou texte) en entier 32 bits non signé
+     */
+    normalizeSeed(seed) {
+        if (typeof seed === 'string') {
+            let hash = 0;
+            for (let i = 0; i < seed.length; i++) {
+                hash = ((hash << 5) - hash) + seed.charCodeAt(i);
+                hash = hash & hash;
+            }
+            return hash >>> 0;
+        }
+
+        return Math.floor(Number(seed) || 0) >>> 0;
+    }
+
+    /**
+     * Retourne un nombre dans [0, 1) (algorithme mulberry32)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Retourne un entier dans [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Retourne un nombre dans [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Tire un élément d'un tableau
+     */
+    pick(array) {
+        if (!array.length) return undefined;
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * Retourne vrai avec la probabilité donnée
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Retourne la graine de départ
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Sauvegarde l'état interne
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Restaure l'état interne
+     */
+    setState(state) {
+        this.seed = state.seed >>> 0;
+        this.state = state.state >>> 0;
+    }
+}
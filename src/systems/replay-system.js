@@ -0,0 +1,309 @@
+/**
+ * Système de replay : enregistrement des entrées et relecture tick par tick
+ * Un replay contient la graine, le niveau de départ et les entrées horodatées
+ */
+
+export const REPLAY_VERSION = 2;
+
+// Codes compacts des actions enregistrées
+const ACTION_CODES = {
+    up: 'u',
+    down: 'd',
+    left: 'l',
+    right: 'r',
+    boost: 'b',
+    boostEnd: 'e',
+    dash: 'h',
+    resize: 's'
+};
+
+const CODE_ACTIONS = Object.fromEntries(
+    Object.entries(ACTION_CODES).map(([action, code]) => [code, action])
+);
+
+// Vitesses de lecture autorisées
+const PLAYBACK_SPEEDS = [1, 2, 4];
+
+// Limite de ticks rattrapés par image (onglet masqué, saccades)
+const MAX_STEPS_PER_FRAME = 16;
+
+/**
+ * Enregistreur des entrées du joueur
+ */
+export class ReplayRecorder {
+    constructor() {
+        this.recording = false;
+        this.header = null;
+        this.inputs = [];
+    }
+
+    /**
+     * Démarre un nouvel enregistrement
+     */
+    start({ seed, level, gameSpeed, width, height }) {
+        this.header = { seed, level, gameSpeed, width, height };
+        this.inputs = [];
+        this.recording = true;
+    }
+
+    /**
+     * Arrête l'enregistrement (les données restent exportables)
+     */
+    stop() {
+        this.recording = false;
+    }
+
+    /**
+     * Enregistre une action au tick donné (avec ses paramètres éventuels)
+     */
+    record(tick, action, ...params) {
+        if (!this.recording || !ACTION_CODES[action]) return;
+
+        this.inputs.push([tick, ACTION_CODES[action], ...params]);
+    }
+
+    /**
+     * Vérifie si un replay est disponible
+     */
+    hasReplay() {
+        return this.header !== null;
+    }
+
+    /**
+     * Exporte le replay au format compact
+     */
+    export() {
+        if (!this.header) return null;
+
+        return {
+            version: REPLAY_VERSION,
+            ...this.header,
+            inputs: this.inputs.map(input => [...input])
+        };
+    }
+
+    /**
+     * Reprend un enregistrement exporté (partie sauvegardée puis reprise)
+     */
+    restore(replay, recording = true) {
+        if (!replay) {
+            this.header = null;
+            this.inputs = [];
+            this.recording = false;
+            return;
+        }
+
+        const { version, inputs, ...header } = replay;
+        this.header = header;
+        this.inputs = inputs.map(input => [...input]);
+        this.recording = recording;
+    }
+
+    /**
+     * Exporte le replay en texte JSON
+     */
+    toJSON() {
+        return JSON.stringify(this.export());
+    }
+}
+
+/**
+ * Lecteur de replay : réinjecte les entrées dans le moteur
+ */
+export class ReplayPlayer {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.replay = null;
+        this.cursor = 0;
+        this.paused = false;
+        this.speed = 1;
+        this.lastUpdate = 0;
+    }
+
+    /**
+     * Valide et charge un replay (objet ou texte JSON)
+     */
+    load(data) {
+        const replay = typeof data === 'string' ? JSON.parse(data) : data;
+
+        if (!replay || replay.version !== REPLAY_VERSION) {
+            throw new Error(`Version de replay non supportée: ${replay ? replay.version : 'aucune'}`);
+        }
+
+        if (!Array.isArray(replay.inputs)) {
+            throw new Error('Replay invalide: entrées manquantes');
+        }
+
+        const invalidInput = replay.inputs.find(([tick, code]) => {
+            return !Number.isInteger(tick) || tick < 0 || !CODE_ACTIONS[code];
+        });
+        if (invalidInput) {
+            throw new Error(`Replay invalide: entrée ${JSON.stringify(invalidInput)}`);
+        }
+
+        this.replay = replay;
+        this.cursor = 0;
+
+        return this;
+    }
+
+    /**
+     * Lance la relecture depuis le début
+     */
+    start() {
+        if (!this.replay) {
+            throw new Error('Aucun replay chargé');
+        }
+
+        const engine = this.gameEngine;
+
+        // La grille doit être identique à celle de l'enregistrement
+        if (this.replay.width && this.replay.height) {
+            engine.handleResize(this.replay.width, this.replay.height);
+        }
+
+        this.cursor = 0;
+        this.paused = false;
+        engine.replayPlayer = this;
+        engine.startNewGame({
+            seed: this.replay.seed,
+            level: this.replay.level,
+            gameSpeed: this.replay.gameSpeed,
+            replay: true
+        });
+        this.lastUpdate = engine.clock.now();
+    }
+
+    /**
+     * Arrête la relecture et détache le lecteur du moteur
+     */
+    stop() {
+        if (this.gameEngine.replayPlayer === this) {
+            this.gameEngine.replayPlayer = null;
+        }
+        this.gameEngine.stop();
+    }
+
+    /**
+     * Applique les entrées prévues pour ce tick (appelé par le moteur)
+     */
+    applyInputs(tick) {
+        const inputs = this.replay.inputs;
+        const snake = this.gameEngine.playerSnake;
+
+        while (this.cursor < inputs.length && inputs[this.cursor][0] <= tick) {
+            const [, code, ...params] = inputs[this.cursor];
+            const action = CODE_ACTIONS[code];
+
+            if (action === 'boost') {
+                snake.activateBoost();
+            } else if (action === 'boostEnd') {
+                snake.releaseBoost();
+            } else if (action === 'dash') {
+                snake.dash();
+            } else if (action === 'resize') {
+                this.gameEngine.handleResize(params[0], params[1]);
+            } else {
+                snake.setDirection(action);
+            }
+            this.cursor++;
+        }
+    }
+
+    /**
+     * Fait avancer la lecture selon l'horloge et la vitesse choisie
+     */
+    update() {
+        const engine = this.gameEngine;
+        const now = engine.clock.now();
+
+        if (this.paused || engine.gameState !== 'running') {
+            this.lastUpdate = now;
+            return engine.getGameState();
+        }
+
+        // Rattrapage des ticks dus depuis la dernière mise à jour
+        let steps = 0;
+        while (now - this.lastUpdate >= engine.updateInterval / this.speed &&
+               engine.gameState === 'running') {
+            this.lastUpdate += engine.updateInterval / this.speed;
+            engine.step();
+
+            if (++steps >= MAX_STEPS_PER_FRAME) {
+                this.lastUpdate = now;
+                break;
+            }
+        }
+
+        engine.particleSystem.update(engine.updateInterval / 1000);
+
+        return engine.getGameState();
+    }
+
+    /**
+     * Met en pause la lecture
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Reprend la lecture
+     */
+    resume() {
+        this.paused = false;
+        this.lastUpdate = this.gameEngine.clock.now();
+    }
+
+    /**
+     * Bascule la pause
+     */
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    /**
+     * Avance d'un seul tick (lecture en pause)
+     */
+    stepFrame() {
+        this.pause();
+        return this.gameEngine.step();
+    }
+
+    /**
+     * Définit la vitesse de lecture (1x, 2x ou 4x)
+     */
+    setSpeed(speed) {
+        if (!PLAYBACK_SPEEDS.includes(speed)) {
+            console.warn(`Vitesse de replay non supportée: ${speed}`);
+            return;
+        }
+
+        this.speed = speed;
+        this.lastUpdate = this.gameEngine.clock.now();
+    }
+
+    /**
+     * Vérifie si la partie relue est terminée
+     */
+    isFinished() {
+        return !this.replay || this.gameEngine.getGameState().gameOver;
+    }
+
+    /**
+     * Retourne l'avancement de la lecture
+     */
+    getStatus() {
+        return {
+            tick: this.gameEngine.tick,
+            speed: this.speed,
+            paused: this.paused,
+            inputsPlayed: this.cursor,
+            inputsTotal: this.replay ? this.replay.inputs.length : 0
+        };
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * Gestionnaire de sauvegardes en cours de partie
+ * Emplacements versionnés stockés dans le localStorage (ou un stockage injecté)
+ */
+
+export const SAVE_VERSION = 1;
+
+const STORAGE_PREFIX = 'serpentis_save_';
+
+export class SaveManager {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Enregistre l'état sérialisé du moteur dans un emplacement
+     */
+    save(slot, state) {
+        const entry = {
+            version: SAVE_VERSION,
+            savedAt: Date.now(),
+            summary: {
+                score: state.score,
+                level: state.level,
+                lives: state.lives
+            },
+            state
+        };
+
+        try {
+            this.storage.setItem(STORAGE_PREFIX + slot, JSON.stringify(entry));
+            return true;
+        } catch (error) {
+            console.warn(`Sauvegarde impossible (${slot}):`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Lit une sauvegarde complète (métadonnées et état)
+     */
+    read(slot) {
+        const saved = this.storage.getItem(STORAGE_PREFIX + slot);
+        if (!saved) return null;
+
+        try {
+            const entry = JSON.parse(saved);
+
+            if (entry.version !== SAVE_VERSION) {
+                console.warn(`Sauvegarde ${slot} ignorée: version ${entry.version} non supportée`);
+                return null;
+            }
+
+            return entry;
+        } catch (error) {
+            console.warn(`Sauvegarde ${slot} illisible:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Retourne l'état sauvegardé d'un emplacement
+     */
+    load(slot) {
+        const entry = this.read(slot);
+        return entry ? entry.state : null;
+    }
+
+    /**
+     * Vérifie si un emplacement contient une sauvegarde valide
+     */
+    has(slot) {
+        return this.read(slot) !== null;
+    }
+
+    /**
+     * Supprime une sauvegarde
+     */
+    delete(slot) {
+        this.storage.removeItem(STORAGE_PREFIX + slot);
+    }
+
+    /**
+     * Liste les sauvegardes valides, la plus récente en premier
+     */
+    listSlots() {
+        const slots = [];
+
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (!key || !key.startsWith(STORAGE_PREFIX)) continue;
+
+            const slot = key.slice(STORAGE_PREFIX.length);
+            const entry = this.read(slot);
+            if (entry) {
+                slots.push({ slot, savedAt: entry.savedAt, ...entry.summary });
+            }
+        }
+
+        return slots.sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * Retourne l'emplacement le plus récent
+     */
+    getLatestSlot() {
+        const slots = this.listSlots();
+        return slots.length > 0 ? slots[0].slot : null;
+    }
+}
@@ -0,0 +1,314 @@
+/**
+ * Météo spatiale - Caractéristique spéciale des niveaux avancés
+ * Vent solaire, tempête cosmique et ondes gravitationnelles, cadencés au tick
+ */
+
+const WEATHER_TYPES = {
+    solar_wind: { name: 'Vent solaire', color: '#ffcc44' },
+    cosmic_storm: { name: 'Tempête cosmique', color: '#aa66ff' },
+    gravity_waves: { name: 'Ondes gravitationnelles', color: '#44aaff' }
+};
+
+// Vent solaire : force maximale (même échelle qu'un puits) et cadence des traînées
+const WIND_FORCE = 0.5;
+const WIND_STREAK_INTERVAL = 0.5;
+
+// Tempête cosmique : accalmie, préavis puis tempête (secondes simulées)
+const STORM_CALM = 8;
+const STORM_WARNING = 2;
+const STORM_BASE_DURATION = 2;
+
+// Ondes gravitationnelles : période d'oscillation des puits
+const WAVE_PERIOD = 4;
+
+export class SpaceWeather {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.reset();
+    }
+
+    /**
+     * Supprime toute météo active
+     */
+    reset() {
+        this.weather = null;
+        this.intensity = 0;
+        this.elapsed = 0;
+        this.windDirection = null;
+        this.stormPhase = 'calm'; // 'calm', 'warning', 'active'
+        this.stormTimer = STORM_CALM;
+        this.effectTimer = 0;
+    }
+
+    /**
+     * Configure la météo à partir des caractéristiques spéciales du niveau
+     */
+    configure(levelData) {
+        this.reset();
+
+        const feature = (levelData.specialFeatures || []).find(f => f.type === 'space_weather');
+        if (!feature || !WEATHER_TYPES[feature.weather]) return;
+
+        this.weather = feature.weather;
+        this.intensity = feature.intensity;
+
+        switch (this.weather) {
+            case 'solar_wind':
+                this.windDirection = this.gameEngine.rng.pick([
+                    { x: 1, y: 0 }, { x: -1, y: 0 }, { x: 0, y: 1 }, { x: 0, y: -1 }
+                ]);
+                break;
+            case 'gravity_waves':
+                // Première crête au quart de la période
+                this.effectTimer = WAVE_PERIOD / 4;
+                break;
+        }
+
+        this.gameEngine.audioManager.playSound('weatherAlert');
+    }
+
+    /**
+     * Met à jour la météo pour un tick
+     */
+    update(tickSeconds) {
+        if (!this.weather) return;
+
+        this.elapsed += tickSeconds;
+
+        switch (this.weather) {
+            case 'solar_wind':
+                this.updateSolarWind(tickSeconds);
+                break;
+            case 'cosmic_storm':
+                this.updateCosmicStorm(tickSeconds);
+                break;
+            case 'gravity_waves':
+                this.updateGravityWaves(tickSeconds);
+                break;
+        }
+    }
+
+    /**
+     * Vent solaire : dérive constante appliquée comme une force gravitationnelle
+     */
+    updateSolarWind(tickSeconds) {
+        const force = this.getWindForce();
+        const snakes = [this.gameEngine.playerSnake, ...this.gameEngine.enemies];
+
+        for (const snake of snakes) {
+            if (snake && snake.alive) {
+                snake.applyGravitationalForce(force.x, force.y);
+            }
+        }
+
+        this.effectTimer -= tickSeconds;
+        if (this.effectTimer <= 0) {
+            this.effectTimer += WIND_STREAK_INTERVAL;
+            this.emitWindStreaks();
+        }
+    }
+
+    /**
+     * Tempête cosmique : préavis, perte de visibilité et débris
+     */
+    updateCosmicStorm(tickSeconds) {
+        this.stormTimer -= tickSeconds;
+
+        if (this.stormTimer <= 0) {
+            switch (this.stormPhase) {
+                case 'calm':
+                    this.stormPhase = 'warning';
+                    this.stormTimer += STORM_WARNING;
+                    this.gameEngine.audioManager.playSound('weatherAlert');
+                    break;
+                case 'warning':
+                    this.stormPhase = 'active';
+                    this.stormTimer += STORM_BASE_DURATION + this.intensity * 4;
+                    this.gameEngine.audioManager.playSound('cosmicStorm');
+                    break;
+                case 'active':
+                    this.stormPhase = 'calm';
+                    this.stormTimer += STORM_CALM;
+                    break;
+            }
+        }
+
+        if (this.stormPhase === 'active') {
+            this.emitDebris();
+        }
+    }
+
+    /**
+     * Ondes gravitationnelles : la force de chaque puits oscille
+     */
+    updateGravityWaves(tickSeconds) {
+        const multiplier = this.getWaveMultiplier();
+        this.gameEngine.gravityWells.forEach(well => {
+            well.strengthMultiplier = multiplier;
+        });
+
+        // Crête de l'onde : son et anneaux autour des puits
+        this.effectTimer -= tickSeconds;
+        if (this.effectTimer <= 0) {
+            this.effectTimer += WAVE_PERIOD;
+            this.gameEngine.audioManager.playSound('gravityWave');
+            this.emitWaveRings();
+        }
+    }
+
+    /**
+     * Force du vent solaire, identique sur toute l'arène (nulle sans vent)
+     */
+    getWindForce() {
+        if (this.weather !== 'solar_wind') return { x: 0, y: 0 };
+
+        const force = this.intensity * WIND_FORCE;
+        return { x: this.windDirection.x * force, y: this.windDirection.y * force };
+    }
+
+    /**
+     * Multiplicateur courant de la force des puits
+     */
+    getWaveMultiplier() {
+        if (this.weather !== 'gravity_waves') return 1;
+        return 1 + this.intensity * Math.sin(this.elapsed * 2 * Math.PI / WAVE_PERIOD);
+    }
+
+    /**
+     * Indique si la tempête masque l'arène
+     */
+    isStormActive() {
+        return this.weather === 'cosmic_storm' && this.stormPhase === 'active';
+    }
+
+    /**
+     * État affiché dans le HUD (null sans météo)
+     */
+    getStatus() {
+        if (!this.weather) return null;
+
+        let warning = false;
+        let message = WEATHER_TYPES[this.weather].name;
+
+        switch (this.weather) {
+            case 'cosmic_storm':
+                warning = this.stormPhase !== 'calm';
+                if (this.stormPhase === 'warning') message += ' imminente';
+                break;
+            case 'gravity_waves':
+                // Alerte autour de la crête, quand les puits sont les plus forts
+                warning = this.getWaveMultiplier() > 1 + this.intensity * 0.7;
+                break;
+        }
+
+        return { type: this.weather, message, warning, intensity: this.intensity };
+    }
+
+    /**
+     * Traînées du vent solaire depuis le bord au vent
+     */
+    emitWindStreaks() {
+        const { width, height } = this.gameEngine;
+        const angle = Math.atan2(this.windDirection.y, this.windDirection.x);
+
+        for (let i = 0; i < 3; i++) {
+            // Position visuelle seulement : hors de la simulation
+            const x = this.windDirection.x !== 0
+                ? (this.windDirection.x > 0 ? 0 : width)
+                : Math.random() * width;
+            const y = this.windDirection.y !== 0
+                ? (this.windDirection.y > 0 ? 0 : height)
+                : Math.random() * height;
+
+            this.gameEngine.particleSystem.emit(x, y, WEATHER_TYPES.solar_wind.color, {
+                count: 4,
+                direction: angle,
+                spread: 0.2,
+                speed: 250 + this.intensity * 200,
+                life: 2,
+                type: 'trail'
+            });
+        }
+    }
+
+    /**
+     * Débris de la tempête cosmique
+     */
+    emitDebris() {
+        const { width, height } = this.gameEngine;
+
+        this.gameEngine.particleSystem.emit(Math.random() * width, Math.random() * height, WEATHER_TYPES.cosmic_storm.color, {
+            count: 2 + Math.round(this.intensity * 4),
+            speed: 150,
+            life: 0.8,
+            size: 3,
+            type: 'spark'
+        });
+    }
+
+    /**
+     * Anneaux émis par les puits à la crête d'une onde
+     */
+    emitWaveRings() {
+        const gridSize = this.gameEngine.gridSize;
+
+        this.gameEngine.gravityWells.forEach(well => {
+            this.gameEngine.particleSystem.emit(well.x * gridSize, well.y * gridSize, WEATHER_TYPES.gravity_waves.color, {
+                count: 24,
+                spread: 0,
+                speed: well.radius * 2,
+                speedVariation: 0,
+                life: 0.6,
+                type: 'circle'
+            });
+        });
+    }
+
+    /**
+     * Voile de la tempête : seule la zone autour de la tête reste visible
+     */
+    render(ctx) {
+        if (!this.isStormActive()) return;
+
+        const { width, height, gridSize, playerSnake } = this.gameEngine;
+        const head = playerSnake.getHead();
+        const centerX = head.x * gridSize + gridSize / 2;
+        const centerY = head.y * gridSize + gridSize / 2;
+        const visibleRadius = gridSize * (8 - this.intensity * 5);
+
+        const gradient = ctx.createRadialGradient(centerX, centerY, visibleRadius * 0.5, centerX, centerY, visibleRadius);
+        gradient.addColorStop(0, 'rgba(10, 0, 20, 0)');
+        gradient.addColorStop(1, `rgba(10, 0, 20, ${0.6 + this.intensity * 0.35})`);
+
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    /**
+     * Sauvegarde l'état de la météo
+     */
+    saveState() {
+        return {
+            weather: this.weather,
+            intensity: this.intensity,
+            elapsed: this.elapsed,
+            windDirection: this.windDirection ? { ...this.windDirection } : null,
+            stormPhase: this.stormPhase,
+            stormTimer: this.stormTimer,
+            effectTimer: this.effectTimer
+        };
+    }
+
+    /**
+     * Restaure l'état de la météo
+     */
+    loadState(state) {
+        this.weather = state.weather;
+        this.intensity = state.intensity;
+        this.elapsed = state.elapsed;
+        this.windDirection = state.windDirection ? { ...state.windDirection } : null;
+        this.stormPhase = state.stormPhase;
+        this.stormTimer = state.stormTimer;
+        this.effectTimer = state.effectTimer;
+    }
+}
@@ -47,6 +47,26 @@ export class SpatialHash {
         return cells;
     }
 
+    /**
+     * Calcule les cellules couvertes par un disque (bornes x ± rayon incluses)
+     */
+    getRadiusCells(x, y, radius) {
+        const cells = [];
+        
+        const startCellX = Math.floor((x - radius) / this.cellSize);
+        const endCellX = Math.floor((x + radius) / this.cellSize);
+        const startCellY = Math.floor((y - radius) / this.cellSize);
+        const endCellY = Math.floor((y + radius) / this.cellSize);
+        
+        for (let cellX = startCellX; cellX <= endCellX; cellX++) {
+            for (let cellY = startCellY; cellY <= endCellY; cellY++) {
+                cells.push(`${cellX},${cellY}`);
+            }
+        }
+        
+        return cells;
+    }
+
     /**
      * Ajoute un objet au hash spatial
      */
@@ -102,6 +122,13 @@ export class SpatialHash {
         return true;
     }
 
+    /**
+     * Indique si un objet est présent dans le hash
+     */
+    has(object) {
+        return this.objects.has(object);
+    }
+
     /**
      * Met à jour la position d'un objet
      */
@@ -119,6 +146,26 @@ export class SpatialHash {
             return;
         }
         
+        // Cas courant d'un objet d'une seule cellule : un seul déplacement de clé
+        const singleCell = objectData.cellKeys.length === 1 &&
+            Math.floor(newX / this.cellSize) === Math.floor((newX + newWidth - 1) / this.cellSize) &&
+            Math.floor(newY / this.cellSize) === Math.floor((newY + newHeight - 1) / this.cellSize);
+        
+        if (singleCell) {
+            const newKey = this.getCellKey(newX, newY);
+            if (newKey !== objectData.cellKeys[0]) {
+                this.moveToCell(object, objectData.cellKeys[0], newKey);
+                objectData.cellKeys = [newKey];
+            }
+            
+            objectData.x = newX;
+            objectData.y = newY;
+            objectData.width = newWidth;
+            objectData.height = newHeight;
+            objectData.lastUpdate = Date.now();
+            return;
+        }
+        
         const newCellKeys = this.getObjectCells(object, newX, newY, newWidth, newHeight);
         const oldCellKeys = objectData.cellKeys;
         
@@ -139,27 +186,44 @@ export class SpatialHash {
             
             // Ajout aux nouvelles cellules
             newCellKeys.forEach(key => {
-                if (!this.cells.has(key)) {
-                    this.cells.set(key, new Set());
+                let cellSet = this.cells.get(key);
+                if (!cellSet) {
+                    cellSet = new Set();
+                    this.cells.set(key, cellSet);
                 }
-                this.cells.get(key).add(object);
+                cellSet.add(object);
             });
             
-            // Mise à jour des données de l'objet
-            this.objects.set(object, {
-                cellKeys: newCellKeys,
-                x: newX, y: newY,
-                width: newWidth, height: newHeight,
-                lastUpdate: Date.now()
-            });
-        } else {
-            // Mise à jour des coordonnées seulement
-            objectData.x = newX;
-            objectData.y = newY;
-            objectData.width = newWidth;
-            objectData.height = newHeight;
-            objectData.lastUpdate = Date.now();
+            objectData.cellKeys = newCellKeys;
+            this.stats.totalCells = this.cells.size;
+        }
+        
+        // Mise à jour des données de l'objet (sans réallocation)
+        objectData.x = newX;
+        objectData.y = newY;
+        objectData.width = newWidth;
+        objectData.height = newHeight;
+        objectData.lastUpdate = Date.now();
+    }
+
+    /**
+     * Déplace un objet d'une cellule à une autre
+     * Les cellules vidées sont conservées pour être réutilisées (voir optimize)
+     */
+    moveToCell(object, oldKey, newKey) {
+        const oldCell = this.cells.get(oldKey);
+        if (oldCell) {
+            oldCell.delete(object);
+        }
+        
+        let newCell = this.cells.get(newKey);
+        if (!newCell) {
+            newCell = new Set();
+            this.cells.set(newKey, newCell);
         }
+        newCell.add(object);
+        
+        this.stats.totalCells = this.cells.size;
     }
 
     /**
@@ -168,37 +232,32 @@ export class SpatialHash {
     queryPoint(x, y, radius = 0) {
         this.stats.queriesThisFrame++;
         
+        if (radius === 0) {
+            // Requête ponctuelle : une seule cellule, sans doublons possibles
+            const cell = this.cells.get(this.getCellKey(x, y));
+            return cell ? Array.from(cell) : [];
+        }
+        
+        // Requête avec rayon
         const results = new Set();
+        const cellKeys = this.getRadiusCells(x, y, radius);
         
-        if (radius === 0) {
-            // Requête ponctuelle
-            const key = this.getCellKey(x, y);
+        cellKeys.forEach(key => {
             const cell = this.cells.get(key);
             if (cell) {
-                cell.forEach(obj => results.add(obj));
-            }
-        } else {
-            // Requête avec rayon
-            const cellKeys = this.getObjectCells({}, x - radius, y - radius, 
-                                              radius * 2, radius * 2);
-            
-            cellKeys.forEach(key => {
-                const cell = this.cells.get(key);
-                if (cell) {
-                    cell.forEach(obj => {
-                        const objData = this.objects.get(obj);
-                        if (objData) {
-                            const distance = this.calculateDistance(
-                                x, y, objData.x, objData.y
-                            );
-                            if (distance <= radius) {
-                                results.add(obj);
-                            }
+                cell.forEach(obj => {
+                    const objData = this.objects.get(obj);
+                    if (objData) {
+                        const distance = this.calculateDistance(
+                            x, y, objData.x, objData.y
+                        );
+                        if (distance <= radius) {
+                            results.add(obj);
                         }
-                    });
-                }
-            });
-        }
+                    }
+                });
+            }
+        });
         
         return Array.from(results);
     }
@@ -413,10 +472,8 @@ export class SpatialHash {
     arraysEqual(arr1, arr2) {
         if (arr1.length !== arr2.length) return false;
         
-        const sorted1 = [...arr1].sort();
-        const sorted2 = [...arr2].sort();
-        
-        return sorted1.every((val, i) => val === sorted2[i]);
+        // getObjectCells produit toujours les clés dans le même ordre
+        return arr1.every((val, i) => val === arr2[i]);
     }
 
     /**
@@ -0,0 +1,233 @@
+/**
+ * Coordination des ennemis - Tactiques de meute et partage des cibles
+ * Recalculée à chaque tick, lue par les IA au moment de leurs décisions
+ *
+ * Meute : les chasseurs et les opportunistes se répartissent les rôles
+ * (poursuivant sur la tête du joueur, bloqueur devant lui, flanqueurs sur ses côtés)
+ * dès que l'un d'eux repère le joueur, pour l'encercler au lieu de le suivre à la file.
+ * Cibles : une étoile visée par un ennemi est réservée, les autres en cherchent une autre.
+ * La difficulté du niveau règle la taille de la meute et le partage des cibles.
+ */
+
+// Comportements capables de chasser en meute
+const PACK_BEHAVIORS = ['hunter', 'opportunist'];
+
+// Rôles dans l'ordre d'attribution ; la taille de meute de la difficulté tronque la liste
+const PACK_ROLES = ['chaser', 'blocker', 'flanker', 'flanker'];
+
+// Coordination selon la difficulté
+const COORDINATION = {
+    easy: { packSize: 1, sharedClaims: false },
+    medium: { packSize: 2, sharedClaims: true },
+    hard: { packSize: 3, sharedClaims: true },
+    extreme: { packSize: 4, sharedClaims: true }
+};
+
+// Distances (en cases) des points de blocage et de flanc autour de la tête du joueur
+const BLOCK_DISTANCE = 4;
+const FLANK_DISTANCE = 3;
+
+export class SquadCoordinator {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.difficulty = 'medium';
+        this.orders = new Map();
+        this.claims = new Map();
+    }
+
+    /**
+     * Règle la coordination sur la difficulté du niveau
+     */
+    configure(levelData) {
+        this.difficulty = COORDINATION[levelData.difficulty] ? levelData.difficulty : 'medium';
+        this.orders.clear();
+        this.claims.clear();
+    }
+
+    /**
+     * Réglages de coordination de la difficulté courante
+     */
+    getSettings() {
+        return COORDINATION[this.difficulty];
+    }
+
+    /**
+     * Met à jour les réservations puis les rôles de la meute
+     */
+    update() {
+        const { enemies, collectibles } = this.gameEngine;
+
+        // Réservations d'ennemis disparus ou d'étoiles ramassées
+        for (const [enemy, collectible] of this.claims) {
+            if (!enemies.includes(enemy) || !enemy.alive || !collectibles.includes(collectible)) {
+                this.claims.delete(enemy);
+            }
+        }
+
+        this.assignRoles();
+    }
+
+    /**
+     * Répartit les rôles entre les membres de la meute, le plus proche de chaque
+     * point d'abord ; seule une meute d'au moins deux membres ayant repéré le joueur agit
+     */
+    assignRoles() {
+        this.orders.clear();
+
+        const player = this.gameEngine.playerSnake;
+        if (!player || !player.alive) return;
+
+        const head = player.getHead();
+        const members = this.gameEngine.enemies.filter(
+            enemy => enemy.alive && enemy.ai && PACK_BEHAVIORS.includes(enemy.ai.behaviorType)
+        );
+        const roles = PACK_ROLES.slice(0, Math.min(members.length, this.getSettings().packSize));
+        if (roles.length < 2) return;
+
+        const engaged = members.some(enemy =>
+            this.distance(enemy.getHead(), head) < enemy.ai.behaviorParams.playerTrackingRange
+        );
+        if (!engaged) return;
+
+        const available = [...members];
+        const flanks = this.getFlankPoints(player);
+        for (const role of roles) {
+            let points = flanks;
+            if (role === 'chaser') {
+                points = [{ x: head.x, y: head.y }];
+            } else if (role === 'blocker') {
+                points = [this.getBlockPoint(player, available)];
+            }
+
+            // Membre et point les plus proches (à égalité, ordre des ennemis)
+            let best = null;
+            for (const enemy of available) {
+                for (const point of points) {
+                    const distance = this.distance(enemy.getHead(), point);
+                    if (!best || distance < best.distance) {
+                        best = { enemy, point, distance };
+                    }
+                }
+            }
+
+            // Chaque flanc n'est tenu que par un flanqueur
+            if (role === 'flanker') {
+                flanks.splice(flanks.indexOf(best.point), 1);
+            }
+            available.splice(available.indexOf(best.enemy), 1);
+            this.orders.set(best.enemy, { role, position: best.point });
+        }
+    }
+
+    /**
+     * Point de blocage : route probable du joueur coupée par le modèle du joueur,
+     * sinon quelques cases devant sa tête
+     */
+    getBlockPoint(player, candidates) {
+        const model = this.gameEngine.playerModel;
+        for (const enemy of candidates) {
+            const cutoff = model.predictInterception(enemy.getHead());
+            if (cutoff) return cutoff;
+        }
+
+        const head = player.getHead();
+        return this.clampToGrid({
+            x: head.x + player.direction.x * BLOCK_DISTANCE,
+            y: head.y + player.direction.y * BLOCK_DISTANCE
+        });
+    }
+
+    /**
+     * Points de flanc, de part et d'autre de la trajectoire du joueur, un peu devant lui
+     */
+    getFlankPoints(player) {
+        const head = player.getHead();
+        const { x, y } = player.direction;
+
+        return [1, -1].map(side => this.clampToGrid({
+            x: head.x + x - y * side * FLANK_DISTANCE,
+            y: head.y + y + x * side * FLANK_DISTANCE
+        }));
+    }
+
+    /**
+     * Ordre de meute d'un ennemi ({ role, position }), null s'il agit seul
+     */
+    getOrder(enemy) {
+        return this.orders.get(enemy) || null;
+    }
+
+    /**
+     * Réserve une étoile pour un ennemi (une seule à la fois)
+     */
+    claim(enemy, collectible) {
+        this.claims.set(enemy, collectible);
+    }
+
+    /**
+     * Libère la réservation d'un ennemi
+     */
+    release(enemy) {
+        this.claims.delete(enemy);
+    }
+
+    /**
+     * Indique si un objet est réservé par un autre ennemi
+     */
+    isClaimedByOther(collectible, enemy) {
+        if (!this.getSettings().sharedClaims) return false;
+
+        for (const [claimant, claimed] of this.claims) {
+            if (claimed === collectible && claimant !== enemy) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Distance de Manhattan entre deux cases
+     */
+    distance(a, b) {
+        return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+    }
+
+    /**
+     * Ramène un point dans la grille
+     */
+    clampToGrid(point) {
+        const { gridWidth, gridHeight } = this.gameEngine;
+        return {
+            x: Math.max(0, Math.min(gridWidth - 1, point.x)),
+            y: Math.max(0, Math.min(gridHeight - 1, point.y))
+        };
+    }
+
+    /**
+     * Sauvegarde la difficulté et les réservations (par indices)
+     */
+    saveState() {
+        const { enemies, collectibles } = this.gameEngine;
+        return {
+            difficulty: this.difficulty,
+            claims: [...this.claims].map(([enemy, collectible]) => ({
+                enemy: enemies.indexOf(enemy),
+                collectible: collectibles.indexOf(collectible)
+            }))
+        };
+    }
+
+    /**
+     * Restaure la difficulté et les réservations (ennemis et objets déjà restaurés)
+     */
+    loadState(state) {
+        const { enemies, collectibles } = this.gameEngine;
+        this.difficulty = state.difficulty;
+        this.orders.clear();
+        this.claims.clear();
+
+        for (const claim of state.claims) {
+            if (enemies[claim.enemy] && collectibles[claim.collectible]) {
+                this.claims.set(enemies[claim.enemy], collectibles[claim.collectible]);
+            }
+        }
+    }
+}
@@ -25,15 +25,25 @@ export class UIManager {
             scoreElement: document.getElementById('score'),
             levelElement: document.getElementById('level'),
             livesElement: document.getElementById('lives'),
+            timerStat: document.getElementById('timerStat'),
+            timerElement: document.getElementById('timer'),
+            weatherStat: document.getElementById('weatherStat'),
+            weatherElement: document.getElementById('weather'),
+            objectiveStat: document.getElementById('objectiveStat'),
+            objectiveElement: document.getElementById('objective'),
             
             // HUD de jeu
             powerUpIndicator: document.getElementById('powerUpIndicator'),
+            boostMeter: document.getElementById('boostMeter'),
             constellationProgress: document.getElementById('constellationProgress'),
             constellationStars: document.getElementById('constellationStars'),
+            stolenStars: document.getElementById('stolenStars'),
             
             // Boutons du menu
+            continueBtn: document.getElementById('continueBtn'),
             startBtn: document.getElementById('startBtn'),
             editorBtn: document.getElementById('editorBtn'),
+            replayBtn: document.getElementById('replayBtn'),
             settingsBtn: document.getElementById('settingsBtn'),
             helpBtn: document.getElementById('helpBtn'),
             
@@ -70,6 +80,12 @@ export class UIManager {
      */
     setupEventListeners() {
         // Boutons du menu principal
+        if (this.elements.continueBtn) {
+            this.elements.continueBtn.addEventListener('click', () => {
+                this.game.continueGame();
+            });
+        }
+        
         if (this.elements.startBtn) {
             this.elements.startBtn.addEventListener('click', () => {
                 this.game.startGame();
@@ -82,6 +98,12 @@ export class UIManager {
             });
         }
         
+        if (this.elements.replayBtn) {
+            this.elements.replayBtn.addEventListener('click', () => {
+                this.game.openReplayFile();
+            });
+        }
+        
         if (this.elements.settingsBtn) {
             this.elements.settingsBtn.addEventListener('click', () => {
                 this.showSettings();
@@ -141,10 +163,22 @@ export class UIManager {
             this.elements.gameMenu.style.display = 'flex';
         }
         
+        this.updateContinueButton();
         this.hideGame();
         this.hideSettings();
     }
 
+    /**
+     * Affiche l'entrée "Continuer" si une partie est sauvegardée
+     */
+    updateContinueButton() {
+        if (!this.elements.continueBtn) return;
+        
+        const saveManager = this.game.saveManager;
+        const hasSave = saveManager && saveManager.getLatestSlot() !== null;
+        this.elements.continueBtn.style.display = hasSave ? 'block' : 'none';
+    }
+
     /**
      * Masque le menu principal
      */
@@ -252,13 +286,15 @@ export class UIManager {
 
 🎮 CONTRÔLES:
 - Flèches ou WASD: Déplacement
-- Espace/Shift: Boost (si segments propulseurs)
+- Espace/Shift (maintenu): Boost (si segments propulseurs)
+- E: Dash d'urgence (brûle un segment propulseur)
 - P ou Escape: Pause
 - Sur mobile: Utilisez les contrôles tactiles
 
 ⭐ OBJECTIFS:
 - Collectez les étoiles pour former des constellations
-- Chaque constellation complétée fait passer au niveau suivant
+- Remplissez l'objectif du niveau (affiché en haut) pour passer au suivant :
+  ✨ constellations, ⚔️ extermination, ⏱️ survie, 🐍 croissance ou 💎 récolte de points
 - Évitez les collisions avec votre queue et les ennemis
 
 🔮 MÉCANIQUES SPÉCIALES:
@@ -266,9 +302,16 @@ export class UIManager {
 Segments Modulaires:
 • Normal: Segment de base
 • Blindé: Résiste aux collisions
-• Propulseur: Permet le boost
+• Propulseur: Réserve et recharge l'énergie du boost
 • Magnétique: Attire les collectibles
 
+Power-ups (temporaires):
+• 💠 Bouclier: Absorbe un coup par niveau (jusqu'à 3)
+• 👻 Fantôme: Traverse les corps des serpents
+• ⏳ Ralenti: Ralentit les ennemis
+• ✨ Multiplicateur: Score x2, x3 puis x4
+• 📡 Radar stellaire: Indique les étoiles manquantes
+
 Puits Gravitationnels:
 • Bleu: Attraction - vous attire vers le centre
 • Rouge: Répulsion - vous repousse
@@ -333,34 +376,126 @@ Bonne chance, explorateur spatial! 🚀`;
                 this.elements.livesElement.classList.remove('pulsing');
             }
         }
+        
+        this.updateTimer(gameState);
+        this.updateWeather(gameState.weather);
+        this.updateObjective(gameState.objective);
     }
 
     /**
-     * Met à jour l'affichage des power-ups
+     * Met à jour le compte à rebours du niveau
+     */
+    updateTimer(gameState) {
+        if (!this.elements.timerStat || !this.elements.timerElement) return;
+        
+        if (!gameState.timeLimit) {
+            this.elements.timerStat.style.display = 'none';
+            return;
+        }
+        
+        this.elements.timerStat.style.display = '';
+        this.elements.timerElement.textContent = this.formatTime(gameState.timeRemaining);
+        
+        // Alerte visuelle à l'approche de zéro
+        this.elements.timerElement.classList.toggle('timer-warning', gameState.timeWarning);
+    }
+
+    /**
+     * Met à jour l'indicateur de météo spatiale
+     */
+    updateWeather(weather) {
+        if (!this.elements.weatherStat || !this.elements.weatherElement) return;
+        
+        if (!weather) {
+            this.elements.weatherStat.style.display = 'none';
+            return;
+        }
+        
+        this.elements.weatherStat.style.display = '';
+        this.elements.weatherElement.textContent = weather.message;
+        this.elements.weatherElement.classList.toggle('weather-warning', weather.warning);
+    }
+
+    /**
+     * Met à jour l'objectif du niveau et sa progression
+     */
+    updateObjective(objective) {
+        if (!this.elements.objectiveStat || !this.elements.objectiveElement) return;
+        
+        if (!objective) {
+            this.elements.objectiveStat.style.display = 'none';
+            return;
+        }
+        
+        this.elements.objectiveStat.style.display = '';
+        this.elements.objectiveStat.title = objective.name;
+        this.elements.objectiveElement.textContent = `${objective.icon} ${objective.message}`;
+    }
+
+    /**
+     * Formate une durée en secondes (m:ss)
+     */
+    formatTime(seconds) {
+        const total = Math.ceil(seconds);
+        const minutes = Math.floor(total / 60);
+        return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Met à jour l'affichage des power-ups (icône, niveau et compte à rebours de chacun)
      */
     updatePowerUps(gameState) {
+        this.updateBoostMeter(gameState.playerBoost);
+        
         if (!this.elements.powerUpIndicator) return;
         
         const activePowerUps = gameState.playerPowerUps || [];
+        this.elements.powerUpIndicator.classList.toggle('active', activePowerUps.length > 0);
+        this.elements.powerUpIndicator.innerHTML = '';
         
-        if (activePowerUps.length > 0) {
-            this.elements.powerUpIndicator.classList.add('active');
+        activePowerUps.forEach(powerUp => {
+            const item = document.createElement('div');
+            item.className = 'power-up';
             
-            // Affichage du premier power-up actif
-            const powerUp = activePowerUps[0];
-            const nameElement = this.elements.powerUpIndicator.querySelector('.power-up-name');
-            const timerElement = this.elements.powerUpIndicator.querySelector('.power-up-timer');
+            const nameElement = document.createElement('span');
+            nameElement.className = 'power-up-name';
+            nameElement.textContent = `${powerUp.icon || ''} ${powerUp.name}${powerUp.level > 1 ? ` x${powerUp.level}` : ''}`;
+            item.appendChild(nameElement);
             
-            if (nameElement) {
-                nameElement.textContent = powerUp.name + (powerUp.level > 1 ? ` x${powerUp.level}` : '');
+            // Compte à rebours des bonus temporaires
+            if (powerUp.duration > 0) {
+                const remaining = Math.max(0, powerUp.duration - (powerUp.elapsed || 0));
+                nameElement.textContent += ` ${Math.ceil(remaining)}s`;
+                item.classList.toggle('expiring', remaining <= 2);
+                
+                const timerElement = document.createElement('div');
+                timerElement.className = 'power-up-timer';
+                timerElement.style.setProperty('--progress', `${(remaining / powerUp.duration) * 100}%`);
+                item.appendChild(timerElement);
             }
             
-            if (timerElement && powerUp.duration > 0) {
-                const progress = Math.max(0, 1 - (powerUp.elapsed || 0) / powerUp.duration);
-                timerElement.style.setProperty('--progress', `${progress * 100}%`);
-            }
-        } else {
-            this.elements.powerUpIndicator.classList.remove('active');
+            this.elements.powerUpIndicator.appendChild(item);
+        });
+    }
+
+    /**
+     * Met à jour la jauge d'énergie de boost (masquée sans segment propulseur)
+     */
+    updateBoostMeter(boost) {
+        if (!this.elements.boostMeter) return;
+        
+        if (!boost || boost.maxEnergy <= 0) {
+            this.elements.boostMeter.classList.remove('active');
+            return;
+        }
+        
+        this.elements.boostMeter.classList.add('active');
+        this.elements.boostMeter.classList.toggle('boosting', boost.active || boost.dashing);
+        this.elements.boostMeter.style.setProperty('--energy', `${boost.ratio * 100}%`);
+        
+        const labelElement = this.elements.boostMeter.querySelector('.boost-label');
+        if (labelElement) {
+            labelElement.textContent = `Énergie ${boost.energy.toFixed(1)}/${boost.maxEnergy}s`;
         }
     }
 
@@ -373,19 +508,23 @@ Bonne chance, explorateur spatial! 🚀`;
         const constellation = gameState.constellationProgress;
         if (!constellation) return;
         
-        // Mise à jour des étoiles
+        // Mise à jour des étoiles (celles portées par un ennemi sont signalées)
+        const stolenStars = gameState.stolenStars || [];
         this.elements.constellationStars.innerHTML = '';
         
         constellation.stars.forEach(star => {
+            const thief = !star.collected && stolenStars.find(stolen => stolen.starType === star.type);
             const starElement = document.createElement('div');
-            starElement.className = `star ${star.collected ? 'collected' : ''}`;
-            starElement.style.borderColor = star.color;
+            starElement.className = `star ${star.collected ? 'collected' : ''} ${thief ? 'stolen' : ''}`;
+            starElement.style.borderColor = thief ? '' : star.color;
             starElement.style.backgroundColor = star.collected ? star.color : 'transparent';
-            starElement.title = `${star.type} ${star.collected ? '✓' : ''}`;
+            starElement.title = thief ? `${star.type} volée par l'ennemi ${thief.enemy}` : `${star.type} ${star.collected ? '✓' : ''}`;
             
             this.elements.constellationStars.appendChild(starElement);
         });
         
+        this.updateStolenStars(stolenStars);
+        
         // Mise à jour du label
         const labelElement = this.elements.constellationProgress.querySelector('.constellation-label');
         if (labelElement) {
@@ -401,6 +540,22 @@ Bonne chance, explorateur spatial! 🚀`;
         }
     }
 
+    /**
+     * Liste les étoiles portées par les ennemis et le temps avant leur retour
+     */
+    updateStolenStars(stolenStars) {
+        if (!this.elements.stolenStars) return;
+        
+        this.elements.stolenStars.innerHTML = '';
+        
+        stolenStars.forEach(star => {
+            const item = document.createElement('li');
+            item.style.setProperty('--star-color', star.color);
+            item.textContent = `${star.starType} : ennemi ${star.enemy} (${Math.ceil(star.timeRemaining)}s)`;
+            this.elements.stolenStars.appendChild(item);
+        });
+    }
+
     /**
      * Met à jour l'affichage de la constellation (version complète)
      */
@@ -420,6 +575,10 @@ Bonne chance, explorateur spatial! 🚀`;
             message: 'Jeu en pause',
             buttons: [
                 { text: 'Reprendre', action: () => this.game.resumeGame() },
+                { text: 'Replay', action: () => {
+                    this.game.downloadReplay();
+                    this.showPauseScreen();
+                } },
                 { text: 'Menu Principal', action: () => this.game.returnToMenu() }
             ]
         });
@@ -435,7 +594,7 @@ Bonne chance, explorateur spatial! 🚀`;
     /**
      * Affiche l'écran de game over
      */
-    showGameOverScreen(score, level) {
+    showGameOverScreen(score, level, reason = null) {
         const highScore = this.getHighScore();
         const isNewRecord = score > highScore;
         
@@ -447,6 +606,7 @@ Bonne chance, explorateur spatial! 🚀`;
             title: isNewRecord ? '🏆 Nouveau Record!' : 'Game Over',
             message: `
                 <div class="game-over-stats">
+                    ${reason === 'timeout' ? '<p>⏱ Temps écoulé</p>' : ''}
                     <p><strong>Score Final:</strong> ${score.toLocaleString()}</p>
                     <p><strong>Niveau Atteint:</strong> ${level}</p>
                     <p><strong>Meilleur Score:</strong> ${Math.max(score, highScore).toLocaleString()}</p>
@@ -456,6 +616,82 @@ Bonne chance, explorateur spatial! 🚀`;
             autoClose: 5000,
             buttons: [
                 { text: 'Rejouer', action: () => this.game.startGame() },
+                { text: 'Replay', action: () => this.game.downloadReplay() },
+                { text: 'Menu Principal', action: () => this.game.returnToMenu() }
+            ]
+        });
+    }
+
+    /**
+     * Affiche la barre de contrôle de relecture
+     */
+    showReplayControls() {
+        this.hideReplayControls();
+        
+        const bar = document.createElement('div');
+        bar.id = 'replayControls';
+        bar.className = 'replay-controls';
+        
+        const player = () => this.game.replayPlayer;
+        const controls = [
+            { text: '⏯', title: 'Pause / lecture', action: () => player().togglePause() },
+            { text: '⏭', title: 'Image suivante', action: () => player().stepFrame() },
+            { text: '1x', title: 'Vitesse normale', action: () => player().setSpeed(1) },
+            { text: '2x', title: 'Vitesse x2', action: () => player().setSpeed(2) },
+            { text: '4x', title: 'Vitesse x4', action: () => player().setSpeed(4) },
+            { text: '✕', title: 'Quitter le replay', action: () => this.game.returnToMenu() }
+        ];
+        
+        controls.forEach(control => {
+            const button = document.createElement('button');
+            button.className = 'replay-btn';
+            button.textContent = control.text;
+            button.title = control.title;
+            button.addEventListener('click', control.action);
+            bar.appendChild(button);
+        });
+        
+        const status = document.createElement('span');
+        status.className = 'replay-status';
+        bar.appendChild(status);
+        
+        document.body.appendChild(bar);
+        this.elements.replayControls = bar;
+        this.elements.replayStatus = status;
+    }
+
+    /**
+     * Met à jour l'état affiché de la relecture
+     */
+    updateReplayControls(status) {
+        if (!this.elements.replayStatus) return;
+        
+        const state = status.paused ? 'En pause' : `Lecture ${status.speed}x`;
+        this.elements.replayStatus.textContent =
+            `${state} · tick ${status.tick} · entrées ${status.inputsPlayed}/${status.inputsTotal}`;
+    }
+
+    /**
+     * Masque la barre de contrôle de relecture
+     */
+    hideReplayControls() {
+        if (this.elements.replayControls) {
+            this.elements.replayControls.remove();
+        }
+        this.elements.replayControls = null;
+        this.elements.replayStatus = null;
+        this.removeOverlay('replayEnd');
+    }
+
+    /**
+     * Affiche la fin d'un replay
+     */
+    showReplayEndScreen() {
+        this.createOverlay('replayEnd', {
+            title: 'Fin du replay',
+            message: 'La partie enregistrée est terminée',
+            buttons: [
+                { text: 'Revoir', action: () => this.game.startReplay(this.game.replayPlayer.replay) },
                 { text: 'Menu Principal', action: () => this.game.returnToMenu() }
             ]
         });
@@ -0,0 +1,130 @@
+/**
+ * Banc d'essai des requêtes de collision de Serpentis Nexus
+ * Compare l'ancien fonctionnement (hash reconstruit à chaque tick, parcours exhaustif
+ * des segments) au hash spatial incrémental, sur le vrai tick du moteur
+ * (20 ennemis de 50 segments dans une grande arène)
+ */
+
+import { performance } from 'node:perf_hooks';
+import { Snake } from '../src/entities/snake.js';
+import { EnemyAI } from '../src/entities/enemy-ai.js';
+import { RandomGenerator } from '../src/systems/random-generator.js';
+import { createHeadlessEngine } from '../src/engine/headless.js';
+
+const ENEMY_COUNT = 20;
+const ENEMY_LENGTH = 50;
+const TICK_COUNT = 100;
+const WARMUP_TICKS = 30;
+const QUERY_COUNT = 20000;
+
+// Le joueur, invulnérable, tourne en rond dans un coin libre pour rester en jeu
+const PLAYER_TURNS = [{ x: 0, y: -1 }, { x: -1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 0 }];
+
+/**
+ * Crée une arène de 100x75 cases peuplée d'ennemis alignés
+ * (fullSpatialScan : ancien fonctionnement du moteur)
+ */
+function createCrowdedEngine(fullSpatialScan) {
+    const engine = createHeadlessEngine({ seed: 1, width: 2000, height: 1500, fullSpatialScan });
+    engine.startNewGame();
+    engine.gravityWells = [];
+    engine.walls = [];
+    engine.portals = [];
+    engine.enemies = [];
+
+    for (let i = 0; i < ENEMY_COUNT; i++) {
+        const y = 2 + i * 3;
+        const enemy = new Snake(5 + ENEMY_LENGTH, y, 'enemy', engine.rng);
+        enemy.ai = new EnemyAI(enemy, engine, { behavior: 'collector' });
+        for (let j = 1; j < ENEMY_LENGTH; j++) {
+            enemy.grow();
+        }
+        enemy.segments.forEach((segment, j) => {
+            segment.x = 5 + ENEMY_LENGTH - j;
+        });
+        engine.enemies.push(enemy);
+    }
+
+    engine.playerSnake.reset(85, 68);
+    engine.playerSnake.setInvulnerable(Infinity);
+    engine.syncSpatialHash();
+    return engine;
+}
+
+/**
+ * Mesure la durée d'une fonction en millisecondes
+ */
+function measure(fn) {
+    const start = performance.now();
+    const result = fn();
+    return { time: performance.now() - start, result };
+}
+
+/**
+ * Joue des ticks complets du moteur et retourne l'état final
+ */
+function runTicks(engine, ticks) {
+    for (let tick = 0; tick < ticks; tick++) {
+        if (tick % 6 === 3) {
+            engine.playerSnake.nextDirection = { ...PLAYER_TURNS[Math.floor(tick / 6) % 4] };
+        }
+        engine.step();
+    }
+    return JSON.stringify(engine.serialize());
+}
+
+/**
+ * Ticks complets (GameEngine.step) : ancien fonctionnement contre hash incrémental
+ */
+function benchmarkTicks() {
+    // Préchauffage du compilateur sur les deux variantes
+    runTicks(createCrowdedEngine(true), WARMUP_TICKS);
+    runTicks(createCrowdedEngine(false), WARMUP_TICKS);
+
+    const before = measure(() => runTicks(createCrowdedEngine(true), TICK_COUNT));
+    const after = measure(() => runTicks(createCrowdedEngine(false), TICK_COUNT));
+
+    if (before.result !== after.result) {
+        throw new Error('Parties divergentes entre les deux fonctionnements');
+    }
+
+    return { name: `Ticks complets (${TICK_COUNT} ticks)`, before: before.time, after: after.time };
+}
+
+/**
+ * Requêtes d'occupation (GameEngine.getSnakeAt) : parcours exhaustif contre hash spatial
+ */
+function benchmarkQueries() {
+    const before = createCrowdedEngine(true);
+    const after = createCrowdedEngine(false);
+    const rng = new RandomGenerator(7);
+    const cells = Array.from({ length: QUERY_COUNT }, () => ({
+        x: rng.nextInt(after.gridWidth),
+        y: rng.nextInt(after.gridHeight)
+    }));
+    const occupied = engine => cells.filter(cell => engine.getSnakeAt(cell.x, cell.y)).length;
+
+    const scan = measure(() => occupied(before));
+    const hash = measure(() => occupied(after));
+
+    if (scan.result !== hash.result) {
+        throw new Error(`Résultats divergents: ${scan.result} contre ${hash.result}`);
+    }
+
+    return { name: `Occupation d'une case (${QUERY_COUNT} requêtes)`, before: scan.time, after: hash.time };
+}
+
+// Exécution du banc d'essai
+function runBenchmark() {
+    console.log('⏱️  Banc d\'essai des collisions Serpentis Nexus');
+    console.log(`${ENEMY_COUNT} ennemis de ${ENEMY_LENGTH} segments, arène 100x75\n`);
+
+    for (const { name, before, after } of [benchmarkTicks(), benchmarkQueries()]) {
+        console.log(name);
+        console.log(`  Avant (parcours complet): ${before.toFixed(1)} ms`);
+        console.log(`  Après (hash spatial):     ${after.toFixed(1)} ms`);
+        console.log(`  Gain: x${(before / after).toFixed(1)}\n`);
+    }
+}
+
+runBenchmark();
@@ -3,6 +3,21 @@
  * Système de tests simple sans framework externe
  */
 
+import { pathToFileURL } from 'node:url';
+import { Snake } from '../src/entities/snake.js';
+import { EnemyAI } from '../src/entities/enemy-ai.js';
+import { GravityWell } from '../src/entities/gravity-well.js';
+import { Wall } from '../src/entities/wall.js';
+import { Portal } from '../src/entities/portal.js';
+import { ConstellationManager } from '../src/systems/constellation-manager.js';
+import { LevelManager } from '../src/systems/level-manager.js';
+import { LevelFormat, LEVEL_FORMAT_VERSION } from '../src/systems/level-format.js';
+import { OBJECTIVE_TYPES } from '../src/systems/objective-tracker.js';
+import { RandomGenerator } from '../src/systems/random-generator.js';
+import { ReplayPlayer } from '../src/systems/replay-system.js';
+import { SaveManager, SAVE_VERSION } from '../src/systems/save-manager.js';
+import { createHeadlessEngine, ManualClock } from '../src/engine/headless.js';
+
 class TestRunner {
     constructor() {
         this.tests = [];
@@ -544,6 +559,2231 @@ runner.test('Performance - Hash spatial avec beaucoup d\'objets', () => {
     console.log(`   📊 Performance: ${addTime}ms pour ajouter 1000 objets, ${queryTime}ms pour 100 requêtes`);
 });
 
+/**
+ * TESTS DU MOTEUR HEADLESS (classes réelles)
+ */
+
+runner.test('Headless - Création du moteur sans canvas ni fenêtre', () => {
+    const engine = createHeadlessEngine();
+    runner.assertEqual(engine.ctx, null, 'Aucune cible de rendu en mode headless');
+    runner.assertEqual(engine.gridWidth, 40, 'Grille de 40 colonnes pour 800px');
+    runner.assert(engine.playerSnake instanceof Snake, 'Le joueur est un vrai Snake');
+    
+    // Le rendu est ignoré sans cible
+    engine.render();
+});
+
+runner.test('Headless - Avance manuelle de la simulation', () => {
+    const engine = createHeadlessEngine();
+    engine.startNewGame();
+    const startX = engine.playerSnake.getHead().x;
+    
+    engine.step();
+    engine.step();
+    
+    runner.assertEqual(engine.tick, 2, 'Deux ticks simulés');
+    runner.assertEqual(engine.playerSnake.getHead().x, startX + 2, 'Le serpent avance d\'une case par tick');
+});
+
+runner.test('Headless - Horloge injectée', () => {
+    const clock = new ManualClock();
+    const engine = createHeadlessEngine({ clock });
+    engine.startNewGame();
+    
+    engine.update();
+    runner.assertEqual(engine.tick, 0, 'Aucun tick avant l\'intervalle');
+    
+    clock.advance(engine.updateInterval);
+    engine.update();
+    runner.assertEqual(engine.tick, 1, 'Un tick après un intervalle complet');
+    
+    engine.pause();
+    clock.advance(engine.updateInterval * 5);
+    engine.update();
+    runner.assertEqual(engine.tick, 1, 'Aucun tick pendant la pause');
+});
+
+runner.test('Headless - Collecte d\'une étoile par le joueur', () => {
+    const engine = createHeadlessEngine();
+    engine.startNewGame();
+    const head = engine.playerSnake.getHead();
+    const starType = engine.constellationManager.getNeededStars()[0];
+    
+    engine.collectibles = [{
+        x: head.x + 1, y: head.y, type: 'star', starType,
+        segmentType: 'armored', value: 10, color: '#ffffff'
+    }];
+    engine.step();
+    
+    runner.assertEqual(engine.score, 10, 'Le score augmente');
+    runner.assertEqual(engine.playerSnake.segments.length, 2, 'Le serpent grandit');
+    runner.assert(engine.constellationManager.isStarCollected(starType), 'L\'étoile compte pour la constellation');
+    runner.assert(engine.audioManager.playedSounds.includes('collect'), 'Le son est envoyé à la sortie audio');
+});
+
+runner.test('Headless - Puits gravitationnel réel', () => {
+    const engine = createHeadlessEngine();
+    engine.startNewGame();
+    const head = engine.playerSnake.getHead();
+    engine.collectibles = [];
+    engine.gravityWells = [new GravityWell(head.x + 0.5, head.y - 1.5, 5, 100, 'attract')];
+    
+    engine.applyGravityEffects();
+    runner.assert(engine.playerSnake.gravitationalForce.y < 0, 'Le puits attire le serpent vers le haut');
+    
+    engine.step();
+    runner.assertEqual(engine.playerSnake.gravitationalForce.y, 0, 'Les forces sont remises à zéro après le tick');
+});
+
+runner.test('Headless - Ennemi piloté par EnemyAI', () => {
+    const engine = createHeadlessEngine();
+    engine.startNewGame();
+    const enemy = new Snake(5, 5, 'enemy');
+    enemy.ai = new EnemyAI(enemy, engine);
+    engine.enemies = [enemy];
+    
+    for (let i = 0; i < 5; i++) {
+        engine.step();
+    }
+    
+    const head = enemy.getHead();
+    runner.assert(head.x !== 5 || head.y !== 5, 'L\'ennemi s\'est déplacé');
+    runner.assert(enemy.alive, 'L\'ennemi est toujours en vie');
+});
+
+runner.test('Headless - ConstellationManager réel', () => {
+    const cm = new ConstellationManager();
+    cm.setPattern('triangle');
+    cm.collectStar('alpha');
+    cm.collectStar('beta');
+    
+    const progress = cm.getProgress();
+    runner.assertEqual(progress.collected, 2, 'Deux étoiles collectées');
+    runner.assertEqual(cm.getNeededStars()[0], 'gamma', 'Il reste gamma');
+});
+
+/**
+ * TESTS DE L'ALÉATOIRE DÉTERMINISTE
+ */
+
+// Capture compacte de l'état simulé pour comparer deux parties
+function snapshotSimulation(engine) {
+    return JSON.stringify({
+        state: engine.getGameState(),
+        player: engine.playerSnake.segments,
+        enemies: engine.enemies.map(enemy => ({
+            behavior: enemy.ai ? enemy.ai.behaviorType : null,
+            segments: enemy.segments
+        })),
+        collectibles: engine.collectibles.map(c => [c.x, c.y, c.type, c.starType, c.segmentType])
+    });
+}
+
+runner.test('RandomGenerator - Même graine, même séquence', () => {
+    const a = new RandomGenerator(1234);
+    const b = new RandomGenerator(1234);
+    const c = new RandomGenerator(4321);
+    
+    const sequenceA = Array.from({ length: 20 }, () => a.next());
+    const sequenceB = Array.from({ length: 20 }, () => b.next());
+    const sequenceC = Array.from({ length: 20 }, () => c.next());
+    
+    runner.assertEqual(JSON.stringify(sequenceA), JSON.stringify(sequenceB), 'Séquences identiques');
+    runner.assert(JSON.stringify(sequenceA) !== JSON.stringify(sequenceC), 'Graines différentes, séquences différentes');
+    runner.assert(sequenceA.every(n => n >= 0 && n < 1), 'Valeurs dans [0, 1)');
+});
+
+runner.test('RandomGenerator - Réinitialisation et état', () => {
+    const rng = new RandomGenerator('nexus');
+    const first = rng.next();
+    const saved = rng.getState();
+    const second = rng.next();
+    
+    rng.setState(saved);
+    runner.assertEqual(rng.next(), second, 'L\'état restauré reprend la séquence');
+    
+    rng.reset(rng.getSeed());
+    runner.assertEqual(rng.next(), first, 'La réinitialisation repart du début');
+});
+
+runner.test('Headless - Graine visible dans l\'état du jeu', () => {
+    const engine = createHeadlessEngine({ seed: 42 });
+    engine.startNewGame();
+    runner.assertEqual(engine.getGameState().seed, 42, 'La graine est exposée');
+    
+    engine.startNewGame({ seed: 7 });
+    runner.assertEqual(engine.getGameState().seed, 7, 'Une nouvelle partie peut changer de graine');
+});
+
+runner.test('Headless - Même graine, même partie', () => {
+    const runSimulation = (seed) => {
+        const engine = createHeadlessEngine({ seed });
+        engine.startNewGame();
+        const enemy = new Snake(5, 5, 'enemy', engine.rng);
+        enemy.ai = new EnemyAI(enemy, engine);
+        engine.enemies.push(enemy);
+        
+        for (let i = 0; i < 60; i++) {
+            engine.step();
+        }
+        return snapshotSimulation(engine);
+    };
+    
+    runner.assertEqual(runSimulation(99), runSimulation(99), 'Deux parties de même graine sont identiques');
+    runner.assert(runSimulation(99) !== runSimulation(100), 'Une autre graine donne une autre partie');
+});
+
+runner.test('Headless - Patterns procéduraux reproductibles', () => {
+    const a = new ConstellationManager(new RandomGenerator(5));
+    const b = new ConstellationManager(new RandomGenerator(5));
+    
+    runner.assertEqual(
+        JSON.stringify(a.generateProceduralPattern()),
+        JSON.stringify(b.generateProceduralPattern()),
+        'Même pattern pour la même graine'
+    );
+});
+
+/**
+ * TESTS DES REPLAYS
+ */
+
+// Joue une courte partie avec des entrées à des ticks fixes
+function playRecordedGame(seed) {
+    const engine = createHeadlessEngine({ seed });
+    engine.startNewGame();
+    const enemy = new Snake(5, 5, 'enemy', engine.rng);
+    enemy.ai = new EnemyAI(enemy, engine);
+    engine.enemies.push(enemy);
+    
+    const script = { 3: 'up', 6: 'left', 9: 'down', 12: 'boost', 14: 'right' };
+    for (let i = 0; i < 40; i++) {
+        const action = script[engine.tick];
+        if (action === 'boost') {
+            engine.activateBoost();
+        } else if (action) {
+            engine.setDirection(action);
+        }
+        engine.step();
+    }
+    return engine;
+}
+
+runner.test('Replay - Enregistrement compact des entrées', () => {
+    const engine = playRecordedGame(11);
+    const replay = engine.replayRecorder.export();
+    
+    runner.assertEqual(replay.version, 2, 'Version du format');
+    runner.assertEqual(replay.seed, 11, 'La graine est enregistrée');
+    runner.assertEqual(replay.level, 1, 'Le niveau de départ est enregistré');
+    runner.assertEqual(JSON.stringify(replay.inputs[0]), JSON.stringify([3, 'u']), 'Entrée horodatée au tick');
+    runner.assertEqual(replay.inputs.length, 5, 'Toutes les entrées sont enregistrées');
+});
+
+runner.test('Replay - Relecture identique à la partie', () => {
+    const original = playRecordedGame(11);
+    const replay = original.replayRecorder.export();
+    
+    const engine = createHeadlessEngine();
+    const player = new ReplayPlayer(engine).load(JSON.stringify(replay));
+    player.start();
+    
+    // L'ennemi ajouté à la main fait partie du scénario de test
+    const enemy = new Snake(5, 5, 'enemy', engine.rng);
+    enemy.ai = new EnemyAI(enemy, engine);
+    engine.enemies.push(enemy);
+    
+    while (engine.tick < original.tick) {
+        player.stepFrame();
+    }
+    
+    runner.assertEqual(snapshotSimulation(engine), snapshotSimulation(original), 'Même état tick pour tick');
+    runner.assertEqual(player.getStatus().inputsPlayed, replay.inputs.length, 'Toutes les entrées rejouées');
+    runner.assertEqual(engine.replayRecorder.recording, false, 'La relecture n\'est pas réenregistrée');
+});
+
+runner.test('Replay - Pause, pas à pas et vitesse', () => {
+    const clock = new ManualClock();
+    const engine = createHeadlessEngine({ clock });
+    const player = new ReplayPlayer(engine).load({ version: 2, seed: 3, level: 1, inputs: [] });
+    player.start();
+    
+    clock.advance(engine.updateInterval);
+    player.update();
+    runner.assertEqual(engine.tick, 1, 'Un tick à vitesse normale');
+    
+    player.setSpeed(4);
+    clock.advance(engine.updateInterval);
+    player.update();
+    runner.assertEqual(engine.tick, 5, 'Quatre ticks par intervalle en 4x');
+    
+    player.pause();
+    clock.advance(engine.updateInterval * 3);
+    player.update();
+    runner.assertEqual(engine.tick, 5, 'Aucun tick en pause');
+    
+    player.stepFrame();
+    runner.assertEqual(engine.tick, 6, 'Avance d\'un seul tick');
+});
+
+runner.test('Replay - Fichier invalide refusé', () => {
+    const player = new ReplayPlayer(createHeadlessEngine());
+    
+    let versionError = null;
+    try {
+        player.load({ version: 99, inputs: [] });
+    } catch (error) {
+        versionError = error;
+    }
+    runner.assert(versionError !== null, 'Version inconnue refusée');
+    
+    let inputError = null;
+    try {
+        player.load({ version: 2, seed: 1, level: 1, inputs: [[2, 'x']] });
+    } catch (error) {
+        inputError = error;
+    }
+    runner.assert(inputError !== null, 'Action inconnue refusée');
+});
+
+runner.test('ConstellationManager - Morphing piloté par la simulation', () => {
+    const cm = new ConstellationManager(new RandomGenerator(8));
+    cm.setPattern('triangle');
+    ['alpha', 'beta', 'gamma'].forEach(star => cm.collectStar(star));
+    
+    runner.assert(cm.morphingActive, 'Le morphing démarre');
+    cm.update(1);
+    runner.assertEqual(cm.getProgress().collected, 3, 'Pattern inchangé pendant le morphing');
+    cm.update(2);
+    runner.assert(!cm.morphingActive, 'Morphing terminé après 3 secondes simulées');
+    runner.assertEqual(cm.getProgress().collected, 0, 'Le nouveau pattern est appliqué');
+    
+    // Un changement de niveau annule le morphing en attente
+    cm.setPattern('triangle');
+    ['alpha', 'beta', 'gamma'].forEach(star => cm.collectStar(star));
+    cm.setPattern('cross');
+    cm.collectStar('north');
+    cm.update(5);
+    runner.assertEqual(cm.getProgress().collected, 1, 'La progression du niveau est conservée');
+});
+
+/**
+ * TESTS DES SAUVEGARDES
+ */
+
+// Stockage en mémoire avec l'interface du localStorage
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+    
+    get length() {
+        return this.items.size;
+    }
+    
+    key(index) {
+        return Array.from(this.items.keys())[index] ?? null;
+    }
+    
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+    
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+    
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+runner.test('Sauvegarde - Reprise identique de la partie', () => {
+    const original = createHeadlessEngine({ seed: 21 });
+    original.startNewGame();
+    const enemy = new Snake(10, 8, 'enemy', original.rng);
+    enemy.ai = new EnemyAI(enemy, original);
+    original.enemies.push(enemy);
+    original.setDirection('up');
+    for (let i = 0; i < 10; i++) {
+        original.step();
+    }
+    original.gravityWells.push(new GravityWell(10, 10, 3, 6, 'pulse'));
+    original.gravityWells[0].phase = 1.25;
+    
+    const saved = JSON.parse(JSON.stringify(original.serialize()));
+    const restored = createHeadlessEngine();
+    restored.restore(saved);
+    
+    runner.assert(restored.isPaused(), 'La partie restaurée reprend en pause');
+    runner.assertEqual(restored.gravityWells[0].phase, 1.25, 'La phase des puits est restaurée');
+    runner.assertEqual(
+        restored.enemies[0].ai.behaviorType,
+        original.enemies[0].ai.behaviorType,
+        'Le comportement de l\'IA est restauré'
+    );
+    
+    restored.resume();
+    for (let i = 0; i < 30; i++) {
+        original.step();
+        restored.step();
+    }
+    
+    runner.assertEqual(snapshotSimulation(restored), snapshotSimulation(original), 'La suite de la partie est identique');
+    runner.assertEqual(
+        JSON.stringify(restored.replayRecorder.export()),
+        JSON.stringify(original.replayRecorder.export()),
+        'Le replay continue après la reprise'
+    );
+});
+
+runner.test('Sauvegarde - Segments et types conservés', () => {
+    const engine = createHeadlessEngine({ seed: 4 });
+    engine.startNewGame();
+    engine.playerSnake.grow('armored');
+    engine.playerSnake.grow('magnetic');
+    
+    const restored = createHeadlessEngine();
+    restored.restore(engine.serialize());
+    
+    const types = restored.playerSnake.segments.map(segment => segment.type);
+    runner.assertEqual(types.join(','), 'head,armored,magnetic', 'Types de segments conservés');
+    runner.assert(restored.playerSnake.hasEffect('armor'), 'Effets des segments conservés');
+});
+
+runner.test('SaveManager - Emplacements versionnés', () => {
+    const storage = new MemoryStorage();
+    const saves = new SaveManager(storage);
+    const engine = createHeadlessEngine({ seed: 2 });
+    engine.startNewGame();
+    
+    runner.assert(saves.save('autosave', engine.serialize()), 'Sauvegarde écrite');
+    runner.assert(saves.has('autosave'), 'Emplacement occupé');
+    runner.assertEqual(saves.load('autosave').level, 1, 'État relu');
+    runner.assertEqual(saves.getLatestSlot(), 'autosave', 'Emplacement le plus récent');
+    
+    // Une sauvegarde d'une autre version est ignorée
+    storage.setItem('serpentis_save_old', JSON.stringify({ version: SAVE_VERSION + 1, state: {} }));
+    runner.assertEqual(saves.load('old'), null, 'Version inconnue ignorée');
+    runner.assertEqual(saves.listSlots().length, 1, 'Seules les sauvegardes valides sont listées');
+    
+    saves.delete('autosave');
+    runner.assertEqual(saves.getLatestSlot(), null, 'Emplacement supprimé');
+});
+
+/**
+ * TESTS DU CHRONOMÈTRE DE NIVEAU
+ */
+
+runner.test('Chronomètre - Décompte en temps simulé', () => {
+    const clock = new ManualClock();
+    const engine = createHeadlessEngine({ clock });
+    engine.startNewGame({ level: 4 });
+    
+    runner.assertEqual(engine.getGameState().timeLimit, 120, 'Limite lue depuis le niveau');
+    runner.assertEqual(engine.getGameState().timeRemaining, 120, 'Chrono plein au départ');
+    
+    clock.advance(engine.updateInterval);
+    engine.update();
+    runner.assert(Math.abs(engine.timeRemaining - (120 - engine.updateInterval / 1000)) < 1e-9, 'Un tick décompté');
+    
+    // La pause fige le chrono
+    engine.pause();
+    clock.advance(5000);
+    engine.update();
+    engine.resume();
+    engine.update();
+    runner.assert(engine.timeRemaining > 119.7, 'Le chrono ne tourne pas pendant la pause');
+});
+
+runner.test('Chronomètre - Alerte et perte d\'une vie', () => {
+    const engine = createHeadlessEngine();
+    engine.startNewGame({ level: 4 });
+    engine.enemies = [];
+    engine.timeRemaining = 1.1;
+    
+    engine.step();
+    runner.assert(engine.getGameState().timeWarning, 'Alerte sous le seuil');
+    runner.assert(engine.audioManager.playedSounds.includes('timerWarning'), 'Bip d\'alerte joué');
+    
+    for (let i = 0; i < 5; i++) {
+        engine.step();
+    }
+    runner.assertEqual(engine.lives, 2, 'Une vie perdue au temps écoulé');
+    runner.assert(engine.audioManager.playedSounds.includes('timeUp'), 'Son de fin de temps joué');
+    runner.assert(engine.timeRemaining > 119, 'Le chrono repart');
+    runner.assertEqual(engine.gameState, 'running', 'La partie continue');
+});
+
+runner.test('Chronomètre - Échec du niveau', () => {
+    const engine = createHeadlessEngine();
+    engine.startNewGame({ level: 6 });
+    engine.enemies = [];
+    
+    runner.assertEqual(engine.timeoutOutcome, 'fail_level', 'Conséquence définie par le niveau');
+    engine.timeRemaining = 0.1;
+    engine.step();
+    
+    const state = engine.getGameState();
+    runner.assert(state.gameOver, 'La partie est terminée');
+    runner.assertEqual(state.gameOverReason, 'timeout', 'Fin de partie due au temps');
+});
+
+runner.test('Chronomètre - Niveaux sans limite', () => {
+    const engine = createHeadlessEngine();
+    engine.startNewGame();
+    engine.step();
+    
+    runner.assertEqual(engine.getGameState().timeLimit, 0, 'Pas de limite au niveau 1');
+    runner.assertEqual(engine.getGameState().timeWarning, false, 'Pas d\'alerte');
+});
+
+/**
+ * TESTS DES MURS ET PORTAILS
+ */
+
+// Moteur headless sans ennemis ni collectibles, joueur en (x, y) vers la droite
+function createArenaEngine(x = 10, y = 10) {
+    const engine = createHeadlessEngine({ seed: 1 });
+    engine.startNewGame();
+    engine.enemies = [];
+    engine.collectibles = [];
+    engine.gravityWells = [];
+    engine.playerSnake.reset(x, y);
+    return engine;
+}
+
+runner.test('Murs - Un mur mortel coûte une vie', () => {
+    const engine = createArenaEngine();
+    engine.walls = [new Wall(11, 10)];
+    
+    engine.step();
+    runner.assertEqual(engine.lives, 2, 'Le joueur perd une vie');
+});
+
+runner.test('Murs - Un mur rebondissant inverse le serpent', () => {
+    const engine = createArenaEngine();
+    engine.playerSnake.grow();
+    engine.step();
+    engine.walls = [new Wall(12, 10, 1, 3, 'bounce')];
+    
+    engine.step();
+    const head = engine.playerSnake.getHead();
+    runner.assertEqual(engine.lives, 3, 'Aucune vie perdue');
+    runner.assert(!engine.getWallAt(head.x, head.y), 'La tête n\'est pas dans le mur');
+    runner.assertEqual(engine.playerSnake.getCurrentDirectionName(), 'left', 'Le serpent repart en sens inverse');
+    
+    engine.step();
+    runner.assertEqual(engine.lives, 3, 'Le serpent survit au tick suivant');
+});
+
+runner.test('Portails - Téléportation en gardant la direction', () => {
+    const engine = createArenaEngine();
+    const entry = new Portal(11, 10);
+    const exit = new Portal(30, 20);
+    Portal.link(entry, exit);
+    engine.portals = [entry, exit];
+    
+    engine.step();
+    const head = engine.playerSnake.getHead();
+    runner.assertEqual(head.x, 31, 'Sortie une case après le portail lié');
+    runner.assertEqual(head.y, 20, 'Même ligne que le portail lié');
+    runner.assertEqual(engine.playerSnake.getCurrentDirectionName(), 'right', 'Direction conservée');
+    runner.assert(engine.audioManager.playedSounds.includes('teleport'), 'Son de téléportation joué');
+});
+
+runner.test('Murs et portails - Cases occupées et sécurité de l\'IA', () => {
+    const engine = createArenaEngine();
+    const entry = new Portal(5, 5);
+    const exit = new Portal(8, 0);
+    Portal.link(entry, exit);
+    engine.portals = [entry, exit];
+    engine.walls = [new Wall(20, 20, 2, 2)];
+    
+    runner.assert(!engine.isPositionEmpty(21, 21), 'Case de mur occupée');
+    runner.assert(!engine.isPositionEmpty(5, 5), 'Case de portail occupée');
+    
+    const enemy = new Snake(5, 6, 'enemy', engine.rng);
+    enemy.ai = new EnemyAI(enemy, engine);
+    runner.assert(!enemy.ai.isPositionSafe({ x: 21, y: 20 }), 'L\'IA évite les murs');
+    
+    // En montant dans le portail, la sortie (8, -1) est hors de l'arène
+    runner.assert(!enemy.ai.isPositionSafe({ x: 5, y: 5 }), 'L\'IA évite un portail à sortie dangereuse');
+    enemy.reset(4, 5);
+    runner.assert(enemy.ai.isPositionSafe({ x: 5, y: 5 }), 'Portail à sortie libre considéré sûr');
+});
+
+runner.test('Portails - Niveaux procéduraux', () => {
+    const engine = createHeadlessEngine({ seed: 6 });
+    engine.startNewGame({ level: 10 });
+    
+    runner.assertEqual(engine.portals.length, 2, 'Une paire de portails créée');
+    runner.assertEqual(engine.portals[0].linkedPortal, engine.portals[1], 'Portails liés entre eux');
+    
+    const restored = createHeadlessEngine();
+    restored.restore(JSON.parse(JSON.stringify(engine.serialize())));
+    runner.assertEqual(restored.portals[1].linkedPortal, restored.portals[0], 'Liaison conservée par la sauvegarde');
+});
+
+/**
+ * TESTS DU TEST DE NIVEAU DE L'ÉDITEUR
+ */
+
+// Export minimal de l'éditeur (même format que LevelEditor.exportLevel)
+function createEditorExport() {
+    return {
+        name: 'Niveau Personnalisé',
+        elements: {
+            gravityWells: [{ id: 'w1', x: 30, y: 5, strength: 0.5, radius: 40, wellType: 'repel' }],
+            enemies: [{ id: 'e1', x: 35, y: 25, behavior: 'hunter' }],
+            spawnPoints: [
+                { x: 10, y: 10, type: 'player' },
+                { id: 's2', x: 5, y: 20, type: 'spawn', spawnType: 'player' }
+            ],
+            collectibles: [{ id: 'c1', x: 7, y: 20, starType: 'beta' }],
+            walls: [{ id: 'm1', x: 20, y: 2, width: 1, height: 3, behavior: 'bounce' }],
+            portals: [
+                { id: 'p1', x: 2, y: 2, linkedPortal: 'p2' },
+                { id: 'p2', x: 37, y: 27, linkedPortal: 'p1' }
+            ]
+        },
+        metadata: { version: '1.0', gridSize: 20, dimensions: { width: 40, height: 30 } }
+    };
+}
+
+runner.test('Test de niveau - Conversion de l\'export de l\'éditeur', () => {
+    const levelManager = new LevelManager();
+    const levelData = levelManager.loadCustomLevel(createEditorExport());
+    
+    runner.assert(levelData.custom, 'Niveau marqué comme personnalisé');
+    runner.assertEqual(levelData.gravityWells[0].type, 'repel', 'Type de puits repris de l\'éditeur');
+    runner.assertEqual(levelData.spawnPoint.x, 5, 'Dernier point de spawn retenu');
+    runner.assertEqual(levelData.timeLimit, 0, 'Pas de chronomètre');
+    runner.assertEqual(levelManager.getCurrentLevel(), levelData, 'Niveau courant remplacé');
+});
+
+runner.test('Test de niveau - Partie réelle avec les éléments placés', () => {
+    const engine = createHeadlessEngine({ seed: 3 });
+    engine.startNewGame({ levelData: createEditorExport() });
+    
+    const head = engine.playerSnake.getHead();
+    runner.assertEqual(head.x, 5, 'Joueur au point de spawn (x)');
+    runner.assertEqual(head.y, 20, 'Joueur au point de spawn (y)');
+    runner.assertEqual(engine.gravityWells[0].type, 'repel', 'Puits créé');
+    runner.assertEqual(engine.enemies.length, 1, 'Ennemi créé');
+    runner.assert(engine.getWallAt(20, 4).isBouncy(), 'Mur rebondissant créé');
+    runner.assertEqual(engine.portals[0].linkedPortal, engine.portals[1], 'Portails liés');
+    runner.assert(engine.collectibles.some(c => c.x === 7 && c.y === 20 && c.starType === 'beta'),
+        'Collectible posé dans l\'éditeur présent');
+    runner.assert(!engine.replayRecorder.hasReplay(), 'Le test de niveau n\'est pas enregistré');
+    
+    engine.step();
+    runner.assertEqual(engine.playerSnake.getHead().x, 6, 'La partie avance');
+    
+    // Une vie perdue ramène le joueur au point de spawn
+    engine.loseLife('collision');
+    runner.assertEqual(engine.playerSnake.getHead().x, 5, 'Réapparition au point de spawn');
+});
+
+runner.test('Test de niveau - Le niveau recommence une fois terminé', () => {
+    const engine = createHeadlessEngine({ seed: 3 });
+    engine.startNewGame({ levelData: createEditorExport() });
+    
+    engine.nextLevel();
+    const levelData = engine.levelManager.getCurrentLevel();
+    runner.assert(levelData.custom, 'Toujours le niveau de l\'éditeur');
+    runner.assertEqual(engine.walls.length, 1, 'Murs recréés');
+});
+
+/**
+ * TESTS DU FORMAT DE NIVEAU
+ */
+
+runner.test('Format de niveau - Modèle intégré vers éditeur et retour', () => {
+    const levelManager = new LevelManager();
+    const level = levelManager.getLevelFile(4);
+    
+    runner.assertEqual(level.version, LEVEL_FORMAT_VERSION, 'Version du format');
+    runner.assertEqual(level.settings.timeLimit, 120, 'Chrono du modèle conservé');
+    runner.assertEqual(level.gravityWells[1].type, 'repel', 'Type de puits conservé');
+    
+    const editorData = LevelFormat.toEditor(level);
+    runner.assertEqual(editorData.elements.gravityWells[1].wellType, 'repel', 'Type de puits pour l\'éditeur');
+    
+    const roundTrip = LevelFormat.fromEditor(JSON.parse(JSON.stringify(editorData)));
+    runner.assertEqual(JSON.stringify(roundTrip), JSON.stringify(level), 'Aller-retour sans perte');
+});
+
+runner.test('Format de niveau - Export de l\'éditeur vers modèle', () => {
+    const level = LevelFormat.parse(createEditorExport());
+    const template = LevelFormat.toTemplate(level);
+    
+    runner.assertEqual(template.spawnPoint.x, 5, 'Point de spawn repris');
+    runner.assertEqual(template.constellationPattern, 'triangle', 'Réglages par défaut appliqués');
+    runner.assertEqual(template.walls[0].behavior, 'bounce', 'Mur repris');
+    runner.assertEqual(template.portals[0].linkedPortal, 'p2', 'Liaison des portails reprise');
+    
+    // Un modèle relu donne le même niveau
+    runner.assertEqual(JSON.stringify(LevelFormat.parse(template)), JSON.stringify(level), 'Modèle relu à l\'identique');
+});
+
+runner.test('Format de niveau - Portails sans identifiant liés dans l\'ordre', () => {
+    const level = LevelFormat.parse({
+        gravityWells: [],
+        enemies: [],
+        portals: [{ x: 1, y: 1 }, { x: 5, y: 5 }]
+    });
+    const portals = LevelFormat.toEditor(level).elements.portals;
+    
+    runner.assertEqual(portals[0].linkedPortal, portals[1].id, 'Premier portail lié au second');
+    runner.assertEqual(portals[1].linkedPortal, portals[0].id, 'Second portail lié au premier');
+});
+
+runner.test('Format de niveau - Données invalides rejetées', () => {
+    const expectError = (data, message) => {
+        let failed = false;
+        try {
+            LevelFormat.parse(data);
+        } catch (error) {
+            failed = true;
+        }
+        runner.assert(failed, message);
+    };
+    
+    expectError({ version: 99, settings: {} }, 'Version inconnue rejetée');
+    expectError({ foo: 'bar' }, 'Format inconnu rejeté');
+    expectError({ gravityWells: [{ x: 'a', y: 2 }], enemies: [] }, 'Position invalide rejetée');
+});
+
+runner.test('Format de niveau - LevelManager charge un fichier de niveau', () => {
+    const levelManager = new LevelManager();
+    const file = JSON.stringify(LevelFormat.parse(createEditorExport()));
+    const levelData = levelManager.loadLevel(file);
+    
+    runner.assert(levelData.custom, 'Niveau personnalisé');
+    runner.assertEqual(levelData.enemies[0].behavior, 'hunter', 'Ennemis repris');
+    
+    const engine = createHeadlessEngine({ seed: 2 });
+    engine.startNewGame({ levelData: LevelFormat.toEditor(levelManager.getLevelFile(5)) });
+    runner.assertEqual(engine.enemies.length, 2, 'Modèle modifiable joué dans le moteur');
+    runner.assertEqual(engine.timeLimit, 150, 'Chrono du modèle appliqué');
+});
+
+/**
+ * TESTS DES ENNEMIS DÉFINIS PAR LE NIVEAU
+ */
+
+runner.test('Ennemis - Comportement imposé par le modèle de niveau', () => {
+    const engine = createHeadlessEngine({ seed: 8 });
+    engine.startNewGame({ level: 6 });
+    
+    const behaviors = engine.enemies.map(enemy => enemy.ai.behaviorType);
+    runner.assertEqual(behaviors.join(','), 'hunter,hunter,opportunist', 'Comportements du niveau 6');
+    runner.assertEqual(engine.enemies[0].baseSpeed, 1.2, 'Vitesse du chasseur appliquée');
+});
+
+runner.test('Ennemis - Paramètres et longueur surchargés par ennemi', () => {
+    const engine = createHeadlessEngine({ seed: 8 });
+    engine.startNewGame({
+        levelData: {
+            gravityWells: [],
+            enemies: [{ x: 30, y: 20, behavior: 'hunter', aggressiveness: 0.1, speedModifier: 0.8, length: 4 }]
+        }
+    });
+    
+    const enemy = engine.enemies[0];
+    runner.assertEqual(enemy.ai.behaviorParams.aggressiveness, 0.1, 'Agressivité surchargée');
+    runner.assertEqual(enemy.ai.behaviorParams.collectProbability, 0.2, 'Autres paramètres du comportement conservés');
+    runner.assertEqual(enemy.baseSpeed, 0.8, 'Vitesse surchargée');
+    runner.assertEqual(enemy.segments.length, 4, 'Longueur de départ');
+    
+    const restored = createHeadlessEngine();
+    restored.restore(JSON.parse(JSON.stringify(engine.serialize())));
+    runner.assertEqual(restored.enemies[0].ai.behaviorParams.aggressiveness, 0.1, 'Surcharge conservée par la sauvegarde');
+    runner.assertEqual(restored.enemies[0].baseSpeed, 0.8, 'Vitesse conservée par la sauvegarde');
+});
+
+runner.test('Ennemis - Un collecteur plus lent qu\'une case par tick survit', () => {
+    const engine = createHeadlessEngine({ seed: 1 });
+    engine.startNewGame({
+        levelData: {
+            gravityWells: [],
+            enemies: [{ x: 30, y: 20, behavior: 'collector', length: 5 }]
+        }
+    });
+    const enemy = engine.enemies[0];
+    runner.assert(enemy.baseSpeed < 1, 'Vitesse du collecteur inférieure à une case par tick');
+    
+    // Le joueur tourne en rond au centre pour rester en vie
+    const turns = [{ x: 0, y: -1 }, { x: -1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 0 }];
+    for (let i = 0; i < 300; i++) {
+        if (i % 6 === 3) engine.playerSnake.nextDirection = { ...turns[Math.floor(i / 6) % 4] };
+        engine.step();
+    }
+    
+    runner.assert(enemy.alive, 'Le collecteur est toujours en vie après 300 ticks');
+    runner.assert(enemy.segments.length > 5, 'Et il a ramassé des étoiles');
+});
+
+runner.test('Ennemis - Réglages conservés par le format de niveau', () => {
+    const level = LevelFormat.parse(createEditorExport());
+    level.enemies[0].playerTrackingRange = 12;
+    
+    const editorData = LevelFormat.toEditor(level);
+    runner.assertEqual(editorData.elements.enemies[0].playerTrackingRange, 12, 'Réglage transmis à l\'éditeur');
+    runner.assert(!('aggressiveness' in editorData.elements.enemies[0]), 'Réglage absent laissé par défaut');
+    runner.assertEqual(LevelFormat.fromEditor(editorData).enemies[0].playerTrackingRange, 12, 'Réglage relu depuis l\'éditeur');
+});
+
+/**
+ * TESTS DE LA MÉTÉO SPATIALE
+ */
+
+// Niveau vide avec une météo donnée
+function createWeatherLevel(weather, intensity = 0.5) {
+    return {
+        version: LEVEL_FORMAT_VERSION,
+        settings: { specialFeatures: [{ type: 'space_weather', weather, intensity }] },
+        gravityWells: [{ x: 30, y: 20, strength: 1, radius: 60, type: 'attract' }]
+    };
+}
+
+runner.test('Météo - Vent solaire appliqué comme une force', () => {
+    const engine = createHeadlessEngine({ seed: 4 });
+    engine.startNewGame({ levelData: createWeatherLevel('solar_wind') });
+    
+    runner.assert(engine.audioManager.playedSounds.includes('weatherAlert'), 'Alerte sonore au début du niveau');
+    runner.assertEqual(engine.getGameState().weather.type, 'solar_wind', 'Météo affichée dans le HUD');
+    
+    const direction = engine.spaceWeather.windDirection;
+    engine.spaceWeather.update(engine.updateInterval / 1000);
+    const force = engine.playerSnake.gravitationalForce;
+    runner.assertEqual(force.x, direction.x * 0.25, 'Dérive horizontale');
+    runner.assertEqual(force.y, direction.y * 0.25, 'Dérive verticale');
+    runner.assert(engine.particleSystem.particles.length > 0, 'Traînées de vent émises');
+});
+
+runner.test('Météo - Tempête cosmique précédée d\'un préavis', () => {
+    const engine = createHeadlessEngine({ seed: 4 });
+    engine.startNewGame({ levelData: createWeatherLevel('cosmic_storm') });
+    const weather = engine.spaceWeather;
+    
+    for (let i = 0; i < 41; i++) weather.update(0.2);
+    runner.assertEqual(weather.stormPhase, 'warning', 'Préavis après l\'accalmie');
+    runner.assert(engine.getGameState().weather.warning, 'Alerte affichée dans le HUD');
+    runner.assert(!weather.isStormActive(), 'Visibilité encore intacte');
+    
+    for (let i = 0; i < 10; i++) weather.update(0.2);
+    runner.assert(weather.isStormActive(), 'Tempête active');
+    runner.assert(engine.audioManager.playedSounds.includes('cosmicStorm'), 'Son de tempête joué');
+    
+    // Durée : 2 s + 4 s x intensité
+    for (let i = 0; i < 20; i++) weather.update(0.2);
+    runner.assertEqual(weather.stormPhase, 'calm', 'Retour au calme');
+});
+
+runner.test('Météo - Ondes gravitationnelles sur les puits', () => {
+    const engine = createHeadlessEngine({ seed: 4 });
+    engine.startNewGame({ levelData: createWeatherLevel('gravity_waves') });
+    const well = engine.gravityWells[0];
+    
+    // Crête au quart de la période (4 s)
+    engine.spaceWeather.update(1);
+    runner.assertEqual(well.getEffectiveStrength(), 1.5, 'Force maximale à la crête');
+    runner.assert(engine.audioManager.playedSounds.includes('gravityWave'), 'Son de l\'onde joué');
+    
+    engine.spaceWeather.update(2);
+    runner.assert(Math.abs(well.getEffectiveStrength() - 0.5) < 1e-9, 'Force minimale au creux');
+});
+
+runner.test('Météo - Niveaux procéduraux, sauvegarde et déterminisme', () => {
+    const levelManager = new LevelManager();
+    let level = 8;
+    while (!levelManager.generateProceduralLevel(level).specialFeatures.some(f => f.type === 'space_weather')) {
+        level++;
+    }
+    
+    const run = () => {
+        const engine = createHeadlessEngine({ seed: 12 });
+        engine.startNewGame({ level });
+        for (let i = 0; i < 30; i++) engine.step();
+        return engine;
+    };
+    const engine = run();
+    runner.assert(engine.getGameState().weather, `Météo active au niveau ${level}`);
+    runner.assertEqual(snapshotSimulation(run()), snapshotSimulation(engine), 'Même graine, même partie');
+    
+    const restored = createHeadlessEngine();
+    restored.restore(JSON.parse(JSON.stringify(engine.serialize())));
+    runner.assertEqual(
+        JSON.stringify(restored.spaceWeather.saveState()),
+        JSON.stringify(engine.spaceWeather.saveState()),
+        'Météo restaurée'
+    );
+});
+
+/**
+ * TESTS DU MAGNÉTISME
+ */
+
+// Arène avec un joueur doté de deux segments magnétiques (portée : 3 cases)
+function createMagneticArena() {
+    const engine = createArenaEngine();
+    engine.playerSnake.grow('magnetic');
+    engine.playerSnake.grow('magnetic');
+    return engine;
+}
+
+runner.test('Magnétisme - Les collectibles à portée glissent vers la tête', () => {
+    const engine = createMagneticArena();
+    const star = engine.createStar(13, 12, 'alpha');
+    engine.collectibles = [star];
+    
+    engine.step();
+    runner.assertEqual(`${star.x},${star.y}`, '12,12', 'Une case vers la tête');
+    runner.assert(engine.particleSystem.particles.length > 0, 'Particules d\'attraction émises');
+    
+    const score = engine.score;
+    engine.step();
+    engine.step();
+    runner.assert(engine.score > score, 'Collectible happé une fois adjacent à la tête');
+});
+
+runner.test('Magnétisme - Portée, murs et cases occupées respectés', () => {
+    const engine = createMagneticArena();
+    const far = engine.createStar(20, 10, 'alpha');
+    const blocked = engine.createStar(13, 11, 'beta');
+    engine.collectibles = [far, blocked];
+    engine.walls = [new Wall(12, 11)];
+    
+    engine.step();
+    runner.assertEqual(`${far.x},${far.y}`, '20,10', 'Collectible hors de portée immobile');
+    runner.assertEqual(`${blocked.x},${blocked.y}`, '13,10', 'Mur contourné par l\'axe secondaire');
+    
+    const magnetism = engine.magnetismSystem;
+    runner.assert(!magnetism.isCellFree(12, 11), 'Case de mur refusée');
+    runner.assert(!magnetism.isCellFree(20, 10), 'Case d\'un autre collectible refusée');
+    runner.assert(!magnetism.isCellFree(engine.playerSnake.getHead().x, 10), 'Case d\'un segment refusée');
+    runner.assert(!magnetism.isCellFree(-1, 5), 'Case hors de l\'arène refusée');
+});
+
+runner.test('Magnétisme - Les ennemis magnétiques attirent aussi', () => {
+    const engine = createArenaEngine();
+    const enemy = new Snake(30, 20, 'enemy', engine.rng);
+    enemy.ai = new EnemyAI(enemy, engine, { behavior: 'collector' });
+    enemy.grow('magnetic');
+    enemy.grow('magnetic');
+    engine.enemies = [enemy];
+    
+    const star = engine.createStar(30, 22, 'alpha');
+    engine.collectibles = [star];
+    engine.spatialHash.add(star, star.x, star.y);
+    
+    engine.magnetismSystem.update();
+    runner.assertEqual(`${star.x},${star.y}`, '30,21', 'Collectible attiré par l\'ennemi');
+});
+
+runner.test('Magnétisme - Portée atteinte dans toutes les directions', () => {
+    const engine = createArenaEngine();
+    const enemy = new Snake(30, 20, 'enemy', engine.rng);
+    enemy.ai = new EnemyAI(enemy, engine, { behavior: 'collector' });
+    enemy.grow('magnetic');
+    enemy.grow('magnetic');
+    engine.enemies = [enemy];
+    
+    // Collectibles exactement à la portée (3 cases) de chaque côté de la tête
+    const stars = [[33, 20], [27, 20], [30, 23], [30, 17]].map(([x, y]) => engine.createStar(x, y, 'alpha'));
+    engine.collectibles = stars;
+    stars.forEach(star => engine.spatialHash.add(star, star.x, star.y));
+    
+    engine.magnetismSystem.update();
+    runner.assertEqual(stars.map(star => `${star.x},${star.y}`).join(' '), '32,20 28,20 30,22 30,18',
+        'Attirés à droite et en bas comme à gauche et en haut');
+});
+
+/**
+ * TESTS DU BOOST À ÉNERGIE
+ */
+
+// Serpent joueur avec deux segments propulseurs, réserve pleine
+function createBoosterArena() {
+    const engine = createArenaEngine(5, 10);
+    engine.playerSnake.grow('booster');
+    engine.playerSnake.grow('booster');
+    engine.playerSnake.boostEnergy = engine.playerSnake.getMaxBoostEnergy();
+    return engine;
+}
+
+runner.test('Boost - Les propulseurs fixent la réserve et la recharge', () => {
+    const engine = createArenaEngine(5, 10);
+    const snake = engine.playerSnake;
+    runner.assertEqual(snake.getMaxBoostEnergy(), 0, 'Aucune réserve sans propulseur');
+    
+    snake.activateBoost();
+    engine.step();
+    runner.assert(!snake.boostActive, 'Pas de boost sans énergie');
+    snake.releaseBoost();
+    
+    snake.grow('booster');
+    runner.assertEqual(snake.getMaxBoostEnergy(), 1, 'Une seconde par propulseur');
+    
+    for (let i = 0; i < 10; i++) engine.step();
+    runner.assert(snake.boostEnergy > 0 && snake.boostEnergy < 1, 'Recharge progressive');
+    
+    for (let i = 0; i < 20; i++) engine.step();
+    runner.assertEqual(snake.boostEnergy, 1, 'Recharge plafonnée à la réserve');
+});
+
+runner.test('Boost - Le boost maintenu vide la réserve', () => {
+    const engine = createBoosterArena();
+    const snake = engine.playerSnake;
+    
+    engine.activateBoost();
+    engine.step();
+    runner.assert(snake.boostActive, 'Boost actif');
+    runner.assertEqual(snake.speed, 2, 'Vitesse multipliée');
+    
+    const ticks = Math.ceil(2 / engine.updateInterval * 1000);
+    for (let i = 0; i < ticks; i++) engine.step();
+    runner.assertEqual(snake.boostEnergy, 0, 'Réserve vidée');
+    
+    engine.step();
+    runner.assert(!snake.boostActive, 'Boost coupé à sec');
+    runner.assertEqual(snake.speed, snake.baseSpeed, 'Vitesse de base retrouvée');
+    
+    engine.releaseBoost();
+    engine.step();
+    runner.assert(snake.boostEnergy > 0, 'Recharge après relâchement');
+});
+
+runner.test('Boost - Figé pendant la pause', () => {
+    const engine = createBoosterArena();
+    const snake = engine.playerSnake;
+    
+    engine.activateBoost();
+    engine.step();
+    const energy = snake.boostEnergy;
+    
+    engine.pause();
+    engine.clock.advance(5000);
+    engine.update();
+    runner.assertEqual(snake.boostEnergy, energy, 'Aucune consommation en pause');
+    runner.assert(snake.boostActive, 'Boost toujours actif à la reprise');
+});
+
+runner.test('Boost - Dash d\'urgence', () => {
+    const engine = createBoosterArena();
+    const snake = engine.playerSnake;
+    snake.boostEnergy = 0;
+    
+    engine.dash();
+    runner.assertEqual(snake.getBoosterCount(), 1, 'Un segment propulseur brûlé');
+    runner.assert(snake.invulnerable, 'Invulnérable pendant le dash');
+    
+    const x = snake.getHead().x;
+    engine.step();
+    runner.assertEqual(snake.getHead().x, x + 3, 'Pointe de vitesse');
+    
+    const plain = new Snake(5, 5, 'player', engine.rng);
+    runner.assert(!plain.dash(), 'Dash impossible sans propulseur');
+});
+
+runner.test('Boost - Le dash garde le corps continu', () => {
+    const engine = createArenaEngine(5, 10);
+    const snake = engine.playerSnake;
+    ['armored', 'booster', 'magnetic'].forEach(type => snake.grow(type));
+    for (let i = 0; i < 4; i++) engine.step();
+    const positions = snake.segments.slice(0, 3).map(segment => `${segment.x},${segment.y}`);
+    
+    engine.dash();
+    runner.assertEqual(snake.segments.map(segment => segment.type).join(), 'head,armored,magnetic', 'Propulseur retiré, types décalés vers la queue');
+    runner.assertEqual(snake.segments.map(segment => `${segment.x},${segment.y}`).join(' '), positions.join(' '), 'Dernière position abandonnée, aucun trou');
+});
+
+runner.test('Boost - Sauvegardé et rejoué', () => {
+    const engine = createBoosterArena();
+    engine.activateBoost();
+    for (let i = 0; i < 5; i++) engine.step();
+    engine.dash();
+    engine.step();
+    
+    const restored = createHeadlessEngine({ seed: 1 });
+    restored.restore(JSON.parse(JSON.stringify(engine.serialize())));
+    const snake = restored.playerSnake;
+    runner.assertEqual(snake.boostEnergy, engine.playerSnake.boostEnergy, 'Énergie restaurée');
+    runner.assert(snake.boostHeld && snake.dashTime > 0, 'Boost maintenu et dash restaurés');
+    
+    engine.releaseBoost();
+    const inputs = engine.replayRecorder.export().inputs.map(input => input[1]);
+    runner.assertEqual(inputs.join(''), 'bhe', 'Appui, dash et relâchement enregistrés');
+    
+    const status = restored.getGameState().playerBoost;
+    runner.assertEqual(status.maxEnergy, 1, 'Jauge exposée au HUD');
+});
+
+/**
+ * TESTS DE LA PHYSIQUE GRAVITATIONNELLE
+ */
+
+// Trajectoire de la tête pendant quelques ticks près d'un puits
+function traceHead(engine, ticks) {
+    const path = [];
+    for (let i = 0; i < ticks; i++) {
+        engine.step();
+        const head = engine.playerSnake.getHead();
+        path.push(`${head.x},${head.y}`);
+    }
+    return path;
+}
+
+runner.test('Gravité - Une force faible s\'accumule au lieu d\'être perdue', () => {
+    const snake = new Snake(10, 10);
+    
+    for (let i = 0; i < 10; i++) {
+        snake.applyGravitationalForce(0, 0.5);
+        snake.update(0.2);
+    }
+    
+    const head = snake.getHead();
+    runner.assertEqual(head.x, 20, 'Une case par tick dans la direction');
+    runner.assert(head.y > 10, 'La dérive latérale a produit des pas');
+    runner.assert(Math.abs(snake.cellOffset.y) <= 0.5, 'Le reste fractionnaire est reporté');
+});
+
+runner.test('Gravité - Un puits droit devant pousse ou freine sans arrêter', () => {
+    const pulled = createArenaEngine(5, 10);
+    pulled.walls = [];
+    pulled.gravityWells = [new GravityWell(25.5, 10.5, 3, 400, 'attract')];
+    const path = traceHead(pulled, 10);
+    
+    runner.assert(path.every(cell => cell.endsWith(',10')), 'Aucune dérive latérale');
+    runner.assert(Number(path[path.length - 1].split(',')[0]) > 15, 'Le puits attractif accélère le serpent');
+    
+    // Un puits répulsif freine un serpent boosté, sans jamais l'immobiliser
+    const pushed = createArenaEngine(5, 10);
+    pushed.walls = [];
+    pushed.gravityWells = [new GravityWell(13.5, 10.5, 3, 400, 'repel')];
+    const snake = pushed.playerSnake;
+    ['booster', 'booster'].forEach(type => snake.grow(type));
+    snake.boostEnergy = snake.getMaxBoostEnergy();
+    pushed.activateBoost();
+    const xs = traceHead(pushed, 4).map(cell => Number(cell.split(',')[0]));
+    
+    runner.assert(xs.every((x, i) => x > (i === 0 ? 5 : xs[i - 1])), 'Au moins une case par tick');
+    runner.assert(xs[3] < 5 + 4 * snake.speed, 'Plus lent que sans puits');
+    runner.assertEqual(pushed.lives, 3, 'Le serpent ne se mord pas');
+});
+
+// Serpent de cinq segments lancé dans une direction ; retourne le nombre de cases parcourues à chaque tick
+function traceSteps(engine, x, y, direction, ticks) {
+    engine.walls = [];
+    const snake = engine.playerSnake;
+    snake.reset(x, y);
+    snake.direction = { ...direction };
+    snake.nextDirection = { ...direction };
+    for (let i = 0; i < 4; i++) snake.grow();
+    
+    const steps = [];
+    for (let i = 0; i < ticks; i++) {
+        const head = { ...snake.getHead() };
+        engine.step();
+        steps.push((snake.getHead().x - head.x) * direction.x + (snake.getHead().y - head.y) * direction.y);
+    }
+    return steps;
+}
+
+runner.test('Gravité - Toujours au moins une case par tick, dans toutes les directions', () => {
+    // Vitesse inférieure à une case par tick
+    const slow = createArenaEngine();
+    slow.playerSnake.baseSpeed = 0.9;
+    const slowSteps = traceSteps(slow, 30, 10, { x: -1, y: 0 }, 15);
+    runner.assert(slowSteps.every(step => step >= 1), 'Vitesse 0.9 : aucun pas nul');
+    runner.assertEqual(slow.lives, 3, 'Vitesse 0.9 : le serpent ne se mord pas');
+    
+    // Freinage par un puits répulsif droit devant, vers la gauche puis vers le haut
+    const left = createArenaEngine();
+    left.gravityWells = [new GravityWell(14.5, 10.5, 3, 400, 'repel')];
+    const leftSteps = traceSteps(left, 25, 10, { x: -1, y: 0 }, 8);
+    runner.assert(leftSteps.every(step => step >= 1), 'Freiné vers la gauche : aucun pas nul');
+    runner.assertEqual(left.lives, 3, 'Freiné vers la gauche : le serpent ne se mord pas');
+    
+    const up = createArenaEngine();
+    up.gravityWells = [new GravityWell(20.5, 12.5, 3, 400, 'repel')];
+    const upSteps = traceSteps(up, 20, 25, { x: 0, y: -1 }, 8);
+    runner.assert(upSteps.every(step => step >= 1), 'Freiné vers le haut : aucun pas nul');
+    runner.assertEqual(up.lives, 3, 'Freiné vers le haut : le serpent ne se mord pas');
+});
+
+runner.test('Gravité - Orbite régulière autour d\'un puits attractif', () => {
+    const engine = createArenaEngine(12, 10);
+    engine.walls = [];
+    engine.gravityWells = [new GravityWell(20, 14, 1.5, 120, 'attract')];
+    
+    const path = traceHead(engine, 20);
+    const xs = path.map(cell => Number(cell.split(',')[0]));
+    const ys = path.map(cell => Number(cell.split(',')[1]));
+    
+    runner.assert(xs.every((x, i) => x === 13 + i), 'Ni arrêt ni saut de deux cases');
+    runner.assert(ys.every((y, i) => i === 0 || Math.abs(y - ys[i - 1]) <= 1), 'Déviation case par case');
+    runner.assert(ys[ys.length - 1] > 10, 'Trajectoire courbée vers le puits');
+});
+
+runner.test('Gravité - Vortex déterministe et sauvegardé', () => {
+    const run = () => {
+        const engine = createArenaEngine(12, 10);
+        engine.walls = [];
+        engine.gravityWells = [new GravityWell(20, 14, 1.2, 100, 'vortex')];
+        return engine;
+    };
+    
+    const a = run();
+    const b = run();
+    runner.assertEqual(traceHead(a, 15).join(' '), traceHead(b, 15).join(' '), 'Même trajectoire');
+    
+    const restored = createHeadlessEngine({ seed: 1 });
+    restored.restore(JSON.parse(JSON.stringify(a.serialize())));
+    runner.assertEqual(
+        JSON.stringify(restored.playerSnake.cellOffset),
+        JSON.stringify(a.playerSnake.cellOffset),
+        'Position fractionnaire restaurée'
+    );
+    runner.assertEqual(traceHead(restored, 5).join(' '), traceHead(a, 5).join(' '), 'Reprise identique');
+});
+
+/**
+ * TESTS DES COLLISIONS BALAYÉES
+ */
+
+runner.test('Collisions balayées - Chemin parcouru par la tête', () => {
+    const snake = new Snake(5, 5);
+    snake.moveSegments(3, 1);
+    
+    runner.assertEqual(
+        snake.getSweptPath().map(cell => `${cell.x},${cell.y}`).join(' '),
+        '6,5 7,5 7,6 8,6',
+        'Toutes les cases traversées, arrivée incluse'
+    );
+    
+    // Pas d'une case en diagonale : la case intermédiaire suit la direction du serpent
+    snake.moveSegments(1, 1);
+    runner.assertEqual(snake.getSweptPath().map(cell => `${cell.x},${cell.y}`).join(' '), '9,6 9,7', 'Case voisine traversée en diagonale');
+    snake.direction = { x: 0, y: 1 };
+    snake.moveSegments(-1, 1);
+    runner.assertEqual(snake.getSweptPath().map(cell => `${cell.x},${cell.y}`).join(' '), '9,8 8,8', 'D\'abord dans la direction verticale');
+    
+    snake.moveSegments(0, 0);
+    runner.assertEqual(snake.getSweptPath().length, 1, 'La tête immobile reste vérifiée');
+});
+
+runner.test('Collisions balayées - Collectible survolé pendant un boost', () => {
+    const engine = createBoosterArena();
+    const star = engine.createStar(6, 10, 'alpha');
+    engine.collectibles = [star];
+    
+    engine.activateBoost();
+    engine.step();
+    
+    runner.assertEqual(engine.playerSnake.getHead().x, 7, 'La tête a sauté deux cases');
+    runner.assert(!engine.collectibles.includes(star), 'Le collectible survolé est ramassé');
+});
+
+runner.test('Collisions balayées - Plus de passage à travers un mur', () => {
+    const engine = createBoosterArena();
+    engine.walls = [new Wall(6, 10)];
+    
+    engine.activateBoost();
+    engine.step();
+    runner.assertEqual(engine.lives, 2, 'Le mur traversé coûte une vie');
+});
+
+// Ennemi immobile de cinq segments, dressé en travers de la ligne 10
+function addBlockingEnemy(engine) {
+    const enemy = new Snake(6, 8, 'enemy', engine.rng);
+    enemy.ai = new EnemyAI(enemy, engine);
+    enemy.ai.update = () => {};
+    enemy.update = () => {};
+    for (let i = 0; i < 4; i++) enemy.grow();
+    enemy.segments.forEach((segment, i) => { segment.y = 8 + i; });
+    engine.enemies = [enemy];
+    return enemy;
+}
+
+runner.test('Collisions balayées - Plus de passage à travers un ennemi', () => {
+    const engine = createBoosterArena();
+    addBlockingEnemy(engine);
+    
+    engine.activateBoost();
+    engine.step();
+    runner.assertEqual(engine.lives, 2, 'Le corps de l\'ennemi traversé est percuté');
+    
+    // Le dash rend invulnérable : l'ennemi est traversé sans dommage
+    const dashing = createBoosterArena();
+    addBlockingEnemy(dashing);
+    
+    dashing.dash();
+    dashing.step();
+    runner.assertEqual(dashing.lives, 3, 'Traversée pendant le dash');
+    runner.assertEqual(dashing.playerSnake.getHead().x, 8, 'Le dash continue au-delà');
+});
+
+runner.test('Collisions balayées - Hash spatial en cases', () => {
+    const engine = createArenaEngine(10, 10);
+    engine.step();
+    
+    const head = engine.playerSnake.getHead();
+    runner.assertEqual(engine.spatialHash.cellSize, 1, 'Une cellule par case');
+    runner.assert(engine.spatialHash.queryPoint(head.x, head.y).includes(head), 'Tête indexée sur sa case');
+    runner.assertEqual(engine.segmentOwners.get(head), engine.playerSnake, 'Propriétaire du segment connu');
+});
+
+/**
+ * TESTS DU HASH SPATIAL INCRÉMENTAL
+ */
+
+runner.test('Hash incrémental - Déplacement sans reconstruction', () => {
+    const engine = createArenaEngine(10, 10);
+    const tail = engine.playerSnake.segments[engine.playerSnake.segments.length - 1];
+    const tailCell = { x: tail.x, y: tail.y };
+    
+    let cleared = false;
+    engine.spatialHash.clear = () => { cleared = true; };
+    engine.step();
+    
+    const head = engine.playerSnake.getHead();
+    runner.assert(!cleared, 'Le hash n\'est pas vidé à chaque tick');
+    runner.assertEqual(engine.getSnakeAt(head.x, head.y), engine.playerSnake, 'Nouvelle case de la tête occupée');
+    runner.assert(!engine.spatialHash.queryPoint(tailCell.x, tailCell.y).includes(tail), 'Ancienne case de la queue libérée');
+    runner.assert(engine.isPositionEmpty(tailCell.x, tailCell.y), 'Case libérée considérée vide');
+});
+
+runner.test('Hash incrémental - Même partie que l\'ancien parcours exhaustif', () => {
+    const play = fullSpatialScan => {
+        const engine = createHeadlessEngine({ seed: 5, fullSpatialScan });
+        engine.startNewGame({ level: 5 });
+        for (let i = 0; i < 40; i++) engine.step();
+        return JSON.stringify(engine.serialize());
+    };
+    
+    runner.assertEqual(play(false), play(true), 'États identiques après 40 ticks');
+});
+
+runner.test('Hash incrémental - Segments retirés et ennemis disparus', () => {
+    const engine = createBoosterArena();
+    const enemy = new Snake(20, 20, 'enemy', engine.rng);
+    enemy.ai = new EnemyAI(enemy, engine);
+    enemy.ai.update = () => {};
+    enemy.update = () => {};
+    engine.enemies = [enemy];
+    engine.step();
+    runner.assertEqual(engine.getSnakeAt(20, 20), enemy, 'Ennemi indexé');
+    
+    // Le dash consomme un segment booster
+    const lost = engine.playerSnake.segments[engine.playerSnake.segments.length - 1];
+    engine.dash();
+    engine.enemies = [];
+    engine.step();
+    
+    runner.assert(!engine.spatialHash.has(lost), 'Segment consommé retiré du hash');
+    runner.assertEqual(engine.getSnakeAt(20, 20), null, 'Ennemi disparu retiré du hash');
+    runner.assert(engine.playerSnake.segments.every(segment => engine.spatialHash.has(segment)), 'Segments restants indexés');
+});
+
+/**
+ * TESTS DE LA RÉSOLUTION DES COLLISIONS
+ */
+
+// Ennemi d'une case piloté à la main (direction fixe, IA désactivée)
+function addStraightEnemy(engine, x, y, direction) {
+    const enemy = new Snake(x, y, 'enemy', engine.rng);
+    enemy.ai = new EnemyAI(enemy, engine);
+    enemy.ai.update = () => {};
+    enemy.direction = { ...direction };
+    enemy.nextDirection = { ...direction };
+    engine.enemies.push(enemy);
+    return enemy;
+}
+
+// Enregistre les issues publiées par le résolveur
+function recordCollisions(engine) {
+    const events = [];
+    for (const outcome of ['deflected', 'absorbed', 'repelled', 'fatal']) {
+        engine.collisionResolver.on(outcome, result => events.push(`${result.snake.type}:${outcome}:${result.contact}`));
+    }
+    return events;
+}
+
+runner.test('Résolution des collisions - Le blindage absorbe un coup', () => {
+    const engine = createArenaEngine(39, 10);
+    const events = recordCollisions(engine);
+    engine.playerSnake.grow('armored');
+    
+    engine.step();
+    
+    const snake = engine.playerSnake;
+    runner.assertEqual(engine.lives, 3, 'Aucune vie perdue');
+    runner.assert(!snake.segments.some(segment => segment.type === 'armored'), 'Le segment blindé est consommé');
+    runner.assert(snake.invulnerable, 'Invulnérabilité après le choc');
+    runner.assertEqual(snake.direction.x, -1, 'Le serpent est repoussé');
+    runner.assertEqual(events.join(' '), 'player:absorbed:wall', 'Issue publiée');
+    runner.assert(engine.audioManager.playedSounds.includes('armorHit'), 'Son du blindage');
+    
+    // Sans blindage, le coup suivant est fatal une fois l'invulnérabilité écoulée
+    snake.invulnerable = false;
+    snake.invulnerabilityTime = 0;
+    snake.reset(39, 10);
+    engine.step();
+    runner.assertEqual(engine.lives, 2, 'Coup fatal sans blindage');
+});
+
+runner.test('Résolution des collisions - Invulnérabilité de réapparition', () => {
+    const engine = createArenaEngine(39, 10);
+    const events = recordCollisions(engine);
+    engine.playerSnake.setInvulnerable(2000);
+    
+    engine.step();
+    runner.assertEqual(engine.lives, 3, 'Le bord ne coûte pas de vie');
+    runner.assertEqual(engine.playerSnake.getHead().x, 39, 'Le serpent reste dans l\'arène');
+    runner.assertEqual(events.join(' '), 'player:deflected:wall', 'Serpent repoussé par le bord');
+});
+
+runner.test('Résolution des collisions - Tête contre tête à égalité', () => {
+    const engine = createArenaEngine(10, 10);
+    const events = recordCollisions(engine);
+    const enemy = addStraightEnemy(engine, 12, 10, { x: -1, y: 0 });
+    
+    engine.step();
+    
+    runner.assertEqual(engine.lives, 3, 'Le joueur survit');
+    runner.assert(engine.enemies.includes(enemy) && enemy.alive, 'L\'ennemi survit');
+    runner.assertEqual(events.join(' '), 'player:repelled:head_on enemy:repelled:head_on', 'Les deux serpents sont repoussés');
+    runner.assertEqual(engine.playerSnake.direction.x, -1, 'Le joueur repart en arrière');
+    runner.assertEqual(enemy.direction.x, 1, 'L\'ennemi repart en arrière');
+});
+
+runner.test('Résolution des collisions - Tête contre corps', () => {
+    const engine = createArenaEngine(10, 10);
+    const player = engine.playerSnake;
+    for (let i = 0; i < 3; i++) player.grow();
+    player.segments.forEach((segment, i) => { segment.x = 10 - i; });
+    
+    // L'ennemi plus court percute la queue du joueur par le haut
+    const enemy = addStraightEnemy(engine, 8, 9, { x: 0, y: 1 });
+    const events = recordCollisions(engine);
+    
+    engine.step();
+    
+    runner.assertEqual(engine.lives, 3, 'Le corps percuté est indemne');
+    runner.assert(!engine.enemies.includes(enemy), 'Le serpent qui percute est détruit');
+    runner.assertEqual(player.segments.length, 5, 'Le vainqueur grandit');
+    runner.assertEqual(events.join(' '), 'enemy:fatal:head_to_body', 'Issue publiée');
+});
+
+/**
+ * TESTS DES ÉTOILES VOLÉES
+ */
+
+// Ennemi qui ramasse une étoile au premier tick puis traverse l'arène
+function createThiefArena() {
+    const engine = createArenaEngine(10, 10);
+    const enemy = addStraightEnemy(engine, 2, 5, { x: 1, y: 0 });
+    const star = engine.createStar(3, 5, engine.constellationManager.getNeededStars()[0]);
+    star.segmentType = 'magnetic';
+    engine.collectibles = [star];
+    
+    engine.step();
+    return { engine, enemy, star };
+}
+
+runner.test('Étoiles volées - L\'ennemi grandit et emporte l\'étoile', () => {
+    const { engine, enemy, star } = createThiefArena();
+    
+    runner.assertEqual(enemy.segments.length, 2, 'L\'ennemi grandit');
+    runner.assertEqual(enemy.segments[1].type, 'magnetic', 'Avec le type de segment de l\'étoile');
+    runner.assert(!engine.collectibles.includes(star), 'L\'étoile a quitté l\'arène');
+    runner.assert(!engine.collectibles.some(c => c.starType === star.starType), 'Elle ne réapparaît pas tant qu\'elle est portée');
+    runner.assertEqual(engine.constellationManager.getProgress().collected, 0, 'La constellation du joueur n\'avance pas');
+    
+    const [stolen] = engine.getGameState().stolenStars;
+    runner.assertEqual(stolen.enemy, 1, 'Le HUD sait quel ennemi la porte');
+    runner.assertEqual(stolen.starType, star.starType, 'Et quelle étoile');
+    runner.assert(engine.audioManager.playedSounds.includes('starStolen'), 'Son du vol');
+});
+
+runner.test('Étoiles volées - Replacée ailleurs après le délai', () => {
+    const { engine, enemy, star } = createThiefArena();
+    const ticks = Math.round(engine.stolenStarDelay / (engine.updateInterval / 1000));
+    
+    const carried = () => enemy.carriedStars.some(carriedStar => carriedStar.starType === star.starType);
+    
+    for (let i = 0; i < ticks - 1; i++) engine.step();
+    runner.assert(carried(), 'Toujours portée avant la fin du délai');
+    
+    engine.step();
+    runner.assert(!carried(), 'Plus portée après le délai');
+    runner.assert(engine.collectibles.some(c => c.starType === star.starType), 'L\'étoile est de retour dans l\'arène');
+    
+    // Un porteur détruit relâche aussitôt ses étoiles
+    const other = createThiefArena();
+    other.engine.handleSnakeCollision(other.enemy, 'wall');
+    runner.assert(other.engine.collectibles.some(c => c.starType === other.star.starType), 'Relâchée à la destruction du porteur');
+});
+
+runner.test('Étoiles volées - Sauvegardées avec leur porteur', () => {
+    const { engine } = createThiefArena();
+    engine.step();
+    
+    const restored = createHeadlessEngine({ seed: 1 });
+    restored.restore(JSON.parse(JSON.stringify(engine.serialize())));
+    runner.assertEqual(
+        JSON.stringify(restored.getStolenStars()),
+        JSON.stringify(engine.getStolenStars()),
+        'Étoiles et délais restaurés'
+    );
+});
+
+/**
+ * TESTS DES SEGMENTS LÂCHÉS PAR LES ENNEMIS
+ */
+
+// Ennemi de quatre segments typés, détruit sur la ligne 5
+function createDefeatedEnemyArena() {
+    const engine = createArenaEngine(10, 10);
+    const enemy = addStraightEnemy(engine, 20, 5, { x: 1, y: 0 });
+    ['armored', 'booster', 'magnetic'].forEach(type => enemy.grow(type));
+    enemy.segments.forEach((segment, i) => { segment.x = 20 - i; });
+    engine.syncSpatialHash();
+    
+    const score = engine.score;
+    engine.handleSnakeCollision(enemy, 'wall');
+    return { engine, score };
+}
+
+runner.test('Segments lâchés - Le corps devient des collectibles typés', () => {
+    const { engine, score } = createDefeatedEnemyArena();
+    const dropped = engine.collectibles.filter(collectible => collectible.type === 'segment');
+    
+    runner.assertEqual(engine.score, score + 50, 'Bonus de destruction conservé');
+    runner.assertEqual(
+        dropped.map(collectible => `${collectible.x}:${collectible.segmentType}`).join(' '),
+        '19:armored 18:booster 17:magnetic',
+        'Un collectible par segment du corps, type conservé'
+    );
+    runner.assert(dropped.every(collectible => engine.spatialHash.has(collectible)), 'Collectibles indexés');
+    runner.assert(engine.particleSystem.particles.length > 0, 'Explosion de particules');
+});
+
+runner.test('Segments lâchés - Ramassage et expiration', () => {
+    const { engine } = createDefeatedEnemyArena();
+    const player = engine.playerSnake;
+    const booster = engine.collectibles.find(collectible => collectible.segmentType === 'booster');
+    
+    // Le joueur passe sur le segment propulseur
+    player.reset(booster.x - 1, booster.y);
+    const score = engine.score;
+    engine.step();
+    
+    runner.assert(!engine.collectibles.includes(booster), 'Segment ramassé');
+    runner.assertEqual(player.segments[1].type, 'booster', 'Le joueur grandit avec le type du segment');
+    runner.assertEqual(engine.score, score + 5, 'Points du segment');
+    runner.assertEqual(engine.constellationManager.getProgress().collected, 0, 'La constellation n\'avance pas');
+    
+    const ticks = Math.round(engine.droppedSegmentLifetime / (engine.updateInterval / 1000));
+    for (let i = 0; i < ticks; i++) engine.step();
+    runner.assert(!engine.collectibles.some(collectible => collectible.type === 'segment'), 'Les segments restants expirent');
+});
+
+/**
+ * TESTS DES POWER-UPS
+ */
+
+runner.test('Power-ups - Durée décomptée dans Snake.update', () => {
+    const engine = createArenaEngine(5, 10);
+    const snake = engine.playerSnake;
+    engine.powerUpSystem.apply(snake, 'ghost');
+    
+    for (let i = 0; i < 29; i++) snake.update(0.2);
+    runner.assert(snake.hasEffect('ghost'), 'Actif jusqu\'au bout de sa durée');
+    
+    const [ghost] = snake.getActivePowerUps();
+    runner.assertEqual(ghost.type, 'ghost', 'Type exposé au HUD');
+    runner.assert(ghost.duration - ghost.elapsed < 0.3, 'Temps restant décompté');
+    
+    snake.update(0.2);
+    runner.assert(!snake.hasEffect('ghost'), 'Expiré');
+});
+
+runner.test('Power-ups - Règles de cumul', () => {
+    const engine = createArenaEngine(5, 10);
+    const snake = engine.playerSnake;
+    const system = engine.powerUpSystem;
+    
+    for (let i = 0; i < 4; i++) system.apply(snake, 'shield');
+    runner.assertEqual(snake.getEffectLevel('shield'), 3, 'Niveau du bouclier plafonné à 3');
+    
+    system.apply(snake, 'ghost');
+    snake.update(2);
+    system.apply(snake, 'ghost');
+    const ghost = snake.activePowerUps.get('ghost');
+    runner.assertEqual(ghost.duration - ghost.elapsed, 10, 'Durée restante prolongée');
+    system.apply(snake, 'ghost');
+    runner.assertEqual(ghost.duration - ghost.elapsed, 12, 'Prolongation plafonnée au double');
+    
+    system.apply(snake, 'score_multiplier');
+    system.apply(snake, 'score_multiplier');
+    runner.assertEqual(system.getScoreMultiplier(snake), 3, 'Multiplicateur x3 au deuxième niveau');
+    runner.assertEqual(snake.getActivePowerUps().length, 3, 'Bonus différents cumulés');
+});
+
+runner.test('Power-ups - Bouclier et fantôme', () => {
+    const engine = createArenaEngine(39, 10);
+    engine.powerUpSystem.apply(engine.playerSnake, 'shield');
+    let absorber = null;
+    engine.collisionResolver.on('absorbed', result => { absorber = result.absorber; });
+    
+    engine.step();
+    runner.assertEqual(engine.lives, 3, 'Le bouclier absorbe le choc');
+    runner.assertEqual(absorber, 'shield', 'Le bouclier est désigné');
+    runner.assert(!engine.playerSnake.hasEffect('shield'), 'Bouclier consommé');
+    
+    // Le fantôme traverse le corps d'un ennemi
+    const ghost = createBoosterArena();
+    addBlockingEnemy(ghost);
+    ghost.powerUpSystem.apply(ghost.playerSnake, 'ghost');
+    ghost.activateBoost();
+    ghost.step();
+    runner.assertEqual(ghost.lives, 3, 'Corps traversé');
+    runner.assertEqual(ghost.playerSnake.getHead().x, 7, 'Le fantôme continue sa route');
+});
+
+runner.test('Power-ups - Ralenti et multiplicateur', () => {
+    const engine = createArenaEngine(10, 10);
+    const enemy = addStraightEnemy(engine, 5, 20, { x: 1, y: 0 });
+    engine.powerUpSystem.apply(engine.playerSnake, 'slow_time');
+    
+    for (let i = 0; i < 4; i++) engine.step();
+    runner.assertEqual(enemy.getHead().x, 7, 'L\'ennemi avance à mi-vitesse');
+    runner.assertEqual(engine.playerSnake.getHead().x, 14, 'Le joueur garde sa vitesse');
+    
+    engine.powerUpSystem.apply(engine.playerSnake, 'score_multiplier');
+    const star = engine.createStar(15, 10, 'alpha');
+    engine.collectibles = [star];
+    const score = engine.score;
+    engine.step();
+    runner.assertEqual(engine.score - score, star.value * 2, 'Points doublés');
+});
+
+runner.test('Power-ups - Un serpent ralenti ne se mord pas', () => {
+    const engine = createArenaEngine(10, 10);
+    const enemy = addStraightEnemy(engine, 5, 20, { x: 1, y: 0 });
+    for (let i = 0; i < 4; i++) enemy.grow();
+    for (let i = 0; i < 4; i++) engine.step();
+    engine.powerUpSystem.apply(engine.playerSnake, 'slow_time');
+    
+    const heads = [];
+    for (let i = 0; i < 6; i++) {
+        engine.step();
+        heads.push(enemy.getHead().x);
+    }
+    runner.assert(enemy.alive, 'L\'ennemi ralenti survit');
+    runner.assertEqual(heads.join(), '9,10,10,11,11,12', 'Immobile un tick sur deux');
+    runner.assertEqual(new Set(enemy.segments.map(segment => `${segment.x},${segment.y}`)).size, 5, 'Corps intact');
+});
+
+runner.test('Power-ups - Apparition et ramassage', () => {
+    const engine = createArenaEngine(5, 10);
+    engine.powerUpSpawnTimer = 1;
+    
+    for (let i = 0; i < 4; i++) engine.step();
+    runner.assert(!engine.collectibles.some(collectible => collectible.type === 'powerup'), 'Rien avant le délai');
+    
+    for (let i = 0; i < 2; i++) engine.step();
+    const pickups = engine.collectibles.filter(collectible => collectible.type === 'powerup');
+    runner.assertEqual(pickups.length, 1, 'Un power-up posé dans l\'arène');
+    
+    // Ramassage manuel : bonus actif, pas de croissance
+    const [pickup] = pickups;
+    const length = engine.playerSnake.segments.length;
+    engine.collectItem(engine.playerSnake, pickup, engine.collectibles.indexOf(pickup));
+    runner.assert(engine.playerSnake.hasEffect(pickup.powerUp), 'Bonus activé');
+    runner.assertEqual(engine.playerSnake.segments.length, length, 'Pas de croissance');
+    runner.assert(engine.audioManager.playedSounds.includes('powerUp'), 'Son du bonus');
+});
+
+/**
+ * TESTS DES OBJECTIFS DE NIVEAU
+ */
+
+runner.test('Objectifs de niveau - Plusieurs constellations avant le niveau suivant', () => {
+    const engine = createArenaEngine();
+    engine.objectiveTracker.configure({ objective: 'constellations', objectiveTarget: 2 });
+    engine.constellationManager.getNeededStars().forEach((starType, i) => {
+        engine.addCollectible(engine.createStar(11 + i, 10, starType));
+    });
+    
+    while (engine.constellationManager.getNeededStars().length > 0) engine.step();
+    runner.assertEqual(engine.level, 1, 'Une constellation ne suffit pas');
+    runner.assertEqual(engine.getGameState().objective.message, '1/2 constellations', 'Progression affichée');
+    
+    // Fin du morphing : les étoiles du nouveau pattern sont posées
+    while (engine.constellationManager.morphingActive) engine.step();
+    const needed = engine.constellationManager.getNeededStars();
+    runner.assert(engine.collectibles.some(collectible => needed.includes(collectible.starType)), 'Nouvelles étoiles');
+    
+    engine.objectiveTracker.recordConstellation();
+    engine.step();
+    runner.assertEqual(engine.level, 2, 'Niveau suivant');
+    runner.assert(engine.audioManager.playedSounds.includes('levelClear'), 'Son de l\'objectif atteint');
+});
+
+runner.test('Objectifs de niveau - Survie, croissance et récolte', () => {
+    const engine = createArenaEngine();
+    engine.objectiveTracker.configure({ objective: 'survive', objectiveTarget: 2 });
+    for (let i = 0; i < 9; i++) engine.step();
+    runner.assertEqual(engine.level, 1, 'Survie en cours');
+    engine.step();
+    engine.step();
+    runner.assertEqual(engine.level, 2, 'Survie accomplie');
+    
+    const grown = createArenaEngine();
+    for (let i = 0; i < 4; i++) grown.playerSnake.grow();
+    grown.objectiveTracker.configure({ objective: 'length', objectiveTarget: 3 });
+    grown.step();
+    runner.assertEqual(grown.level, 1, 'Longueur d\'avant le niveau non comptée');
+    grown.playerSnake.grow();
+    grown.playerSnake.grow();
+    grown.step();
+    runner.assertEqual(grown.objectiveTracker.getStatus().message, '2/3 segments', 'Deux segments gagnés');
+    
+    // Une vie perdue fait repartir la croissance du serpent réapparu
+    grown.respawnPlayer();
+    runner.assertEqual(grown.objectiveTracker.getProgress(), 0, 'Croissance remise à zéro');
+    for (let i = 0; i < 3; i++) grown.playerSnake.grow();
+    grown.step();
+    runner.assertEqual(grown.level, 2, 'Croissance atteinte');
+    
+    const scored = createArenaEngine();
+    scored.addScore(30);
+    scored.objectiveTracker.configure({ objective: 'score', objectiveTarget: 50 });
+    scored.addScore(49);
+    scored.step();
+    runner.assertEqual(scored.level, 1, 'Points marqués avant le niveau non comptés');
+    scored.addScore(1);
+    scored.step();
+    runner.assertEqual(scored.level, 2, 'Points atteints');
+    runner.assertEqual(scored.score, 30 + 50 + 100, 'Bonus de l\'objectif versé une fois');
+});
+
+runner.test('Objectifs de niveau - Extermination des ennemis du niveau', () => {
+    const engine = createArenaEngine();
+    engine.objectiveTracker.configure({ objective: 'eliminate' });
+    runner.assertEqual(engine.objectiveTracker.type, 'constellations', 'Sans ennemi : objectif par défaut');
+    
+    const first = addStraightEnemy(engine, 5, 20, { x: 1, y: 0 });
+    const second = addStraightEnemy(engine, 5, 25, { x: 1, y: 0 });
+    engine.objectiveTracker.configure({ objective: 'eliminate' });
+    runner.assertEqual(engine.objectiveTracker.target, 2, 'Tous les ennemis présents');
+    
+    first.alive = false;
+    engine.step();
+    runner.assertEqual(engine.level, 1, 'Un ennemi restant');
+    runner.assertEqual(engine.getGameState().objective.message, '1/2 ennemis', 'Progression affichée');
+    
+    second.alive = false;
+    engine.step();
+    runner.assertEqual(engine.level, 2, 'Niveau nettoyé');
+});
+
+runner.test('Objectifs de niveau - Niveaux procéduraux, éditeur et sauvegarde', () => {
+    const manager = new LevelManager();
+    const levels = [];
+    for (let n = 7; n <= 30; n++) levels.push(manager.generateProceduralLevel(n));
+    
+    runner.assert(levels.every(level => OBJECTIVE_TYPES[level.objective]), 'Objectif connu');
+    runner.assert(levels.filter(level => level.objective === 'eliminate').every(level => level.enemies.length > 0),
+        'Extermination seulement avec des ennemis');
+    runner.assert(new Set(levels.map(level => level.objective)).size > 2, 'Objectifs variés');
+    runner.assertEqual(manager.generateProceduralLevel(12).objective, levels[5].objective, 'Tirage reproductible');
+    
+    // Réglage de l'éditeur conservé par le format commun
+    const level = LevelFormat.create({ settings: { objective: 'length', objectiveTarget: 12 } });
+    const template = LevelFormat.toTemplate(LevelFormat.parse(LevelFormat.toEditor(level)));
+    runner.assertEqual(template.objective, 'length', 'Type conservé');
+    runner.assertEqual(template.objectiveTarget, 12, 'Cible conservée');
+    
+    let error = null;
+    try {
+        LevelFormat.parse(LevelFormat.create({ settings: { objective: 'inconnu' } }));
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error !== null, 'Objectif inconnu refusé');
+    
+    const engine = createArenaEngine();
+    engine.objectiveTracker.configure({ objective: 'survive', objectiveTarget: 30 });
+    for (let i = 0; i < 11; i++) engine.step();
+    const restored = createHeadlessEngine({ seed: 1 });
+    restored.restore(engine.serialize());
+    runner.assertEqual(restored.getGameState().objective.message, '2/30 s', 'Survie restaurée');
+});
+
+/**
+ * TESTS DU PATHFINDING
+ */
+
+runner.test('Pathfinding - A* contourne un mur', () => {
+    const engine = createArenaEngine(2, 25);
+    engine.walls = [new Wall(15, 5, 1, 11)];
+    const passable = (x, y) => !engine.getWallAt(x, y);
+    
+    const path = engine.pathfinder.findPath({ x: 10, y: 10 }, { x: 20, y: 10 }, passable);
+    const last = path[path.length - 1];
+    runner.assertEqual(`${last.x},${last.y}`, '20,10', 'Chemin jusqu\'à la cible');
+    runner.assertEqual(path.length, 22, 'Plus court détour par le bas du mur');
+    runner.assert(path.every((cell, i) => {
+        const previous = i === 0 ? { x: 10, y: 10 } : path[i - 1];
+        return Math.abs(cell.x - previous.x) + Math.abs(cell.y - previous.y) === 1 && passable(cell.x, cell.y);
+    }), 'Pas unitaires hors des murs');
+    
+    // Cible enfermée : le chemin s'arrête au plus près
+    engine.walls = [new Wall(19, 9, 3, 1), new Wall(19, 11, 3, 1), new Wall(19, 10), new Wall(21, 10)];
+    const partial = engine.pathfinder.findPath({ x: 10, y: 10 }, { x: 20, y: 10 }, passable);
+    const end = partial[partial.length - 1];
+    runner.assertEqual(`${end.x},${end.y}`, '18,10', 'Case accessible la plus proche');
+});
+
+runner.test('Pathfinding - Flood-fill de l\'espace accessible', () => {
+    const engine = createArenaEngine(2, 25);
+    engine.walls = [new Wall(10, 9, 4, 1), new Wall(10, 12, 4, 1), new Wall(10, 10, 1, 2), new Wall(13, 10, 1, 2)];
+    const passable = (x, y) => !engine.getWallAt(x, y);
+    
+    runner.assertEqual(engine.pathfinder.countReachable({ x: 11, y: 10 }, passable), 4, 'Poche fermée de 4 cases');
+    runner.assertEqual(engine.pathfinder.countReachable({ x: 5, y: 5 }, passable, 50), 50, 'Plafond respecté');
+    runner.assertEqual(engine.pathfinder.countReachable({ x: 10, y: 9 }, passable), 0, 'Départ bloqué');
+});
+
+runner.test('Pathfinding - L\'ennemi refuse une impasse trop petite', () => {
+    const engine = createArenaEngine(2, 25);
+    const enemy = addStraightEnemy(engine, 10, 10, { x: 1, y: 0 });
+    for (let i = 0; i < 4; i++) enemy.grow();
+    enemy.segments.forEach((segment, i) => { segment.x = 10 - i; });
+    engine.syncSpatialHash();
+    
+    // Poche de deux cases droit devant
+    engine.walls = [new Wall(11, 9, 2, 1), new Wall(11, 11, 2, 1), new Wall(13, 10)];
+    runner.assert(enemy.ai.isPositionSafe({ x: 11, y: 10 }), 'La case suivante est libre');
+    runner.assert(!enemy.ai.isMoveSafe({ x: 11, y: 10 }), 'Mais elle mène dans une impasse');
+    
+    enemy.ai.applyCollisionAvoidance();
+    runner.assert(['up', 'down'].includes(enemy.ai.vectorToDirection(enemy.nextDirection)), 'L\'ennemi contourne la poche');
+});
+
+runner.test('Pathfinding - setTarget suit un vrai chemin', () => {
+    const engine = createArenaEngine(2, 25);
+    engine.walls = [new Wall(12, 5, 1, 11)];
+    const enemy = new Snake(10, 10, 'enemy', engine.rng);
+    enemy.ai = new EnemyAI(enemy, engine, { behavior: 'collector' });
+    enemy.ai.makeDecision = () => {};
+    engine.enemies = [enemy];
+    
+    enemy.ai.setTarget({ x: 14, y: 10 }, 'collect');
+    runner.assert(enemy.ai.memory.safePath.length > 0, 'Chemin mémorisé');
+    
+    for (let i = 0; i < 40 && !(enemy.getHead().x === 14 && enemy.getHead().y === 10); i++) {
+        engine.step();
+    }
+    runner.assert(enemy.alive, 'L\'ennemi n\'a pas percuté le mur');
+    runner.assertEqual(`${enemy.getHead().x},${enemy.getHead().y}`, '14,10', 'Cible atteinte en contournant le mur');
+});
+
+runner.test('Pathfinding - Le chasseur planifie vers la position prédite du joueur', () => {
+    const engine = createArenaEngine(16, 14);
+    const enemy = new Snake(10, 10, 'enemy', engine.rng);
+    enemy.ai = new EnemyAI(enemy, engine, { behavior: 'hunter' });
+    engine.enemies = [enemy];
+    engine.syncSpatialHash();
+    
+    // Le joueur vient de 15,14 : il sera en 17,14
+    enemy.ai.memory.lastPlayerPosition = { x: 15, y: 14 };
+    enemy.ai.makeDecision();
+    
+    const path = enemy.ai.memory.safePath;
+    runner.assertEqual(enemy.ai.currentTarget.action, 'intercept', 'Interception');
+    runner.assertEqual(`${path[path.length - 1].x},${path[path.length - 1].y}`, '17,14', 'Chemin vers la position prédite');
+});
+
+/**
+ * TESTS DE L'IA SENSIBLE À LA GRAVITÉ
+ */
+
+runner.test('Gravité de l\'IA - Force prévue identique à la force appliquée', () => {
+    const well = new GravityWell(15, 13, 3, 200, 'vortex');
+    const snake = new Snake(10, 10, 'enemy');
+    
+    well.applyGravity(snake);
+    const force = well.computeForceAt(10, 10);
+    runner.assertEqual(force.x, snake.gravitationalForce.x, 'Composante X identique');
+    runner.assertEqual(force.y, snake.gravitationalForce.y, 'Composante Y identique');
+    
+    runner.assertEqual(well.computeForceAt(35, 28).x, 0, 'Aucune force hors de portée');
+    well.active = false;
+    runner.assertEqual(well.computeForceAt(10, 10).y, 0, 'Aucune force puits inactif');
+});
+
+runner.test('Gravité de l\'IA - La trajectoire prédite suit la dérive réelle', () => {
+    const engine = createArenaEngine(2, 25);
+    engine.gravityWells = [new GravityWell(15, 13, 3, 200, 'attract')];
+    const enemy = addStraightEnemy(engine, 10, 10, { x: 1, y: 0 });
+    engine.syncSpatialHash();
+    
+    const predicted = enemy.predictPath('right', 4, (x, y) => engine.getForceAt(x, y));
+    const cells = [];
+    for (let i = 0; i < 4; i++) {
+        engine.step();
+        cells.push(...enemy.getSweptPath().map(cell => `${cell.x},${cell.y}`));
+    }
+    
+    runner.assertEqual(predicted.map(cell => `${cell.x},${cell.y}`).join(' '), cells.join(' '), 'Prédiction conforme au moteur');
+    runner.assert(cells[cells.length - 1] !== '14,10', 'Le puits dévie la trajectoire');
+});
+
+runner.test('Gravité de l\'IA - L\'ennemi évite d\'être dévié dans un mur', () => {
+    const engine = createArenaEngine(2, 25);
+    engine.gravityWells = [new GravityWell(15, 13, 3, 200, 'attract')];
+    engine.walls = [new Wall(13, 11)];
+    const enemy = new Snake(10, 10, 'enemy', engine.rng);
+    enemy.ai = new EnemyAI(enemy, engine, { behavior: 'collector', difficulty: 'medium' });
+    enemy.ai.makeDecision = () => {};
+    engine.enemies = [enemy];
+    engine.syncSpatialHash();
+    
+    // Tout droit, la dérive mène dans le mur sous la trajectoire
+    const straight = enemy.predictPath('right', 3, (x, y) => engine.getForceAt(x, y));
+    runner.assert(straight.some(cell => engine.getWallAt(cell.x, cell.y)), 'Le pas tout droit finit dans le mur');
+    
+    enemy.ai.setTarget({ x: 20, y: 10 }, 'collect');
+    runner.assert(enemy.ai.vectorToDirection(enemy.nextDirection) !== 'right', 'L\'ennemi s\'écarte de la dérive');
+    for (let i = 0; i < 12; i++) engine.step();
+    runner.assert(enemy.alive, 'L\'ennemi n\'a pas percuté le mur');
+});
+
+runner.test('Gravité de l\'IA - Fronde gravitationnelle selon la difficulté', () => {
+    const target = { x: 16, y: 4 };
+    const choose = difficulty => {
+        const engine = createArenaEngine(2, 25);
+        engine.gravityWells = [new GravityWell(12, 13, 2, 200, 'attract')];
+        const enemy = new Snake(10, 10, 'enemy', engine.rng);
+        enemy.ai = new EnemyAI(enemy, engine, { behavior: 'collector', difficulty });
+        engine.enemies = [enemy];
+        engine.syncSpatialHash();
+        return enemy.ai.evaluateMove(enemy.ai.calculateBestDirection(target));
+    };
+    
+    const cautious = choose('easy');
+    const daring = choose('extreme');
+    const distance = move => Math.abs(target.x - move.end.x) + Math.abs(target.y - move.end.y);
+    runner.assert(daring.direction !== cautious.direction, 'Choix différents selon la difficulté');
+    runner.assert(daring.exposure > cautious.exposure, 'L\'ennemi extrême se laisse porter par le puits');
+    runner.assert(distance(daring) < distance(cautious), 'Et arrive plus près de sa cible');
+    
+    // La difficulté vient du niveau et survit à la sauvegarde
+    const engine = createHeadlessEngine({ seed: 1 });
+    engine.startNewGame();
+    engine.levelManager.loadLevel(6);
+    engine.setupLevel();
+    runner.assertEqual(engine.enemies[0].ai.difficulty, 'hard', 'Difficulté du niveau');
+    const restored = createHeadlessEngine({ seed: 1 });
+    restored.restore(engine.serialize());
+    runner.assertEqual(restored.enemies[0].ai.difficulty, 'hard', 'Difficulté du niveau restaurée');
+});
+
+/**
+ * TESTS DU RYTHME DE L'IA
+ */
+
+// Compte les décisions d'un ennemi pendant une durée simulée, à une vitesse de jeu donnée
+function countDecisions(gameSpeed, seconds, config) {
+    const engine = createArenaEngine(2, 25);
+    engine.gameSpeed = gameSpeed;
+    engine.updateInterval = 1000 / gameSpeed;
+    const enemy = new Snake(10, 10, 'enemy', engine.rng);
+    enemy.ai = new EnemyAI(enemy, engine, config);
+    engine.enemies = [enemy];
+    
+    let decisions = 0;
+    enemy.ai.makeDecision = () => { decisions++; };
+    for (let i = 0; i < seconds * gameSpeed; i++) engine.step();
+    return decisions;
+}
+
+runner.test('Rythme de l\'IA - Décisions en temps simulé, quelle que soit la vitesse', () => {
+    const slow = countDecisions(5, 3, { behavior: 'territorial' });
+    const fast = countDecisions(10, 3, { behavior: 'territorial' });
+    runner.assertEqual(slow, fast, 'Même nombre de décisions à 5 et 10 ticks par seconde');
+    runner.assertEqual(slow, 3, 'Une décision par seconde simulée');
+    
+    // Chaque comportement a son temps de réaction
+    const hunter = countDecisions(10, 3, { behavior: 'hunter' });
+    runner.assertEqual(hunter, 6, 'Le chasseur décide toutes les 0.5 s');
+    runner.assert(countDecisions(10, 3, { behavior: 'collector' }) < hunter, 'Le collecteur réagit plus lentement');
+});
+
+runner.test('Rythme de l\'IA - Temps de réaction surchargé par le niveau', () => {
+    runner.assertEqual(countDecisions(10, 3, { behavior: 'hunter', reactionTime: 2 }), 2, 'Une décision toutes les 2 s');
+    
+    const level = LevelFormat.parse({ gravityWells: [], enemies: [{ x: 5, y: 5, behavior: 'hunter', reactionTime: 1.5 }] });
+    runner.assertEqual(level.enemies[0].reactionTime, 1.5, 'Réglage conservé par le format');
+    
+    const leveled = createHeadlessEngine({ seed: 8 });
+    leveled.startNewGame({ levelData: LevelFormat.toTemplate(level) });
+    runner.assertEqual(leveled.enemies[0].ai.behaviorParams.reactionTime, 1.5, 'Réglage appliqué à l\'ennemi');
+    
+    // Une ancienne sauvegarde comptait ce délai en ticks : il est plafonné
+    const engine = createArenaEngine();
+    const enemy = new Snake(10, 10, 'enemy', engine.rng);
+    enemy.ai = new EnemyAI(enemy, engine, { behavior: 'hunter' });
+    enemy.ai.loadState({ ...enemy.ai.saveState(), decisionCooldown: 30 });
+    runner.assertEqual(enemy.ai.decisionCooldown, 0.5, 'Délai plafonné au temps de réaction');
+});
+
+runner.test('Rythme de l\'IA - Imitation différée sans horloge réelle', () => {
+    const engine = createArenaEngine(2, 25);
+    const enemy = new Snake(10, 10, 'enemy', engine.rng);
+    enemy.ai = new EnemyAI(enemy, engine, { behavior: 'mimic' });
+    enemy.ai.makeDecision = () => {};
+    enemy.ai.decisionCooldown = 100;
+    engine.enemies = [enemy];
+    
+    const actions = [];
+    enemy.ai.setTarget = (position, action) => actions.push(action);
+    enemy.ai.mimicTimer = enemy.ai.behaviorParams.mimicDelay;
+    enemy.ai.memory.lastPlayerPosition = { x: 2, y: 25 };
+    
+    // Pause : aucun tick, aucune imitation
+    engine.pause();
+    engine.clock.advance(5000);
+    engine.update();
+    runner.assertEqual(actions.length, 0, 'Rien pendant la pause');
+    engine.resume();
+    
+    for (let i = 0; i < 4; i++) engine.step();
+    runner.assertEqual(actions.length, 0, 'Délai d\'une seconde simulée pas encore écoulé');
+    engine.step();
+    runner.assertEqual(actions.join(), 'mimic', 'Imitation après 5 ticks de 0.2 s');
+});
+
+runner.test('Rythme de l\'IA - L\'imitation aboutit malgré des décisions plus rapides que son délai', () => {
+    const engine = createArenaEngine(2, 25);
+    const enemy = new Snake(20, 10, 'enemy', engine.rng);
+    enemy.ai = new EnemyAI(enemy, engine, { behavior: 'mimic' });
+    engine.enemies = [enemy];
+    runner.assert(enemy.ai.behaviorParams.reactionTime < enemy.ai.behaviorParams.mimicDelay,
+        'Le mimique décide plus souvent que son délai d\'imitation');
+    
+    const actions = [];
+    const setTarget = enemy.ai.setTarget.bind(enemy.ai);
+    enemy.ai.setTarget = (position, action) => {
+        actions.push(action);
+        setTarget(position, action);
+    };
+    
+    for (let i = 0; i < 15; i++) engine.step();
+    runner.assert(actions.includes('mimic'), 'Imitation déclenchée en 3 s simulées');
+});
+
+/**
+ * TESTS DU MODÈLE DU JOUEUR
+ */
+
+// Le joueur rejoint une étoile placée en diagonale, en parcourant d'abord l'axe donné
+function collectStarAlong(engine, axis) {
+    const head = engine.playerSnake.getHead();
+    const starType = engine.constellationManager.getNeededStars()[0];
+    engine.collectibles = [];
+    engine.addCollectible(engine.createStar(head.x + 3, head.y + 2, starType));
+    
+    const legs = axis === 'horizontal' ? [['right', 3], ['down', 2]] : [['down', 2], ['right', 3]];
+    for (const [direction, ticks] of legs) {
+        engine.setDirection(direction);
+        for (let i = 0; i < ticks; i++) engine.step();
+    }
+}
+
+// Joueur entraîné : trois étoiles rejointes par le même axe
+function createTrainedEngine(axis) {
+    const engine = createArenaEngine(2, 2);
+    for (let i = 0; i < 3; i++) collectStarAlong(engine, axis);
+    return engine;
+}
+
+runner.test('Modèle du joueur - Virages et réaction aux puits appris', () => {
+    const engine = createArenaEngine(10, 10);
+    const model = engine.playerModel;
+    engine.step();
+    
+    // Trois virages à droite : droite -> bas -> gauche -> haut
+    for (const direction of ['down', 'left', 'up']) {
+        engine.setDirection(direction);
+        engine.step();
+        engine.step();
+    }
+    runner.assertEqual(model.getBeliefs().turn.choice, 'right', 'Virage à droite préféré');
+    runner.assertEqual(model.getBeliefs().turn.share, 1, 'Sans exception');
+    
+    // Près d'un puits, le joueur s'en écarte à chaque virage
+    engine.gravityWells = [new GravityWell(12, 14, 0.1, 200, 'attract')];
+    for (const direction of ['left', 'up', 'left', 'up']) {
+        engine.setDirection(direction);
+        engine.step();
+    }
+    runner.assertEqual(model.getBeliefs().wells.choice, 'avoid', 'Le joueur évite les puits');
+});
+
+runner.test('Modèle du joueur - Trajet habituel vers les étoiles', () => {
+    const engine = createTrainedEngine('horizontal');
+    const beliefs = engine.playerModel.getBeliefs();
+    runner.assertEqual(beliefs.route.choice, 'horizontal', 'Axe horizontal d\'abord');
+    runner.assertEqual(beliefs.route.observations, 3, 'Trois trajets observés');
+    
+    // Trajet prédit vers la prochaine étoile : en L, horizontal d'abord
+    const head = engine.playerSnake.getHead();
+    engine.collectibles = [];
+    engine.addCollectible(engine.createStar(head.x + 4, head.y + 3, engine.constellationManager.getNeededStars()[0]));
+    const route = engine.playerModel.predictRoute();
+    runner.assertEqual(route.length, 7, 'Sept cases jusqu\'à l\'étoile');
+    runner.assertEqual(`${route[3].x},${route[3].y}`, `${head.x + 4},${head.y}`, 'Virage au-dessus de l\'étoile');
+    
+    runner.assertEqual(createArenaEngine().playerModel.predictRoute(), null, 'Aucune prédiction sans habitude');
+});
+
+runner.test('Modèle du joueur - Le chasseur coupe la route prédite', () => {
+    const cutoffFor = axis => {
+        const engine = createTrainedEngine(axis);
+        engine.playerSnake.reset(10, 10);
+        engine.collectibles = [];
+        engine.addCollectible(engine.createStar(20, 15, engine.constellationManager.getNeededStars()[0]));
+        
+        const enemy = new Snake(20, 5, 'enemy', engine.rng);
+        enemy.ai = new EnemyAI(enemy, engine, { behavior: 'hunter' });
+        engine.enemies = [enemy];
+        engine.syncSpatialHash();
+        
+        enemy.ai.makeDecision();
+        return enemy.ai.currentTarget;
+    };
+    
+    const horizontal = cutoffFor('horizontal');
+    runner.assertEqual(horizontal.action, 'cutoff', 'Embuscade sur la route du joueur');
+    runner.assertEqual(`${horizontal.x},${horizontal.y}`, '18,10', 'Première case atteinte avant le joueur');
+    
+    const vertical = cutoffFor('vertical');
+    runner.assertEqual(`${vertical.x},${vertical.y}`, '18,15', 'Autre habitude, autre embuscade');
+});
+
+runner.test('Modèle du joueur - Zones de décès, sauvegarde et surcouche de debug', () => {
+    const engine = createArenaEngine(2, 2);
+    engine.walls = [new Wall(4, 2)];
+    engine.step();
+    engine.step();
+    engine.playerSnake.reset(2, 2);
+    engine.playerSnake.invulnerable = false;
+    engine.step();
+    engine.step();
+    
+    const hotspot = engine.playerModel.getDeathHotspot();
+    runner.assertEqual(`${hotspot.x},${hotspot.y},${hotspot.deaths}`, '2,2,2', 'Zone des deux collisions');
+    
+    // Sans route apprise, l'opportuniste va rôder là où le joueur meurt
+    const enemy = new Snake(30, 20, 'enemy', engine.rng);
+    enemy.ai = new EnemyAI(enemy, engine, { behavior: 'opportunist' });
+    runner.assertEqual(enemy.ai.findAmbush().action, 'ambush', 'Embuscade dans la zone de décès');
+    
+    const restored = createHeadlessEngine({ seed: 1 });
+    restored.restore(engine.serialize());
+    runner.assertEqual(restored.playerModel.getDeathHotspot().deaths, 2, 'Modèle conservé par la sauvegarde');
+    
+    const texts = [];
+    const ctx = { save: () => {}, restore: () => {}, fillRect: () => {}, fillText: text => texts.push(text) };
+    engine.playerModel.render(ctx);
+    runner.assert(texts.some(text => text.startsWith('Décès : zone 2,2')), 'Croyances affichées dans la surcouche');
+});
+
+/**
+ * TESTS DE LA COORDINATION DES ENNEMIS
+ */
+
+// Joueur en 20,15 vers la droite, ennemis placés aux positions données
+function createSquadArena(difficulty, positions, behavior = 'hunter') {
+    const engine = createArenaEngine(20, 15);
+    const enemies = positions.map(([x, y]) => {
+        const enemy = new Snake(x, y, 'enemy', engine.rng);
+        enemy.ai = new EnemyAI(enemy, engine, { behavior, difficulty });
+        return enemy;
+    });
+    engine.enemies = enemies;
+    engine.syncSpatialHash();
+    engine.squadCoordinator.configure({ difficulty });
+    engine.squadCoordinator.update();
+    return { engine, enemies };
+}
+
+// Rôle et point attribués à un ennemi, ou 'seul'
+function describeOrder(engine, enemy) {
+    const order = engine.squadCoordinator.getOrder(enemy);
+    return order ? `${order.role}@${order.position.x},${order.position.y}` : 'seul';
+}
+
+runner.test('Meute - Rôles répartis pour encercler le joueur', () => {
+    const { engine, enemies } = createSquadArena('hard', [[14, 15], [26, 10], [21, 20]]);
+    
+    runner.assertEqual(describeOrder(engine, enemies[0]), 'chaser@20,15', 'Le plus proche poursuit la tête');
+    runner.assertEqual(describeOrder(engine, enemies[1]), 'blocker@24,15', 'Un autre barre la route devant');
+    runner.assertEqual(describeOrder(engine, enemies[2]), 'flanker@21,18', 'Le dernier prend le flanc le plus proche');
+    
+    // Les IA suivent leur rôle au lieu de se ranger derrière le joueur
+    enemies.forEach(enemy => enemy.ai.makeDecision());
+    runner.assertEqual(enemies.map(enemy => enemy.ai.currentTarget.action).join(), 'chaser,blocker,flanker', 'Rôles tenus');
+});
+
+runner.test('Meute - La coordination dépend de la difficulté', () => {
+    const positions = [[14, 15], [26, 10], [21, 20], [21, 9]];
+    
+    const easy = createSquadArena('easy', positions);
+    runner.assert(easy.enemies.every(enemy => describeOrder(easy.engine, enemy) === 'seul'), 'Facile : chacun pour soi');
+    
+    const medium = createSquadArena('medium', positions);
+    runner.assertEqual(medium.enemies.map(enemy => describeOrder(medium.engine, enemy).split('@')[0]).join(),
+        'chaser,blocker,seul,seul', 'Moyen : poursuivant et bloqueur');
+    
+    const extreme = createSquadArena('extreme', positions);
+    runner.assertEqual(describeOrder(extreme.engine, extreme.enemies[2]), 'flanker@21,18', 'Extrême : flanc sud');
+    runner.assertEqual(describeOrder(extreme.engine, extreme.enemies[3]), 'flanker@21,12', 'Et flanc nord : encerclement');
+    
+    // Personne n'a repéré le joueur : pas de meute
+    const far = createSquadArena('extreme', [[2, 2], [37, 27]]);
+    runner.assert(far.enemies.every(enemy => describeOrder(far.engine, enemy) === 'seul'), 'Meute inactive hors de portée');
+});
+
+runner.test('Meute - Les collecteurs se partagent les étoiles', () => {
+    const race = difficulty => {
+        const { engine, enemies } = createSquadArena(difficulty, [[5, 5], [5, 7]], 'collector');
+        const starType = engine.constellationManager.getNeededStars()[0];
+        engine.addCollectible(engine.createStar(8, 6, starType));
+        engine.addCollectible(engine.createStar(5, 20, starType));
+        
+        enemies.forEach(enemy => enemy.ai.makeDecision());
+        return { engine, targets: enemies.map(enemy => `${enemy.ai.currentTarget.x},${enemy.ai.currentTarget.y}`).join(' ') };
+    };
+    
+    const shared = race('medium');
+    runner.assertEqual(shared.targets, '8,6 5,20', 'Étoile réservée laissée au premier');
+    runner.assertEqual(race('easy').targets, '8,6 8,6', 'Facile : course à la même étoile');
+    
+    const restored = createHeadlessEngine({ seed: 1 });
+    restored.restore(shared.engine.serialize());
+    runner.assert(restored.squadCoordinator.isClaimedByOther(restored.collectibles[0], restored.enemies[1]),
+        'Réservations conservées par la sauvegarde');
+});
+
 /**
  * EXÉCUTION DES TESTS
  */
@@ -564,11 +2804,9 @@ async function runTests() {
 }
 
 // Vérification si le fichier est exécuté directement
-if (typeof require !== 'undefined' && require.main === module) {
+if (typeof process !== 'undefined' && import.meta.url === pathToFileURL(process.argv[1]).href) {
     runTests().catch(console.error);
 }
 
 // Export pour utilisation en module
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { TestRunner, runTests };
-}
\ No newline at end of file
+export { TestRunner, runTests };